@@ -0,0 +1,190 @@
+'use strict';
+
+const Depiction = require('./depiction');
+
+/** Class for the depiction of a molecule or a reaction on a canvas 2D context. */
+class CanvasDepict extends Depiction {
+  /**
+   * draw - paint the depiction with its top left corner at the origin of the context, the
+   * context transform places and scales it, e.g. in the cells of a grid. The state of the
+   * context is restored afterwards.
+   *
+   * @param  {CanvasRenderingContext2D} ctx - canvas context, or any object with its drawing
+   *                                          methods and properties
+   * @return {CanvasDepict} this depiction
+   */
+  draw(ctx) {
+    const displayList = this.toDisplayList();
+    ctx.save();
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'miter';
+    ctx.fillStyle = displayList.background;
+    ctx.fillRect(0, 0, displayList.width, displayList.height);
+    ctx.strokeStyle = 'black';
+    ctx.lineWidth = this.config.lineWidth;
+    ctx.strokeRect(0, 0, displayList.width, displayList.height);
+    displayList.items.forEach(item => CanvasDepict.drawItem(ctx, item));
+    ctx.restore();
+    return this;
+  }
+
+  /**
+   * drawItem - paint a display list item
+   *
+   * @param  {CanvasRenderingContext2D} ctx
+   * @param  {Object} item
+   */
+  static drawItem(ctx, item) {
+    switch (item.type) {
+      case 'line':
+        ctx.beginPath();
+        ctx.moveTo(item.x1, item.y1);
+        ctx.lineTo(item.x2, item.y2);
+        CanvasDepict.stroke(ctx, item.color, item.width);
+        break;
+      case 'polygon':
+        ctx.beginPath();
+        item.points.forEach((point, i) => (i ? ctx.lineTo(point[0], point[1]) : ctx.moveTo(point[0], point[1])));
+        ctx.closePath();
+        ctx.fillStyle = item.fill;
+        ctx.fill();
+        if (item.stroke) {
+          ctx.lineJoin = 'round';
+          CanvasDepict.stroke(ctx, item.stroke, item.width);
+          ctx.lineJoin = 'miter';
+        }
+        break;
+      case 'circle':
+        ctx.beginPath();
+        ctx.arc(item.cx, item.cy, item.r, 0, 2 * Math.PI);
+        if (item.fill) {
+          ctx.fillStyle = item.fill;
+          ctx.fill();
+        }
+        if (item.stroke) {
+          CanvasDepict.stroke(ctx, item.stroke, item.width);
+        }
+        break;
+      case 'path':
+        CanvasDepict.tracePath(ctx, item.commands);
+        CanvasDepict.stroke(ctx, item.color, item.width);
+        break;
+      case 'text':
+        CanvasDepict.drawText(ctx, item);
+        break;
+      case 'rect':
+        ctx.globalAlpha = item.opacity;
+        ctx.fillStyle = item.fill;
+        ctx.fillRect(item.x, item.y, item.width, item.height);
+        ctx.globalAlpha = 1;
+        break;
+      case 'halo':
+        CanvasDepict.drawHalo(ctx, item);
+        break;
+      default:
+        throw new Error(`unknown display list item ${item.type}`);
+    }
+  }
+
+  /**
+   * stroke - stroke the current path
+   *
+   * @param  {CanvasRenderingContext2D} ctx
+   * @param  {string} color
+   * @param  {number} width
+   */
+  static stroke(ctx, color, width) {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = width;
+    ctx.stroke();
+  }
+
+  /**
+   * tracePath - path of move and half circle commands, the center of each half circle is the
+   * middle of the segment from the current point
+   *
+   * @param  {CanvasRenderingContext2D} ctx
+   * @param  {Array.<Object>} commands
+   */
+  static tracePath(ctx, commands) {
+    let x = 0;
+    let y = 0;
+    ctx.beginPath();
+    commands.forEach(command => {
+      if (command.op === 'move') {
+        ctx.moveTo(command.x, command.y);
+      } else {
+        const cx = (x + command.x) / 2;
+        const cy = (y + command.y) / 2;
+        // the sweep of SVG arcs turns clockwise on the screen for 1
+        ctx.arc(cx, cy, command.radius, Math.atan2(y - cy, x - cx), Math.atan2(command.y - cy, command.x - cx),
+                !command.sweep);
+      }
+      x = command.x;
+      y = command.y;
+    });
+  }
+
+  /**
+   * drawText - text with its background, the background covers the box of the text with the
+   * margins of the label filter of SvgDepict
+   *
+   * @param  {CanvasRenderingContext2D} ctx
+   * @param  {Object} item - text item
+   */
+  static drawText(ctx, item) {
+    ctx.font = `${item.fontSize}px ${item.fontFamily}`;
+    if (item.background) {
+      const box = Depiction.textBox(item, ctx.measureText ? ctx.measureText(item.text).width : undefined);
+      const rect = [box.x - 0.05 * box.width, box.y, 1.3 * box.width, 1.3 * box.height];
+      ctx.fillStyle = item.background.color;
+      ctx.fillRect.apply(ctx, rect);
+      if (item.background.tint) {
+        ctx.globalAlpha = item.background.opacity;
+        ctx.fillStyle = item.background.tint;
+        ctx.fillRect.apply(ctx, rect);
+        ctx.globalAlpha = 1;
+      }
+    }
+    ctx.textAlign = CanvasDepict.TEXT_ALIGN[item.anchor];
+    ctx.textBaseline = 'alphabetic';
+    ctx.fillStyle = item.fill;
+    ctx.fillText(item.text, item.x, item.y);
+    if (item.stroke) {
+      ctx.strokeStyle = item.stroke;
+      ctx.lineWidth = item.width;
+      ctx.strokeText(item.text, item.x, item.y);
+    }
+  }
+
+  /**
+   * drawHalo - translucent halo, its lines and discs are stroked at once so that they are not
+   * darker where they overlap: a circle stroked with the halo width is a disc when its radius is
+   * half a width smaller than the disc radius
+   *
+   * @param  {CanvasRenderingContext2D} ctx
+   * @param  {Object} item - halo item
+   */
+  static drawHalo(ctx, item) {
+    const inner = Math.max(item.radius - item.width / 2, 0);
+    ctx.beginPath();
+    item.lines.forEach(line => {
+      ctx.moveTo(line[0], line[1]);
+      ctx.lineTo(line[2], line[3]);
+    });
+    item.points.forEach(point => {
+      ctx.moveTo(point[0] + inner, point[1]);
+      ctx.arc(point[0], point[1], inner, 0, 2 * Math.PI);
+    });
+    ctx.globalAlpha = item.opacity;
+    CanvasDepict.stroke(ctx, item.color, item.width);
+    ctx.globalAlpha = 1;
+  }
+}
+
+/**
+ * Canvas textAlign of the text anchors
+ */
+CanvasDepict.TEXT_ALIGN = {start: 'left', middle: 'center', end: 'right'};
+
+module.exports = CanvasDepict;
@@ -26,17 +26,30 @@
 const ptToPx = 1.25;
 
 /**
- * A config object used to store depict configuration
+ * A config object used to store the default depict configuration, each depiction gets a copy
+ * with the options given to its constructor
  * @namespace config
  * @property {string}  bgColor                - The background color.
  * @property {number}  fontSize               - Font size used for atoms labels
  * @property {number}  bondLength             - Bond length in pixels
  * @property {number}  bondSpacing            - Bond spacing for double bonds in pixels
  * @property {string}  displayCarbonLabels    - Carbons labels to diplay: all or none or terminal
- *                                              fallback to terminal
- *                                              with a fallback to terminal
  * @property {number}  lineWidth              - Bond line width
+ * @property {number}  wedgeWidth             - Width of the wide end of wedge and hashed bonds
+ * @property {number}  hashSpacing            - Space between the lines of hashed bonds
  * @property {number}  marginWidth            - Margin around molecule
+ * @property {number}  stereoGroupFontSize    - Font size of enhanced stereo labels (abs, and1, or1)
+ * @property {number}  arrowLength            - Minimal length of reaction arrows
+ * @property {number}  arrowHeadLength        - Length of reaction arrow heads
+ * @property {number}  plusSize               - Size of the plus signs between reaction components
+ * @property {number}  reactionSpacing        - Space around reaction arrows and plus signs
+ * @property {Array.<string>} highlightColors - Colors of successive highlight groups
+ * @property {number}  highlightOpacity       - Opacity of highlight halos
+ * @property {number}  highlightWidth         - Width of highlight halos around bonds
+ * @property {string}  aromaticStyle          - Aromatic rings drawn as kekule (double bonds inside
+ *                                              the rings) or circle (a circle in each ring)
+ * @property {string|Object.<string, string>} colorScheme - Colors of atom labels and bond halves:
+ *                                              monochrome, cpk, jmol or colors by element symbol
  */
 const config = {
   bgColor: 'white',
@@ -45,7 +58,19 @@ const config = {
   bondSpacing: 0.18 * 14.4 * ptToPx,
   displayCarbonLabels: 'terminal',  // accepted values are: all, none, terminal
   lineWidth: 0.6,
-  marginWidth: ptToPx * 1.6
+  wedgeWidth: 2 * 2 * ptToPx,
+  hashSpacing: 2.5 * ptToPx,
+  marginWidth: ptToPx * 1.6,
+  stereoGroupFontSize: 8,
+  arrowLength: 3 * 14.4 * ptToPx,
+  arrowHeadLength: 8,
+  plusSize: 8,
+  reactionSpacing: 10,
+  highlightColors: ['rgb(255,85,85)', 'rgb(85,140,255)', 'rgb(60,190,90)', 'rgb(255,170,0)', 'rgb(170,90,255)'],
+  highlightOpacity: 0.35,
+  highlightWidth: 3 * 0.18 * 14.4 * ptToPx,
+  aromaticStyle: 'kekule',  // accepted values are: kekule, circle
+  colorScheme: 'monochrome'  // accepted values are: monochrome, cpk, jmol or {symbol: color}
 };
 
 module.exports = config;
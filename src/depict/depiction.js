@@ -0,0 +1,1254 @@
+'use strict';
+
+const depictConfig = require('./config');
+const ModelAtom = require('../model/atom');
+const ModelBond = require('../model/bond');
+const ModelMolecule = require('../model/molecule');
+const HydrogenPosition = require('../renderer/hydrogen_position');
+const resourceCssColors = require('../resource/css_colors');
+const resourceElementColors = require('../resource/element_colors');
+
+/**
+ * Class for the layout of a molecule or a reaction and its drawing as a display list of
+ * primitives in depiction coordinates, the backends write or paint the display list.
+ */
+class Depiction {
+  /**
+   * constructor - Load config and calculate size of the depiction
+   *
+   * @param  {modelMolecule|ModelReaction} molOrReaction - Molecule to display, or a reaction with
+   *                                                       reactants, agents, products and
+   *                                                       optional conditions lines
+   * @param  {Object=} optOptions - depiction options over the defaults of depict/config.js
+   */
+  constructor(molOrReaction, optOptions) {
+    this.config = Depiction.options(optOptions);
+    /**
+     * highlight groups, drawn as halos under their atoms and bonds
+     *
+     * @type {Array.<{atoms: Array.<ModelAtom>, bonds: Array.<modelBond>, color: string, label: string}>}
+     */
+    this.highlights = [];
+    if (Array.isArray(molOrReaction.reactants)) {
+      this.reaction = molOrReaction;
+      this.mol = null;
+    } else {
+      this.reaction = null;
+      this.mol = molOrReaction;
+    }
+    this.sizeCalculator();
+  }
+
+  /**
+   * sizeCalculator - scale from the average bond length of all molecules, placement of each
+   * molecule and size of the depiction from the combined bounding box.
+   * Molecules keep their own coordinates, reactants and products are laid out left to right and
+   * agents above the arrow. The legend of the highlights goes below.
+   */
+  sizeCalculator() {
+    const mols = this.reaction ?
+        this.reaction.reactants.concat(this.reaction.agents, this.reaction.products) :
+        [this.mol];
+    const bondCount = mols.reduce((sum, mol) => sum + mol.bonds.length, 0);
+    const bondLength = mols.reduce((sum, mol) => sum + mol.getAverageBondLength() * mol.bonds.length, 0);
+    // molecules without bonds fall back to the default average bond length
+    const average = bondCount ? bondLength / bondCount : new ModelMolecule().getAverageBondLength();
+    this.scale = this.config.bondLength / average;
+    const margin = this.scale * this.config.marginWidth;
+
+    this.placements = [];
+    this.plusSigns = [];
+    this.arrow = null;
+    this.conditions = [];
+    this.extents = null;
+    if (this.reaction) {
+      this._layoutReaction();
+    } else {
+      this._place(this.mol, 0, 0);
+    }
+    this._layoutLegend();
+    // translations
+    const ox = margin - this.extents.left;
+    const oy = margin - this.extents.top;
+    this.placements.forEach(placement => {
+      placement.dx -= ox;
+      placement.dy -= oy;
+    });
+    this.plusSigns.forEach(plus => {
+      plus.x += ox;
+      plus.y += oy;
+    });
+    if (this.arrow) {
+      this.arrow.x1 += ox;
+      this.arrow.x2 += ox;
+      this.arrow.y += oy;
+    }
+    this.conditions.concat(this.legend).forEach(item => {
+      item.x += ox;
+      item.y += oy;
+    });
+    if (this.mol) {
+      this.dx = this.placements[0].dx;
+      this.dy = this.placements[0].dy;
+    }
+    // size
+    this.w = this.extents.right - this.extents.left + 2 * margin;
+    this.h = this.extents.bottom - this.extents.top + 2 * margin;
+  }
+
+  /**
+   * _place - place a molecule with the left of its bounding box at x and its middle at y
+   *
+   * @param  {modelMolecule} mol
+   * @param  {number} x - depiction x coordinate, before margins
+   * @param  {number} y - depiction y coordinate, before margins
+   * @return {{width: number, height: number}} size of the molecule in the depiction
+   */
+  _place(mol, x, y) {
+    const box = mol.getBoundingBox();
+    const width = this.scale * (box.right - box.left);
+    const height = this.scale * (box.bottom - box.top);
+    this.placements.push({mol: mol, dx: this.scale * box.left - x, dy: this.scale * (box.top + box.bottom) / 2 - y});
+    this._grow(x, y - height / 2, x + width, y + height / 2);
+    return {width: width, height: height};
+  }
+
+  /**
+   * _grow - extend the combined bounding box
+   */
+  _grow(left, top, right, bottom) {
+    const e = this.extents;
+    this.extents = e ?
+        {left: Math.min(e.left, left), top: Math.min(e.top, top), right: Math.max(e.right, right),
+         bottom: Math.max(e.bottom, bottom)} :
+        {left: left, top: top, right: right, bottom: bottom};
+  }
+
+  /**
+   * _layoutReaction - reactants + ... -> products + ..., centered on the line y = 0, agents
+   * above the arrow and conditions below it, the arrow grows to fit them
+   */
+  _layoutReaction() {
+    const c = this.config;
+    const spacing = c.reactionSpacing;
+    let x = 0;
+    const row = mols => mols.forEach((mol, i) => {
+      if (i > 0) {
+        this.plusSigns.push({x: x + spacing + c.plusSize / 2, y: 0});
+        x += 2 * spacing + c.plusSize;
+      }
+      x += this._place(mol, x, 0).width;
+    });
+
+    row(this.reaction.reactants);
+    if (this.reaction.reactants.length) {
+      x += spacing;
+    }
+    const sizes = this.reaction.agents.map(mol => {
+      const box = mol.getBoundingBox();
+      return {width: this.scale * (box.right - box.left), height: this.scale * (box.bottom - box.top)};
+    });
+    const agentsWidth = sizes.reduce((sum, size, i) => sum + size.width + (i ? spacing : 0), 0);
+    const agentsHeight = sizes.reduce((max, size) => Math.max(max, size.height), 0);
+    const conditions = this.reaction.conditions || [];
+    const textWidth = conditions.reduce((max, text) => Math.max(max, Depiction.textWidth(text, c.fontSize)), 0);
+    const length = Math.max(c.arrowLength, agentsWidth + 2 * spacing, textWidth + 2 * spacing);
+    this.arrow = {x1: x, x2: x + length, y: 0};
+    this._grow(x, -c.arrowHeadLength / 2, x + length, c.arrowHeadLength / 2);
+
+    let agentX = x + (length - agentsWidth) / 2;
+    // atom labels stick out of the bounding box by half a font size
+    const agentY = -(spacing / 2 + c.fontSize / 2 + agentsHeight / 2);
+    this.reaction.agents.forEach(mol => {
+      agentX += this._place(mol, agentX, agentY).width + spacing;
+    });
+    conditions.forEach((text, i) => {
+      const y = spacing / 2 + c.fontSize * (i + 1);
+      this.conditions.push({text: text, x: x + length / 2, y: y});
+      this._grow(x + (length - textWidth) / 2, y - c.fontSize, x + (length + textWidth) / 2, y + c.fontSize / 4);
+    });
+    x += length;
+
+    if (this.reaction.products.length) {
+      x += spacing;
+    }
+    row(this.reaction.products);
+  }
+
+  /**
+   * _layoutLegend - one line per labelled highlight group, below the depiction
+   */
+  _layoutLegend() {
+    const fontSize = this.config.fontSize;
+    const left = this.extents.left;
+    let y = this.extents.bottom + this.config.reactionSpacing;
+    this.legend = [];
+    this.highlights.forEach((group, i) => {
+      if (group.label) {
+        this.legend.push({group: i, x: left, y: y});
+        this._grow(left, y, left + 1.5 * fontSize + Depiction.textWidth(group.label, fontSize), y + fontSize);
+        y += 1.5 * fontSize;
+      }
+    });
+  }
+
+  /**
+   * addHighlight - highlight atoms and bonds, e.g. a mapping of SubstructureMatcher.findAll
+   *
+   * @param  {{atoms: Array.<ModelAtom>, bonds: Array.<modelBond>}} group - atoms and bonds to
+   *                                                                       highlight, both optional
+   * @param  {Object=} optOptions
+   * @param  {string=} optOptions.color - halo color, defaults to the next color of
+   *                                      config.highlightColors
+   * @param  {string=} optOptions.label - legend of the group, no legend entry if empty
+   * @return {Depiction} this depiction
+   */
+  addHighlight(group, optOptions) {
+    const colors = this.config.highlightColors;
+    const options = Object.assign({color: colors[this.highlights.length % colors.length], label: ''}, optOptions);
+    Depiction.parseColor(options.color);
+    this.highlights.push({
+      atoms: group.atoms || [],
+      bonds: group.bonds || [],
+      color: options.color,
+      label: options.label
+    });
+    // the legend changes the size of the depiction
+    this.sizeCalculator();
+    return this;
+  }
+
+  _drawAtom(element) {
+    this._setSource('atom', {molecule: this.molIndex, atom: this.mol.atoms.indexOf(element)});
+    const fontSize = this.config.fontSize;
+    const symb = element.symbol;
+    const coord = element.coord;
+    const hydrogen = element.hydrogenCount();
+    const hydrogenPosition = new HydrogenPosition(element).getHydrogenPosition();
+    const color = this._atomColor(element);
+    const style = {fill: color, stroke: color, background: this._labelBackground(element)};
+
+    let x = coord.x * this.scale - this.dx;
+    let y = coord.y * this.scale - this.dy;
+    // Text alignments
+    // TODO: needs to be more general
+    x -= fontSize / 2.5;
+    y += 3 * fontSize / 8;
+    this._addText(x, y, symb, style);
+
+    if (hydrogen > 0) {
+      let dx = fontSize * 9 / 10;
+      // used for subscript numbers
+      const dy = fontSize / 2;
+
+      if (hydrogenPosition === 'Left') {
+        if (hydrogen > 1) {
+          this._addText(x - 2 * dx, y, 'H', style);
+          this._addText(x - dx, y + dy, hydrogen, style);
+        } else {
+          this._addText(x - dx, y, 'H', style);
+        }
+      } else {
+        this._addText(x + dx, y, 'H', style);
+        if (hydrogen > 1) {
+          this._addText(x + 2 * dx, y + dy, hydrogen, style);
+        }
+      }
+    }
+    this._drawAtomSuperscripts(element, x, y, hydrogenPosition === 'Left' ? 0 : hydrogen, style);
+  }
+
+  /**
+   * _drawAtomSuperscripts - mass number on the left of the label, charge on the right and
+   * radical dots above the symbol, the hydrogens written on the side of the charge or of the
+   * mass number are skipped
+   *
+   * @param  {modelAtom} atom
+   * @param  {number} x - left of the symbol text
+   * @param  {number} y - baseline of the symbol text
+   * @param  {number} rightHydrogens - hydrogen count written on the right of the symbol, 0 if
+   *                                   they are written on the left
+   * @param  {Object} style - colors and background of the label texts
+   */
+  _drawAtomSuperscripts(atom, x, y, rightHydrogens, style) {
+    const fontSize = this.config.fontSize;
+    const superscriptSize = 0.7 * fontSize;
+    const raise = fontSize / 2;
+    const slot = fontSize * 9 / 10;
+    const leftHydrogens = rightHydrogens ? 0 : atom.hydrogenCount();
+    const superscript = Object.assign({fontSize: superscriptSize}, style);
+    if (atom.isotope) {
+      // the H label on the left takes one slot, its count takes another one
+      const left = x - (leftHydrogens ? slot : 0) - (leftHydrogens > 1 ? slot : 0);
+      this._addText(left, y - raise, atom.isotope, Object.assign({anchor: 'end'}, superscript));
+    }
+    if (atom.charge) {
+      let right = x + slot * atom.symbol.length;
+      if (rightHydrogens) {
+        right += slot + (rightHydrogens > 1 ? Depiction.textWidth(String(rightHydrogens), fontSize) : 0);
+      }
+      this._addText(right, y - raise, Depiction.chargeLabel(atom.charge), superscript);
+    }
+    if (atom.radical !== ModelAtom.RADICAL.NONE) {
+      const cx = x + fontSize / 2.5;
+      const cy = y - fontSize - fontSize / 5;
+      const r = fontSize / 10;
+      const dots = atom.radical === ModelAtom.RADICAL.DOUBLET ? [cx] : [cx - fontSize / 5, cx + fontSize / 5];
+      dots.forEach(dotX => {
+        this._addItem({type: 'circle', cx: dotX, cy: cy, r: r, fill: style.fill, stroke: null, width: 0});
+      });
+    }
+  }
+
+  /**
+  * _selectAtoms - select atoms for depiction
+  * Cuurently depict only hetroatoms and terminal carbons if config
+  * displayTerminalCarbonLabels is true, carbons with an unusual explicit hydrogen count
+  * (radicals, carbenes) are also depicted. Charged atoms, isotopes and radicals are always
+  * depicted.
+  *
+  * @param  {modelAtom} atom - input atom
+  *
+  * @return {boolean} - does the input atom should be displayed or not
+  */
+  _selectAtom(atom) {
+    const c = this.config;
+    if (atom.charge || atom.isotope || atom.radical !== ModelAtom.RADICAL.NONE) {
+      return atom;
+    }
+    switch (c.displayCarbonLabels) {
+      case 'all':
+        return atom;
+      case 'none':
+        return atom.symbol === 'C' ? false : atom;
+      case 'terminal':
+      default: {
+        let output = false;
+        if (atom.symbol !== 'C' || atom.getNeighbors().length < 2 ||
+            atom.hydrogenCount() !== atom.implicitHydrogenCount()) {
+          output = atom;
+        }
+        return output;
+      }
+    }
+  }
+
+  drawAtoms() {
+    let atoms = this.mol.atoms.filter(this._selectAtom, this);
+    atoms.forEach(this._drawAtom, this);
+  }
+
+  _drawBond(bond, index) {
+    this._setSource('bond', {molecule: this.molIndex, bond: index});
+    const x1 = bond.source.coord.x * this.scale - this.dx;
+    const y1 = bond.source.coord.y * this.scale - this.dy;
+    const x2 = bond.target.coord.x * this.scale - this.dx;
+    const y2 = bond.target.coord.y * this.scale - this.dy;
+
+    if (bond.order === 1 && bond.stereo === ModelBond.STEREO.UP) {
+      this._drawWedge(bond);
+    } else if (bond.order === 1 && bond.stereo === ModelBond.STEREO.DOWN) {
+      this._drawHashedWedge(bond);
+    } else if (bond.order === 1 && bond.stereo === ModelBond.STEREO.UP_OR_DOWN) {
+      this._drawWavyBond(bond);
+    } else if (bond.order === 1 || this.circledBonds.has(bond)) {
+      this._drawBondLine(bond, x1, y1, x2, y2);
+    } else if (bond.order === 2) {
+      this._drawDoubleBond(bond);
+    } else if (bond.order === 3 || bond.order === 4) {
+      this._drawParallelLines(bond, bond.order);
+    }
+  }
+
+  /**
+   * _drawBondLine - line of a bond, split in two halves colored like the end atoms when their
+   * colors differ
+   *
+   * @param  {modelBond} bond
+   * @param  {number} x1 - end on the source side
+   * @param  {number} y1
+   * @param  {number} x2 - end on the target side
+   * @param  {number} y2
+   */
+  _drawBondLine(bond, x1, y1, x2, y2) {
+    const colors = this._bondColors(bond);
+    if (colors[0] === colors[1]) {
+      this._addLine(x1, y1, x2, y2, colors[0]);
+      return;
+    }
+    const t = this._splitFraction(bond, {x1: x1, y1: y1, x2: x2, y2: y2});
+    const x = x1 + (x2 - x1) * t;
+    const y = y1 + (y2 - y1) * t;
+    this._addLine(x1, y1, x, y, colors[0]);
+    this._addLine(x, y, x2, y2, colors[1]);
+  }
+
+  /**
+   * _splitFraction - position of the middle of the bond along a line drawn for the bond, so that
+   * the trimmed and offset lines of a bond change color at the same place
+   *
+   * @param  {modelBond} bond
+   * @param  {{x1: number, y1: number, x2: number, y2: number}} ends
+   * @return {number} from 0 at the source end to 1 at the target end
+   */
+  _splitFraction(bond, ends) {
+    const mx = (bond.source.coord.x + bond.target.coord.x) / 2 * this.scale - this.dx;
+    const my = (bond.source.coord.y + bond.target.coord.y) / 2 * this.scale - this.dy;
+    const vx = ends.x2 - ends.x1;
+    const vy = ends.y2 - ends.y1;
+    const square = vx * vx + vy * vy;
+    if (!square) {
+      return 0.5;
+    }
+    return Math.min(1, Math.max(0, ((mx - ends.x1) * vx + (my - ends.y1) * vy) / square));
+  }
+
+  /**
+   * _bondColors - colors of the source and target halves of a bond
+   *
+   * @param  {modelBond} bond
+   * @return {Array.<string>}
+   */
+  _bondColors(bond) { return [this._atomColor(bond.source), this._atomColor(bond.target)]; }
+
+  /**
+   * _atomColor - color of an atom in the colorScheme option: monochrome, cpk, jmol or colors by
+   * element symbol. The built-in schemes keep carbon and hydrogen in the default color, their
+   * grey and white are hardly visible on a white background.
+   *
+   * @param  {modelAtom} atom
+   * @return {string}
+   */
+  _atomColor(atom) {
+    const scheme = this.config.colorScheme;
+    const builtIn = typeof scheme === 'string';
+    const colors = builtIn ? resourceElementColors[scheme] : scheme;
+    if (!colors || builtIn && (atom.symbol === 'C' || atom.symbol === 'H')) {
+      return Depiction.DEFAULT_COLOR;
+    }
+    return colors[atom.symbol] || Depiction.DEFAULT_COLOR;
+  }
+
+  /**
+   * _drawWedge - solid wedge, its narrow end is on the source atom, the stereocenter
+   *
+   * @param  {modelBond} bond
+   */
+  _drawWedge(bond) {
+    const ends = this._labelTrimmedEnds(bond);
+    const half = this.config.wedgeWidth / 2;
+    const n = Depiction.unitNormal(ends);
+    const colors = this._bondColors(bond);
+    const wide = [[ends.x2 + n.x * half, ends.y2 + n.y * half], [ends.x2 - n.x * half, ends.y2 - n.y * half]];
+    if (colors[0] === colors[1]) {
+      this._drawPolygon([[ends.x1, ends.y1]].concat(wide), colors[0]);
+      return;
+    }
+    // the wedge is cut across at the middle of the bond
+    const t = this._splitFraction(bond, ends);
+    const x = ends.x1 + (ends.x2 - ends.x1) * t;
+    const y = ends.y1 + (ends.y2 - ends.y1) * t;
+    const cut = [[x + n.x * half * t, y + n.y * half * t], [x - n.x * half * t, y - n.y * half * t]];
+    this._drawPolygon([[ends.x1, ends.y1]].concat(cut), colors[0]);
+    this._drawPolygon([cut[0], wide[0], wide[1], cut[1]], colors[1]);
+  }
+
+  /**
+   * _drawPolygon - filled polygon, outlined in the same color for the round joins
+   *
+   * @param  {Array.<Array.<number>>} points - x and y of each point
+   * @param  {string} color
+   */
+  _drawPolygon(points, color) {
+    this._addItem({type: 'polygon', points: points, fill: color, stroke: color, width: this.config.lineWidth});
+  }
+
+  /**
+   * _drawHashedWedge - hashed wedge, lines across the bond getting wider from the source atom,
+   * the stereocenter, to the target atom
+   *
+   * @param  {modelBond} bond
+   */
+  _drawHashedWedge(bond) {
+    const ends = this._labelTrimmedEnds(bond);
+    const n = Depiction.unitNormal(ends);
+    const length = Math.sqrt((ends.x2 - ends.x1) * (ends.x2 - ends.x1) + (ends.y2 - ends.y1) * (ends.y2 - ends.y1));
+    const count = Math.max(2, Math.round(length / this.config.hashSpacing));
+    const colors = this._bondColors(bond);
+    const split = this._splitFraction(bond, ends);
+    for (let i = 1; i <= count; i++) {
+      const t = i / count;
+      const x = ends.x1 + (ends.x2 - ends.x1) * t;
+      const y = ends.y1 + (ends.y2 - ends.y1) * t;
+      const half = Math.max(this.config.wedgeWidth * t, this.config.lineWidth) / 2;
+      this._addLine(x + n.x * half, y + n.y * half, x - n.x * half, y - n.y * half, colors[t <= split ? 0 : 1]);
+    }
+  }
+
+  /**
+   * _drawWavyBond - wavy bond of unknown configuration, half circles alternating on both sides
+   * of the bond
+   *
+   * @param  {modelBond} bond
+   */
+  _drawWavyBond(bond) {
+    const ends = this._labelTrimmedEnds(bond);
+    const length = Math.sqrt((ends.x2 - ends.x1) * (ends.x2 - ends.x1) + (ends.y2 - ends.y1) * (ends.y2 - ends.y1));
+    const count = Math.max(2, Math.round(length / this.config.wedgeWidth));
+    const radius = length / count / 2;
+    const colors = this._bondColors(bond);
+    const split = colors[0] === colors[1] ? 1 : this._splitFraction(bond, ends);
+    // one path per color, the arcs ending after the middle of the bond have the target color
+    const paths = [[{op: 'move', x: ends.x1, y: ends.y1}], []];
+    let lastX = ends.x1;
+    let lastY = ends.y1;
+    for (let i = 1; i <= count; i++) {
+      const x = ends.x1 + (ends.x2 - ends.x1) * i / count;
+      const y = ends.y1 + (ends.y2 - ends.y1) * i / count;
+      const half = i / count <= split ? 0 : 1;
+      if (half && !paths[1].length) {
+        paths[1].push({op: 'move', x: lastX, y: lastY});
+      }
+      paths[half].push({op: 'arc', x: x, y: y, radius: radius, sweep: i % 2});
+      lastX = x;
+      lastY = y;
+    }
+    paths.forEach((commands, i) => {
+      if (commands.length > 1) {
+        this._addItem({type: 'path', commands: commands, color: colors[i], width: this.config.lineWidth});
+      }
+    });
+  }
+
+  /**
+   * _drawDoubleBond - double bond with a perpendicular offset: the second line is inside the
+   * ring for ring bonds and on the side of most substituents for chain bonds, both lines are
+   * centered on terminal bonds. The offset line is shorter, its ends are on the bisectors of the
+   * angles with the neighbor bonds as in the IUPAC 2008 recommendations.
+   *
+   * @param  {modelBond} bond
+   */
+  _drawDoubleBond(bond) {
+    const bondSpacing = this.config.bondSpacing;
+    const side = this._doubleBondSide(bond);
+    if (!side) {
+      this._drawParallelLines(bond, 2);
+      return;
+    }
+    const ends = this._labelTrimmedEnds(bond);
+    this._drawBondLine(bond, ends.x1, ends.y1, ends.x2, ends.y2);
+    const x1 = bond.source.coord.x * this.scale - this.dx;
+    const y1 = bond.source.coord.y * this.scale - this.dy;
+    const x2 = bond.target.coord.x * this.scale - this.dx;
+    const y2 = bond.target.coord.y * this.scale - this.dy;
+    const length = Math.sqrt((x2 - x1) * (x2 - x1) + (y2 - y1) * (y2 - y1)) || 1;
+    const ux = (x2 - x1) / length;
+    const uy = (y2 - y1) / length;
+    // normal on the side of the offset line
+    const nx = -uy * side;
+    const ny = ux * side;
+    const trim1 = Math.min(Math.max(this._innerLineTrim(bond.source, bond.target, nx, ny),
+                                    this._labelTrim(bond.source, length)), length / 3);
+    const trim2 = Math.min(Math.max(this._innerLineTrim(bond.target, bond.source, nx, ny),
+                                    this._labelTrim(bond.target, length)), length / 3);
+    const ix1 = x1 + nx * bondSpacing + ux * trim1;
+    const iy1 = y1 + ny * bondSpacing + uy * trim1;
+    const ix2 = x2 + nx * bondSpacing - ux * trim2;
+    const iy2 = y2 + ny * bondSpacing - uy * trim2;
+    this._drawBondLine(bond, ix1, iy1, ix2, iy2);
+  }
+
+  /**
+   * _doubleBondSide - side of the offset line of a double bond, relative to the normal
+   * (-uy, ux) of the source to target direction: towards the center of the ring of ring bonds,
+   * towards most substituents otherwise
+   *
+   * @param  {modelBond} bond
+   * @return {number} 1 or -1, 0 for a centered double bond
+   */
+  _doubleBondSide(bond) {
+    const source = bond.source.coord;
+    const target = bond.target.coord;
+    const nx = source.y - target.y;
+    const ny = target.x - source.x;
+    const side = coord => Math.sign(nx * (coord.x - source.x) + ny * (coord.y - source.y));
+    const ring = this.innerRings.get(bond);
+    if (ring) {
+      return side(ring.getCenter()) || 1;
+    }
+    const sourceNeighbors = bond.source.getNeighbors().filter(atom => atom !== bond.target);
+    const targetNeighbors = bond.target.getNeighbors().filter(atom => atom !== bond.source);
+    if (!sourceNeighbors.length || !targetNeighbors.length) {
+      return 0;
+    }
+    return Math.sign(sourceNeighbors.concat(targetNeighbors).reduce((sum, atom) => sum + side(atom.coord), 0));
+  }
+
+  /**
+   * _innerLineTrim - length to remove from the offset line of a double bond at one end, so that
+   * it ends on the bisector of the smallest angle with a neighbor bond on the same side, one
+   * bond spacing without such neighbor
+   *
+   * @param  {modelAtom} atom - end of the bond
+   * @param  {modelAtom} other - other end of the bond
+   * @param  {number} nx - unit normal towards the offset line
+   * @param  {number} ny
+   * @return {number}
+   */
+  _innerLineTrim(atom, other, nx, ny) {
+    const bondSpacing = this.config.bondSpacing;
+    const bx = other.coord.x - atom.coord.x;
+    const by = other.coord.y - atom.coord.y;
+    const bondAngle = Math.atan2(by, bx);
+    let smallest = Math.PI;
+    atom.getNeighbors().forEach(nbr => {
+      const vx = nbr.coord.x - atom.coord.x;
+      const vy = nbr.coord.y - atom.coord.y;
+      if (nbr === other || nx * vx + ny * vy <= 0) {
+        return;
+      }
+      let angle = Math.abs(Math.atan2(vy, vx) - bondAngle);
+      if (angle > Math.PI) {
+        angle = 2 * Math.PI - angle;
+      }
+      smallest = Math.min(smallest, angle);
+    });
+    return smallest < Math.PI ? bondSpacing / Math.tan(smallest / 2) : bondSpacing;
+  }
+
+  /**
+   * _drawParallelLines - centered double bonds, triple and quadruple bonds, lines one bond
+   * spacing apart and centered on the bond, shortened at labelled atoms so that the outer lines
+   * do not run into the labels
+   *
+   * @param  {modelBond} bond
+   * @param  {number} count - number of lines
+   */
+  _drawParallelLines(bond, count) {
+    const bondSpacing = this.config.bondSpacing;
+    const ends = this._labelTrimmedEnds(bond);
+    const n = Depiction.unitNormal(ends);
+    for (let i = 0; i < count; i++) {
+      const offset = (i - (count - 1) / 2) * bondSpacing;
+      this._drawBondLine(bond, ends.x1 + n.x * offset, ends.y1 + n.y * offset,
+                         ends.x2 + n.x * offset, ends.y2 + n.y * offset);
+    }
+  }
+
+  /**
+   * _labelTrimmedEnds - depiction coordinates of the bond ends, moved along the bond away from
+   * the atoms with a label
+   *
+   * @param  {modelBond} bond
+   * @return {{x1: number, y1: number, x2: number, y2: number}}
+   */
+  _labelTrimmedEnds(bond) {
+    const ends = {
+      x1: bond.source.coord.x * this.scale - this.dx,
+      y1: bond.source.coord.y * this.scale - this.dy,
+      x2: bond.target.coord.x * this.scale - this.dx,
+      y2: bond.target.coord.y * this.scale - this.dy
+    };
+    const length = Math.sqrt((ends.x2 - ends.x1) * (ends.x2 - ends.x1) + (ends.y2 - ends.y1) * (ends.y2 - ends.y1));
+    const ux = length ? (ends.x2 - ends.x1) / length : 0;
+    const uy = length ? (ends.y2 - ends.y1) / length : 0;
+    const trim1 = this._labelTrim(bond.source, length);
+    const trim2 = this._labelTrim(bond.target, length);
+    ends.x1 += ux * trim1;
+    ends.y1 += uy * trim1;
+    ends.x2 -= ux * trim2;
+    ends.y2 -= uy * trim2;
+    return ends;
+  }
+
+  /**
+   * _labelTrim - half of the label height for atoms with a label, labels never take more than a
+   * third of the bond
+   *
+   * @param  {modelAtom} atom
+   * @param  {number} length - bond length in the depiction
+   * @return {number}
+   */
+  _labelTrim(atom, length) {
+    return this._selectAtom(atom) ? Math.min(this.config.fontSize / 2, length / 3) : 0;
+  }
+
+  /**
+   * drawBonds - bonds of the current molecule, aromatic rings are drawn as set by the
+   * aromaticStyle option
+   */
+  drawBonds() {
+    const circle = this.config.aromaticStyle === 'circle';
+    const rings = Depiction.drawingRings(this.mol);
+    // ring centers depend on the coordinates, which may have changed since the rings were found
+    this.mol.resetRingCenters();
+    /**
+     * bonds drawn as single bonds inside a circle
+     *
+     * @type {Set.<modelBond>}
+     */
+    this.circledBonds = new Set();
+    /**
+     * ring of the ring bonds, double bonds are drawn on the side of its center
+     *
+     * @type {Map.<modelBond, RingRing>}
+     */
+    this.innerRings = new Map();
+    const aromaticRings = rings.filter(Depiction.isAromaticRing);
+    if (circle) {
+      aromaticRings.forEach(ring => ring.bonds.forEach(bond => this.circledBonds.add(bond)));
+    }
+    rings.forEach(ring => ring.bonds.forEach(bond => {
+      if (!this.innerRings.has(bond)) {
+        this.innerRings.set(bond, ring);
+      }
+    }));
+    this.mol.bonds.forEach(this._drawBond, this);
+    if (circle) {
+      aromaticRings.forEach(this._drawAromaticCircle, this);
+    }
+  }
+
+  /**
+   * _drawAromaticCircle - circle inscribed in an aromatic ring, one bond spacing away from the
+   * nearest bond
+   *
+   * @param  {RingRing} ring
+   */
+  _drawAromaticCircle(ring) {
+    this._setSource('ring', {molecule: this.molIndex, atoms: ring.atoms.map(atom => this.mol.atoms.indexOf(atom))});
+    const center = ring.getCenter();
+    const cx = center.x * this.scale - this.dx;
+    const cy = center.y * this.scale - this.dy;
+    const inradius = Math.min.apply(null, ring.bonds.map(bond => {
+      const mx = (bond.source.coord.x + bond.target.coord.x) / 2 - center.x;
+      const my = (bond.source.coord.y + bond.target.coord.y) / 2 - center.y;
+      return this.scale * Math.sqrt(mx * mx + my * my);
+    }));
+    const r = Math.max(inradius - this.config.bondSpacing, inradius / 2);
+    this._addItem({
+      type: 'circle', cx: cx, cy: cy, r: r, fill: null, stroke: Depiction.DEFAULT_COLOR, width: this.config.lineWidth
+    });
+  }
+
+  /**
+   * options - options of a depiction, the given options over a copy of the defaults
+   *
+   * @param  {Object=} optOptions
+   * @return {Object}
+   */
+  static options(optOptions) {
+    const defaults = Object.assign({}, depictConfig, {highlightColors: depictConfig.highlightColors.slice()});
+    const options = Object.assign(defaults, optOptions);
+    Object.keys(options).forEach(key => Depiction.checkOption(key, options[key]));
+    return options;
+  }
+
+  /**
+   * checkOption - throw an error for an unknown option or a value the depiction can't use
+   *
+   * @param  {string} key
+   * @param  {*} value
+   */
+  static checkOption(key, value) {
+    const defaultValue = depictConfig[key];
+    const accepted = Depiction.optionValues[key];
+    if (defaultValue === undefined) {
+      throw new Error(`unknown depiction option ${key}`);
+    }
+    if (key === 'colorScheme' && value !== null && typeof value === 'object') {
+      if (Array.isArray(value) || Object.keys(value).some(symbol => typeof value[symbol] !== 'string')) {
+        throw new Error('colorScheme map expected as {symbol: color}');
+      }
+      Object.keys(value).forEach(symbol => Depiction.parseColor(value[symbol]));
+    } else if (accepted) {
+      if (!accepted.includes(value)) {
+        throw new Error(`invalid ${key} ${value}, expected ${accepted.join(', ')}`);
+      }
+    } else if (typeof defaultValue === 'number') {
+      const max = key === 'highlightOpacity' ? 1 : Infinity;
+      if (typeof value !== 'number' || !(value >= 0 && value <= max) || value === Infinity) {
+        throw new Error(`invalid ${key} ${value}, expected a number from 0 to ${max}`);
+      }
+    } else if (Array.isArray(defaultValue)) {
+      if (!Array.isArray(value) || !value.length || value.some(color => typeof color !== 'string')) {
+        throw new Error(`invalid ${key} ${value}, expected an array of colors`);
+      }
+      value.forEach(Depiction.parseColor);
+    } else if (typeof value !== 'string') {
+      throw new Error(`invalid ${key} ${value}, expected a string`);
+    } else if (key === 'bgColor') {
+      Depiction.parseColor(value);
+    }
+  }
+
+  /**
+   * parseColor - components of a color in the syntax which every backend reads: a CSS color name,
+   * transparent, #rgb, #rrggbb or rgb(r,g,b)
+   *
+   * @param  {string} color
+   * @return {?Array.<number>} red, green and blue from 0 to 255, null for transparent
+   */
+  static parseColor(color) {
+    const name = String(color).toLowerCase();
+    if (name === 'transparent') {
+      return null;
+    }
+    const hex = (resourceCssColors[name] || name).match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+    if (hex) {
+      const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+      return [0, 2, 4].map(i => parseInt(digits.substr(i, 2), 16));
+    }
+    const rgb = name.match(/^rgb\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*\)$/);
+    if (rgb && rgb.slice(1).every(component => Number(component) <= 255)) {
+      return rgb.slice(1).map(Number);
+    }
+    throw new Error(`invalid color ${color}, expected a CSS color name, transparent, #rgb, #rrggbb or rgb(r,g,b)`);
+  }
+
+  /**
+   * chargeLabel - superscript text of a charge: +, 2+, and a minus sign for negative charges
+   *
+   * @param  {number} charge
+   * @return {string}
+   */
+  static chargeLabel(charge) {
+    const count = Math.abs(charge) > 1 ? String(Math.abs(charge)) : '';
+    return count + (charge > 0 ? '+' : Depiction.MINUS);
+  }
+
+  /**
+   * unitNormal - unit vector perpendicular to a segment
+   *
+   * @param  {{x1: number, y1: number, x2: number, y2: number}} ends
+   * @return {{x: number, y: number}} (0, 1) for an empty segment
+   */
+  static unitNormal(ends) {
+    const length = Math.sqrt((ends.x2 - ends.x1) * (ends.x2 - ends.x1) + (ends.y2 - ends.y1) * (ends.y2 - ends.y1));
+    return length ? {x: -(ends.y2 - ends.y1) / length, y: (ends.x2 - ends.x1) / length} : {x: 0, y: 1};
+  }
+
+  /**
+   * drawingRings - rings of a molecule with double or aromatic bonds, in order of preference
+   * for the double bonds they share: aromatic rings, then rings with more double bonds, then
+   * smaller rings
+   *
+   * @param  {modelMolecule} mol
+   * @return {Array.<RingRing>}
+   */
+  static drawingRings(mol) {
+    if (!mol.bonds.some(bond => bond.aromatic || bond.order === 2)) {
+      return [];
+    }
+    const doubleBonds = ring => ring.bonds.filter(bond => bond.order === 2).length;
+    return mol.getRings().slice().sort((a, b) =>
+        Depiction.isAromaticRing(b) - Depiction.isAromaticRing(a) || doubleBonds(b) - doubleBonds(a) ||
+        a.atoms.length - b.atoms.length);
+  }
+
+  /**
+   * isAromaticRing - all the bonds of the ring are aromatic
+   *
+   * @param  {RingRing} ring
+   * @return {boolean}
+   */
+  static isAromaticRing(ring) { return ring.bonds.every(bond => bond.aromatic); }
+
+  /**
+   * _drawStereoGroup - draw the enhanced stereo label of a group next to each of its atoms, on
+   * the side away from the neighbors
+   *
+   * @param  {Object} group - stereo group of the molecule
+   */
+  _drawStereoGroup(group) {
+    const fontSize = this.config.stereoGroupFontSize;
+    const label = Depiction.stereoGroupLabel(group);
+    group.atoms.forEach(atom => {
+      this._setSource('stereoGroup', {molecule: this.molIndex, atom: this.mol.atoms.indexOf(atom)});
+      let ux = 0;
+      let uy = 0;
+      atom.getNeighbors().forEach(nbr => {
+        const vx = nbr.coord.x - atom.coord.x;
+        const vy = nbr.coord.y - atom.coord.y;
+        const length = Math.sqrt(vx * vx + vy * vy) || 1;
+        ux -= vx / length;
+        uy -= vy / length;
+      });
+      const length = Math.sqrt(ux * ux + uy * uy);
+      if (length < 1e-3) {
+        ux = 0;
+        uy = 1;
+      } else {
+        ux /= length;
+        uy /= length;
+      }
+      const x = atom.coord.x * this.scale - this.dx + ux * fontSize * 1.5;
+      const y = atom.coord.y * this.scale - this.dy + uy * fontSize * 1.5 + 3 * fontSize / 8;
+      this._addText(x, y, label, {fontSize: fontSize, anchor: 'middle'});
+    });
+  }
+
+  drawStereoGroups() { this.mol.stereoGroups.forEach(this._drawStereoGroup, this); }
+
+  /**
+   * drawMolecule - draw a placed molecule, it becomes the current molecule of the depiction
+   *
+   * @param  {{mol: modelMolecule, dx: number, dy: number}} placement
+   * @param  {number} index - index of the placement
+   */
+  drawMolecule(placement, index) {
+    this.mol = placement.mol;
+    this.molIndex = index;
+    this.dx = placement.dx;
+    this.dy = placement.dy;
+    this.drawHighlights();
+    this.drawBonds();
+    // atoms must be drawn after to hide part of the bonds
+    this.drawAtoms();
+    this.drawStereoGroups();
+  }
+
+  /**
+   * drawHighlights - translucent halos of the highlighted atoms and bonds of the current
+   * molecule, the opacity is set on the group so that overlapping parts have the same color
+   */
+  drawHighlights() {
+    const c = this.config;
+    const atoms = new Set(this.mol.atoms);
+    const bonds = new Set(this.mol.bonds);
+    this.highlights.forEach((group, i) => {
+      const groupAtoms = group.atoms.filter(atom => atoms.has(atom));
+      const groupBonds = group.bonds.filter(bond => bonds.has(bond));
+      if (!groupAtoms.length && !groupBonds.length) {
+        return;
+      }
+      this._setSource('highlight', {molecule: this.molIndex, group: i});
+      this._addItem({
+        type: 'halo',
+        lines: groupBonds.map(bond => [
+          bond.source.coord.x * this.scale - this.dx, bond.source.coord.y * this.scale - this.dy,
+          bond.target.coord.x * this.scale - this.dx, bond.target.coord.y * this.scale - this.dy
+        ]),
+        points: groupAtoms.map(atom => [atom.coord.x * this.scale - this.dx, atom.coord.y * this.scale - this.dy]),
+        radius: 0.75 * c.highlightWidth,
+        color: group.color,
+        opacity: c.highlightOpacity,
+        width: c.highlightWidth
+      });
+    });
+  }
+
+  /**
+   * _labelBackground - background of an atom label, tinted by the last highlight group of the
+   * atom so that the label does not hide the halo
+   *
+   * @param  {ModelAtom} atom
+   * @return {{color: string, tint: ?string, opacity: number}}
+   */
+  _labelBackground(atom) {
+    const background = {color: this.config.bgColor, tint: null, opacity: 0};
+    this.highlights.forEach(group => {
+      if (group.atoms.includes(atom)) {
+        background.tint = group.color;
+        background.opacity = this.config.highlightOpacity;
+      }
+    });
+    return background;
+  }
+
+  /**
+   * drawLegend - color swatch and label of each labelled highlight group
+   */
+  drawLegend() {
+    const c = this.config;
+    this.legend.forEach(entry => {
+      const group = this.highlights[entry.group];
+      this._setSource('legend', {group: entry.group});
+      this._addItem({
+        type: 'rect', x: entry.x, y: entry.y, width: c.fontSize, height: c.fontSize, fill: group.color,
+        opacity: c.highlightOpacity
+      });
+      this._addText(entry.x + 1.5 * c.fontSize, entry.y + 0.85 * c.fontSize, group.label, {stroke: null});
+    });
+  }
+
+  /**
+   * drawReactionSymbols - plus signs between components, the arrow and the conditions below it
+   */
+  drawReactionSymbols() {
+    const c = this.config;
+    const half = c.plusSize / 2;
+    this._setSource('plus');
+    this.plusSigns.forEach(plus => {
+      this._addLine(plus.x - half, plus.y, plus.x + half, plus.y);
+      this._addLine(plus.x, plus.y - half, plus.x, plus.y + half);
+    });
+    if (this.arrow) {
+      const a = this.arrow;
+      const head = c.arrowHeadLength;
+      this._setSource('arrow');
+      this._addLine(a.x1, a.y, a.x2 - head, a.y);
+      this._addItem({
+        type: 'polygon', points: [[a.x2, a.y], [a.x2 - head, a.y - 0.4 * head], [a.x2 - head, a.y + 0.4 * head]],
+        fill: Depiction.DEFAULT_COLOR, stroke: null, width: 0
+      });
+    }
+    this._setSource('conditions');
+    this.conditions.forEach(line => {
+      this._addText(line.x, line.y, line.text, {anchor: 'middle'});
+    });
+  }
+
+  /**
+   * stereoGroupLabel - abs for the absolute group, andN and orN for the others
+   *
+   * @param  {Object} group - stereo group of the molecule
+   * @return {string}
+   */
+  static stereoGroupLabel(group) {
+    switch (group.type) {
+      case ModelMolecule.STEREO_GROUP.AND:
+        return `and${group.number}`;
+      case ModelMolecule.STEREO_GROUP.OR:
+        return `or${group.number}`;
+      default:
+        return 'abs';
+    }
+  }
+
+  /**
+   * textWidth - approximate width of a text line, there are no font metrics without a DOM
+   *
+   * @param  {string} text
+   * @param  {number} fontSize
+   * @return {number}
+   */
+  static textWidth(text, fontSize) { return 0.6 * fontSize * text.length; }
+
+  /**
+   * textBox - approximate box of a text item of the display list, from the cap height to the
+   * baseline
+   *
+   * @param  {Object} item - text item
+   * @param  {number=} optWidth - text width when font metrics are available
+   * @return {{x: number, y: number, width: number, height: number}}
+   */
+  static textBox(item, optWidth) {
+    const width = optWidth === undefined ? Depiction.textWidth(item.text, item.fontSize) : optWidth;
+    const shift = {start: 0, middle: 0.5, end: 1}[item.anchor];
+    return {x: item.x - shift * width, y: item.y - 0.75 * item.fontSize, width: width, height: item.fontSize};
+  }
+
+  /**
+   * hitTest - topmost item of a display list under a point, labels are hit inside their box
+   *
+   * @param  {Object} displayList - display list of toDisplayList
+   * @param  {number} x
+   * @param  {number} y
+   * @param  {number=} optTolerance - distance added around lines and outlines, defaults to 0
+   * @return {?Object} the item, null if no item is under the point
+   */
+  static hitTest(displayList, x, y, optTolerance) {
+    const tolerance = optTolerance || 0;
+    for (let i = displayList.items.length - 1; i >= 0; i--) {
+      if (Depiction.itemContains(displayList.items[i], x, y, tolerance)) {
+        return displayList.items[i];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * itemContains - whether a display list item covers a point
+   *
+   * @param  {Object} item
+   * @param  {number} x
+   * @param  {number} y
+   * @param  {number} tolerance - distance added around lines and outlines
+   * @return {boolean}
+   */
+  static itemContains(item, x, y, tolerance) {
+    const margin = item.width / 2 + tolerance;
+    switch (item.type) {
+      case 'line':
+        return Depiction.segmentDistance(x, y, item.x1, item.y1, item.x2, item.y2) <= margin;
+      case 'polygon':
+        return Depiction.polygonContains(item.points, x, y) || item.points.some((point, i, points) => {
+          const next = points[(i + 1) % points.length];
+          return Depiction.segmentDistance(x, y, point[0], point[1], next[0], next[1]) <= margin;
+        });
+      case 'circle': {
+        const distance = Math.hypot(x - item.cx, y - item.cy);
+        return distance <= item.r + margin && (Boolean(item.fill) || distance >= item.r - margin);
+      }
+      case 'path': {
+        let current = [0, 0];
+        return item.commands.some(command => {
+          const start = current;
+          current = [command.x, command.y];
+          return command.op === 'arc' &&
+              Math.hypot(x - (start[0] + command.x) / 2, y - (start[1] + command.y) / 2) <= command.radius + margin;
+        });
+      }
+      case 'text': {
+        const box = Depiction.textBox(item);
+        return x >= box.x - tolerance && x <= box.x + box.width + tolerance &&
+            y >= box.y - tolerance && y <= box.y + box.height + tolerance;
+      }
+      case 'rect':
+        return x >= item.x - tolerance && x <= item.x + item.width + tolerance &&
+            y >= item.y - tolerance && y <= item.y + item.height + tolerance;
+      case 'halo':
+        return item.lines.some(line => Depiction.segmentDistance(x, y, line[0], line[1], line[2], line[3]) <= margin) ||
+            item.points.some(point => Math.hypot(x - point[0], y - point[1]) <= item.radius + tolerance);
+      default:
+        throw new Error(`unknown display list item ${item.type}`);
+    }
+  }
+
+  /**
+   * segmentDistance - distance from a point to a segment
+   *
+   * @param  {number} x
+   * @param  {number} y
+   * @param  {number} x1
+   * @param  {number} y1
+   * @param  {number} x2
+   * @param  {number} y2
+   * @return {number}
+   */
+  static segmentDistance(x, y, x1, y1, x2, y2) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const squaredLength = dx * dx + dy * dy;
+    const t = squaredLength ? Math.min(Math.max(((x - x1) * dx + (y - y1) * dy) / squaredLength, 0), 1) : 0;
+    return Math.hypot(x - x1 - t * dx, y - y1 - t * dy);
+  }
+
+  /**
+   * polygonContains - whether a point is inside a polygon, by the even-odd rule
+   *
+   * @param  {Array.<Array.<number>>} points - [x, y] vertices
+   * @param  {number} x
+   * @param  {number} y
+   * @return {boolean}
+   */
+  static polygonContains(points, x, y) {
+    let inside = false;
+    points.forEach((point, i) => {
+      const previous = points[(i || points.length) - 1];
+      if ((point[1] > y) !== (previous[1] > y) &&
+          x < (previous[0] - point[0]) * (y - point[1]) / (previous[1] - point[1]) + point[0]) {
+        inside = !inside;
+      }
+    });
+    return inside;
+  }
+
+  /**
+   * _addLine - line of the display list
+   *
+   * @param  {number} x1
+   * @param  {number} y1
+   * @param  {number} x2
+   * @param  {number} y2
+   * @param  {string=} optColor - defaults to the default color
+   */
+  _addLine(x1, y1, x2, y2, optColor) {
+    this._addItem({
+      type: 'line', x1: x1, y1: y1, x2: x2, y2: y2, color: optColor || Depiction.DEFAULT_COLOR,
+      width: this.config.lineWidth
+    });
+  }
+
+  /**
+   * _addText - text of the display list, x is the start of the text and y its baseline
+   *
+   * @param  {number} x
+   * @param  {number} y
+   * @param  {string|number} text
+   * @param  {Object=} optStyle - fontSize, anchor (start, middle or end), fill, stroke and
+   *                              background of the text, drawn without background by default
+   */
+  _addText(x, y, text, optStyle) {
+    this._addItem(Object.assign({
+      type: 'text', x: x, y: y, text: String(text), fontFamily: Depiction.FONT_FAMILY, fontSize: this.config.fontSize,
+      anchor: 'start',
+      fill: Depiction.DEFAULT_COLOR, stroke: Depiction.DEFAULT_COLOR, width: this.config.lineWidth,
+      background: null
+    }, optStyle));
+  }
+
+  /**
+   * _setSource - role and model indices given to the next items of the display list
+   *
+   * @param  {string} role
+   * @param  {Object=} optIndices - molecule, atom, bond, atoms or group index
+   */
+  _setSource(role, optIndices) { this.source = Object.assign({role: role}, optIndices); }
+
+  /**
+   * _addItem - item of the display list, tagged with the current source
+   *
+   * @param  {Object} item
+   */
+  _addItem(item) { this.items.push(Object.assign(item, this.source)); }
+
+  /**
+   * toDisplayList - draw the depiction as a list of primitives in drawing order, with the
+   * coordinates of the depiction: pixels from its top left corner, y down. The list is plain
+   * data, it can be serialized as JSON. Colors are CSS colors, null for no fill or stroke.
+   *
+   * Items have a type and the fields of their type:
+   * - line: x1, y1, x2, y2, color, width
+   * - polygon: points as [x, y] pairs, fill, stroke and width of the outline, e.g. wedges
+   * - circle: cx, cy, r, fill, stroke, width
+   * - path: commands {op: 'move', x, y} and {op: 'arc', x, y, radius, sweep}, arcs are half
+   *   circles from the current point, sweep 1 turns clockwise on the screen, color, width
+   * - text: x at the anchor (start, middle or end), y at the baseline, text, fontFamily,
+   *   fontSize, anchor, fill, stroke, width, background null or {color, tint, opacity} behind the
+   *   text box
+   * - rect: x, y, width, height, fill, opacity
+   * - halo: lines as [x1, y1, x2, y2], points as [x, y] with a radius, color, opacity and width,
+   *   painted at once with the opacity
+   *
+   * and their source: role (atom, bond, ring, stereoGroup, highlight, legend, plus, arrow or
+   * conditions), the molecule index in the depiction, the atom, bond or atoms indices in the
+   * molecule, the highlight group index.
+   *
+   * @return {{width: number, height: number, background: string, items: Array.<Object>}}
+   */
+  toDisplayList() {
+    this.items = [];
+    this.placements.forEach(this.drawMolecule, this);
+    this.drawReactionSymbols();
+    this.drawLegend();
+    return {width: this.w, height: this.h, background: this.config.bgColor, items: this.items};
+  }
+}
+
+/**
+ * Default color of bonds and labels, the stroke of the document
+ */
+Depiction.DEFAULT_COLOR = 'rgb(0,0,0)';
+
+/**
+ * Accepted values of the keyword options
+ */
+Depiction.optionValues = {
+  displayCarbonLabels: ['all', 'none', 'terminal'],
+  aromaticStyle: ['kekule', 'circle'],
+  colorScheme: ['monochrome'].concat(Object.keys(resourceElementColors))
+};
+
+/**
+ * Font family of the texts
+ */
+Depiction.FONT_FAMILY = 'sans-serif';
+
+/**
+ * Minus sign of negative charges, wider than the hyphen
+ */
+Depiction.MINUS = '\u2212';
+
+module.exports = Depiction;
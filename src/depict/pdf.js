@@ -0,0 +1,389 @@
+'use strict';
+
+const Depiction = require('./depiction');
+const resourceHelveticaWidths = require('../resource/helvetica_widths');
+
+/**
+ * Class for the PDF document of a depiction or of a grid of depictions. The document is vector
+ * graphics of one page, a pixel of the depiction is a point of the page, the texts are set in
+ * Helvetica, a standard 14 font which every PDF reader provides.
+ */
+class PdfDepict extends Depiction {
+  /**
+   * toPdf - standalone PDF document of the depiction
+   *
+   * @return {string} the document, its characters are ASCII and can be written in any encoding
+   */
+  toPdf() { return PdfDepict.gridPdf([this], 1); }
+
+  /**
+   * gridPdf - PDF document of depictions in the cells of a grid, row by row, the cells have the
+   * size of the largest depiction
+   *
+   * @param  {Array.<Depiction>} depictions - depictions of any class, their display lists are
+   *                                          written
+   * @param  {number=} optColumns - number of columns, defaults to the square root of the number
+   *                                of depictions
+   * @return {string} the document, its characters are ASCII and can be written in any encoding
+   */
+  static gridPdf(depictions, optColumns) {
+    if (!depictions.length) {
+      throw new Error('no depiction to write');
+    }
+    const columns = Math.min(optColumns || Math.ceil(Math.sqrt(depictions.length)), depictions.length);
+    const displayLists = depictions.map(depiction => depiction.toDisplayList());
+    const cellWidth = Math.max.apply(null, displayLists.map(displayList => displayList.width));
+    const cellHeight = Math.max.apply(null, displayLists.map(displayList => displayList.height));
+    const width = columns * cellWidth;
+    const height = Math.ceil(depictions.length / columns) * cellHeight;
+    const opacities = [];
+    // the display lists are in pixels from the top left corner, y down
+    const content = [`1 0 0 -1 0 ${PdfDepict.number(height)} cm 1 J`];
+    displayLists.forEach((displayList, i) => {
+      const x = i % columns * cellWidth;
+      const y = Math.floor(i / columns) * cellHeight;
+      content.push(`q 1 0 0 1 ${PdfDepict.numbers([x, y])} cm`);
+      PdfDepict.writeDisplayList(content, displayList, depictions[i].config.lineWidth, opacities);
+      content.push('Q');
+    });
+    const stream = content.join('\n');
+    const graphicsStates = opacities.map((opacity, i) =>
+        `/GS${i} << /Type /ExtGState /ca ${PdfDepict.number(opacity)} /CA ${PdfDepict.number(opacity)} >>`);
+    return PdfDepict.document([
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PdfDepict.numbers([width, height])}] ` +
+          `/Resources << /Font << /F1 5 0 R >> /ExtGState << ${graphicsStates.join(' ')} >> >> /Contents 4 0 R >>`,
+      `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+      // the minus sign of Helvetica is not in WinAnsiEncoding, it takes the unused code 127
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica ' +
+          '/Encoding << /Type /Encoding /BaseEncoding /WinAnsiEncoding /Differences [127 /minus] >> >>'
+    ]);
+  }
+
+  /**
+   * document - PDF file of its objects, numbered from 1, with the cross-reference table of their
+   * offsets, the first object is the catalog
+   *
+   * @param  {Array.<string>} objects
+   * @return {string}
+   */
+  static document(objects) {
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, i) => {
+      const offset = pdf.length;
+      pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+      return offset;
+    });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    offsets.forEach(offset => {
+      pdf += `${`000000000${offset}`.slice(-10)} 00000 n \n`;
+    });
+    return `${pdf}trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  }
+
+  /**
+   * writeDisplayList - content stream operators of a display list: the background, its frame and
+   * the items
+   *
+   * @param  {Array.<string>} content - operators, one line each
+   * @param  {Object} displayList
+   * @param  {number} frameWidth - line width of the frame
+   * @param  {Array.<number>} opacities - opacities of the graphics states of the page
+   */
+  static writeDisplayList(content, displayList, frameWidth, opacities) {
+    const box = PdfDepict.numbers([0, 0, displayList.width, displayList.height]);
+    const background = PdfDepict.color(displayList.background);
+    if (background) {
+      content.push(`${background} rg ${box} re f`);
+    }
+    content.push(`0 0 0 RG ${PdfDepict.number(frameWidth)} w ${box} re S`);
+    displayList.items.map(item => PdfDepict.itemOperators(item, opacities))
+        .filter(operators => operators)
+        .forEach(operators => content.push(operators));
+  }
+
+  /**
+   * itemOperators - content stream operators of a display list item, empty for an item without
+   * paint
+   *
+   * @param  {Object} item
+   * @param  {Array.<number>} opacities - opacities of the graphics states of the page
+   * @return {string}
+   */
+  static itemOperators(item, opacities) {
+    switch (item.type) {
+      case 'line':
+        return PdfDepict.color(item.color) ?
+            `${PdfDepict.strokeStyle(item.color, item.width)} ` +
+                `${PdfDepict.numbers([item.x1, item.y1])} m ${PdfDepict.numbers([item.x2, item.y2])} l S` :
+            '';
+      case 'polygon': {
+        const path = item.points.map((point, i) => `${PdfDepict.numbers(point)} ${i ? 'l' : 'm'}`).join(' ');
+        const fill = PdfDepict.color(item.fill);
+        const stroke = item.stroke ? PdfDepict.color(item.stroke) : null;
+        const operator = PdfDepict.paintOperator(fill, stroke);
+        return `${fill ? `${fill} rg ` : ''}${path} h ` +
+            (stroke ? `${PdfDepict.strokeStyle(item.stroke, item.width)} 1 j ${operator} 0 j` : operator);
+      }
+      case 'circle':
+        return `${PdfDepict.circlePath(item.cx, item.cy, item.r)} ` +
+            PdfDepict.paint(item.fill, item.stroke, item.width);
+      case 'path':
+        return PdfDepict.color(item.color) ?
+            `${PdfDepict.strokeStyle(item.color, item.width)} ${PdfDepict.commandsPath(item.commands)} S` :
+            '';
+      case 'text':
+        return PdfDepict.textOperators(item, opacities);
+      case 'rect':
+        return PdfDepict.color(item.fill) ?
+            `q ${PdfDepict.graphicsState(item.opacity, opacities)} ${PdfDepict.color(item.fill)} rg ` +
+                `${PdfDepict.numbers([item.x, item.y, item.width, item.height])} re f Q` :
+            '';
+      case 'halo': {
+        if (!PdfDepict.color(item.color)) {
+          return '';
+        }
+        // a single stroke at the opacity, so that overlapping parts are not darker
+        const inner = Math.max(item.radius - item.width / 2, 0);
+        const lines = item.lines.map(line =>
+            `${PdfDepict.numbers(line.slice(0, 2))} m ${PdfDepict.numbers(line.slice(2))} l`);
+        const discs = item.points.map(point => PdfDepict.circlePath(point[0], point[1], inner));
+        return `q ${PdfDepict.graphicsState(item.opacity, opacities)} ` +
+            `${PdfDepict.strokeStyle(item.color, item.width)} ${lines.concat(discs).join(' ')} S Q`;
+      }
+      default:
+        throw new Error(`unknown display list item ${item.type}`);
+    }
+  }
+
+  /**
+   * textOperators - text object of a text item, over the box of its background with the margins
+   * of the label filter of SvgDepict
+   *
+   * @param  {Object} item - text item
+   * @param  {Array.<number>} opacities - opacities of the graphics states of the page
+   * @return {string}
+   */
+  static textOperators(item, opacities) {
+    const box = Depiction.textBox(item, PdfDepict.textWidth(item.text, item.fontSize));
+    let operators = '';
+    if (item.background) {
+      const rect = PdfDepict.numbers([box.x - 0.05 * box.width, box.y, 1.3 * box.width, 1.3 * box.height]);
+      if (PdfDepict.color(item.background.color)) {
+        operators += `${PdfDepict.color(item.background.color)} rg ${rect} re f `;
+      }
+      if (item.background.tint && PdfDepict.color(item.background.tint)) {
+        operators += `q ${PdfDepict.graphicsState(item.background.opacity, opacities)} ` +
+            `${PdfDepict.color(item.background.tint)} rg ${rect} re f Q `;
+      }
+    }
+    const fill = PdfDepict.color(item.fill);
+    const stroke = item.stroke ? PdfDepict.color(item.stroke) : null;
+    // the text matrix turns the text upright in the y down coordinates
+    return `${operators}BT /F1 ${PdfDepict.number(item.fontSize)} Tf ` +
+        (stroke ? `${PdfDepict.strokeStyle(item.stroke, item.width)} ` : '') +
+        `${PdfDepict.TEXT_RENDERING_MODES[PdfDepict.paintOperator(fill, stroke)]} Tr ` +
+        (fill ? `${fill} rg ` : '') +
+        `1 0 0 -1 ${PdfDepict.numbers([box.x, item.y])} Tm (${PdfDepict.encodeText(item.text)}) Tj ET`;
+  }
+
+  /**
+   * commandsPath - path of the move and half circle commands of a path item
+   *
+   * @param  {Array.<Object>} commands
+   * @return {string}
+   */
+  static commandsPath(commands) {
+    let x = 0;
+    let y = 0;
+    return commands.map(command => {
+      const start = [x, y];
+      x = command.x;
+      y = command.y;
+      if (command.op === 'move') {
+        return `${PdfDepict.numbers([x, y])} m`;
+      }
+      const cx = (start[0] + x) / 2;
+      const cy = (start[1] + y) / 2;
+      // the sweep of SVG arcs turns clockwise on the screen for 1, the angles increase clockwise
+      // with y down
+      return PdfDepict.arcCurves(cx, cy, command.radius, Math.atan2(start[1] - cy, start[0] - cx),
+                                 command.sweep ? Math.PI : -Math.PI);
+    }).join(' ');
+  }
+
+  /**
+   * circlePath - closed path of a circle
+   *
+   * @param  {number} cx
+   * @param  {number} cy
+   * @param  {number} r
+   * @return {string}
+   */
+  static circlePath(cx, cy, r) {
+    return `${PdfDepict.numbers([cx + r, cy])} m ${PdfDepict.arcCurves(cx, cy, r, 0, 2 * Math.PI)} h`;
+  }
+
+  /**
+   * arcCurves - Bézier curves of an arc from the current point, one curve for each quarter of a
+   * circle at most
+   *
+   * @param  {number} cx
+   * @param  {number} cy
+   * @param  {number} r
+   * @param  {number} start - angle of the current point
+   * @param  {number} sweep - angle of the arc, positive from the x axis to the y axis
+   * @return {string}
+   */
+  static arcCurves(cx, cy, r, start, sweep) {
+    const count = Math.max(Math.ceil(Math.abs(sweep) / (Math.PI / 2) - 1e-9), 1);
+    const step = sweep / count;
+    const k = 4 / 3 * Math.tan(step / 4);
+    const curves = [];
+    for (let i = 0; i < count; i++) {
+      const cos1 = Math.cos(start + i * step);
+      const sin1 = Math.sin(start + i * step);
+      const cos2 = Math.cos(start + (i + 1) * step);
+      const sin2 = Math.sin(start + (i + 1) * step);
+      curves.push(`${PdfDepict.numbers([
+        cx + r * (cos1 - k * sin1), cy + r * (sin1 + k * cos1),
+        cx + r * (cos2 + k * sin2), cy + r * (sin2 - k * cos2),
+        cx + r * cos2, cy + r * sin2
+      ])} c`);
+    }
+    return curves.join(' ');
+  }
+
+  /**
+   * paint - painting operator of a closed path, with a null or transparent fill or stroke
+   *
+   * @param  {?string} fill
+   * @param  {?string} stroke
+   * @param  {number} width - stroke width
+   * @return {string}
+   */
+  static paint(fill, stroke, width) {
+    const fillColor = fill ? PdfDepict.color(fill) : null;
+    const strokeColor = stroke ? PdfDepict.color(stroke) : null;
+    return (fillColor ? `${fillColor} rg ` : '') + (strokeColor ? `${PdfDepict.strokeStyle(stroke, width)} ` : '') +
+        PdfDepict.paintOperator(fillColor, strokeColor);
+  }
+
+  /**
+   * paintOperator - operator which fills, strokes, both or ends a path without painting it
+   *
+   * @param  {?string} fill - fill color operands, null for no fill
+   * @param  {?string} stroke - stroke color operands, null for no stroke
+   * @return {string} B, f, S or n
+   */
+  static paintOperator(fill, stroke) {
+    if (fill) {
+      return stroke ? 'B' : 'f';
+    }
+    return stroke ? 'S' : 'n';
+  }
+
+  /**
+   * strokeStyle - operators of the stroke color and width
+   *
+   * @param  {string} color
+   * @param  {number} width
+   * @return {string}
+   */
+  static strokeStyle(color, width) { return `${PdfDepict.color(color)} RG ${PdfDepict.number(width)} w`; }
+
+  /**
+   * graphicsState - operator setting the graphics state of an opacity, added to the graphics
+   * states of the page
+   *
+   * @param  {number} opacity
+   * @param  {Array.<number>} opacities - opacities of the graphics states of the page
+   * @return {string}
+   */
+  static graphicsState(opacity, opacities) {
+    if (opacities.indexOf(opacity) < 0) {
+      opacities.push(opacity);
+    }
+    return `/GS${opacities.indexOf(opacity)} gs`;
+  }
+
+  /**
+   * color - RGB components of a color of Depiction.parseColor, transparent and the none of SVG
+   * paint nothing
+   *
+   * @param  {string} color
+   * @return {?string} the red, green and blue components from 0 to 1, null for no paint
+   */
+  static color(color) {
+    const components = color.toLowerCase() === 'none' ? null : Depiction.parseColor(color);
+    return components && PdfDepict.numbers(components.map(component => component / 255));
+  }
+
+  /**
+   * encodeText - content of the string of a text, in the encoding of the font: characters out of
+   * ASCII are octal escapes, the characters which are neither in Latin-1 nor the minus sign are
+   * replaced by a question mark
+   *
+   * @param  {string} text
+   * @return {string}
+   */
+  static encodeText(text) {
+    return Array.from(text).map(c => {
+      const code = c.charCodeAt(0);
+      if (c === Depiction.MINUS) {
+        return '\\177';
+      }
+      if (c === '(' || c === ')' || c === '\\') {
+        return `\\${c}`;
+      }
+      if (code >= 32 && code < 127) {
+        return c;
+      }
+      return code >= 160 && code < 256 ? `\\${code.toString(8)}` : '?';
+    }).join('');
+  }
+
+  /**
+   * textWidth - width of a text in Helvetica, the characters out of ASCII other than the minus
+   * sign have the width of a digit
+   *
+   * @param  {string} text
+   * @param  {number} fontSize
+   * @return {number}
+   */
+  static textWidth(text, fontSize) {
+    const widths = resourceHelveticaWidths;
+    return Array.from(text).reduce((sum, c) => {
+      const code = c.charCodeAt(0);
+      if (c === Depiction.MINUS) {
+        return sum + widths.minus;
+      }
+      return sum + (code >= 32 && code < 127 ? widths.ascii[code - 32] : widths.ascii['0'.charCodeAt(0) - 32]);
+    }, 0) * fontSize / 1000;
+  }
+
+  /**
+   * number - number operand, rounded to the thousandth
+   *
+   * @param  {number} x
+   * @return {string}
+   */
+  static number(x) { return String(Math.round(x * 1000) / 1000 + 0); }
+
+  /**
+   * numbers - number operands separated by spaces
+   *
+   * @param  {Array.<number>} values
+   * @return {string}
+   */
+  static numbers(values) { return values.map(PdfDepict.number).join(' '); }
+}
+
+/**
+ * Text rendering modes of the painting operators: fill, stroke, both or invisible
+ */
+PdfDepict.TEXT_RENDERING_MODES = {f: 0, S: 1, B: 2, n: 3};
+
+module.exports = PdfDepict;
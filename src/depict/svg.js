@@ -1,156 +1,180 @@
 'use strict';
 
-const svgConfig = require('./config');
-const HydrogenPosition = require('../renderer/hydrogen_position');
-
-// svg string
-let sb = '';
-
-class SvgDepict {
-  /**
-   * constructor - Load config and calculate size of the depiction
-   *
-   * @param  {modelMolecule} mol - Molecule to display
-   */
-  constructor(mol) {
-    // TODO: Use es6 default parameter for config when available in node
-    this.config = svgConfig;
-    this.mol = mol;
-    this.sizeCalculator();
-  }
-
-  sizeCalculator() {
-    this.scale = this.config.bondLength / this.mol.getAverageBondLength();
-    const margin = this.scale * this.config.marginWidth;
-    const box = this.mol.getBoundingBox();  // getters: top bottom left right
-    // translations
-    this.dx = this.scale * box.left - margin;
-    this.dy = this.scale * box.top - margin;
-    // size
-    this.w = this.scale * (box.right - box.left) + 2 * margin;
-    this.h = this.scale * (box.bottom - box.top) + 2 * margin;
-  }
+const Depiction = require('./depiction');
+const xml = require('../utils/xml');
 
+/** Class for the SVG document of a depiction. */
+class SvgDepict extends Depiction {
   writeHeader(bgColor) {
-    sb = `
+    this.sb = `
 <svg version='1.2'
     baseProfile='full'
     width='${this.w}' height='${this.h}'
     xmlns='http://www.w3.org/2000/svg'
     x="0" y="0"
-    font-family="sans-serif"
+    font-family="${SvgDepict.FONT_FAMILY}"
     font-size='${this.config.fontSize}'
-    stroke="rgb(0,0,0)" stroke-width="${this.config.lineWidth}"
+    stroke="${SvgDepict.DEFAULT_COLOR}" stroke-width="${this.config.lineWidth}"
     stroke-linecap="round">
 <defs>
     <filter x='-0.05' y='0' width='1.3' height='1.3' id='solid-bg'>
         <feFlood flood-color='${bgColor}'/>
         <feComposite in='SourceGraphic'/>
     </filter>
-</defs>
+${this.highlights.map((group, i) => SvgDepict.highlightFilter(bgColor, group.color, this.config.highlightOpacity, i))
+    .join('')}</defs>
 
 <rect width='100%' height='100%' fill='${bgColor}' stroke='black'/>
   `;
   }
 
-  _drawAtom(element) {
-    const fontSize = this.config.fontSize;
-    const symb = element.symbol;
-    const coord = element.coord;
-    const hydrogen = element.hydrogenCount();
-    const hydrogenPosition = new HydrogenPosition(element).getHydrogenPosition();
-
-    let x = coord.x * this.scale - this.dx;
-    let y = coord.y * this.scale - this.dy;
-    // Text alignments
-    // TODO: needs to be more general
-    x -= fontSize / 2.5;
-    y += 3 * fontSize / 8;
-    sb += `<text x='${x}' y='${y}' filter='url(#solid-bg)'>${symb}</text>\n`;
-
-    if (hydrogen > 0) {
-      let dx = fontSize * 9 / 10;
-      // used for subscript numbers
-      const dy = fontSize / 2;
-
-      if (hydrogenPosition === 'Left') {
-        if (hydrogen > 1) {
-          sb += `<text x='${x - 2 * dx}' y='${y}' filter='url(#solid-bg)'>H</text>\n`;
-          sb +=
-              `<text x='${x - 1 * dx}' y='${y + dy}' filter='url(#solid-bg)'>${hydrogen}</text>\n`;
-        } else {
-          sb += `<text x='${x - dx}' y='${y}' filter='url(#solid-bg)'>H</text>\n`;
-        }
-      } else {
-        sb += `<text x='${x + dx}' y='${y}' filter='url(#solid-bg)'>H</text>\n`;
-        if (hydrogen > 1) {
-          sb +=
-              `<text x='${x + 2 * dx}' y='${y + dy}' filter='url(#solid-bg)'>${hydrogen}</text>\n`;
-        }
-      }
+  /**
+   * _writeItem - SVG element of a display list item
+   *
+   * @param  {Object} item
+   */
+  _writeItem(item) {
+    switch (item.type) {
+      case 'line':
+        this.sb += `<line x1='${item.x1}' y1='${item.y1}' x2='${item.x2}' y2='${item.y2}'` +
+            `${SvgDepict.strokeAttribute(item.color)}${this._widthAttribute(item.width)}/>\n`;
+        break;
+      case 'polygon':
+        this.sb += `<polygon points='${item.points.map(point => point.join(',')).join(' ')}' fill='${item.fill}'` +
+            (item.stroke ? ` stroke-linejoin='round'${SvgDepict.strokeAttribute(item.stroke)}` : ' stroke=\'none\'') +
+            '/>\n';
+        break;
+      case 'circle':
+        this.sb += `<circle cx='${item.cx}' cy='${item.cy}' r='${item.r}' fill='${item.fill || 'none'}'` +
+            `${item.stroke ? SvgDepict.strokeAttribute(item.stroke) : ' stroke=\'none\''}/>\n`;
+        break;
+      case 'path':
+        this.sb += `<path d='${SvgDepict.pathData(item.commands)}' fill='none'` +
+            `${SvgDepict.strokeAttribute(item.color)}/>\n`;
+        break;
+      case 'text':
+        this._writeText(item);
+        break;
+      case 'rect':
+        this.sb += `<rect x='${item.x}' y='${item.y}' width='${item.width}' height='${item.height}' ` +
+            `fill='${item.fill}' opacity='${item.opacity}' stroke='none'/>\n`;
+        break;
+      case 'halo':
+        this.sb += `<g opacity='${item.opacity}' fill='${item.color}' stroke='${item.color}' ` +
+            `stroke-width='${item.width}'>\n`;
+        item.lines.forEach(line => {
+          this.sb += `<line x1='${line[0]}' y1='${line[1]}' x2='${line[2]}' y2='${line[3]}'/>\n`;
+        });
+        item.points.forEach(point => {
+          this.sb += `<circle cx='${point[0]}' cy='${point[1]}' r='${item.radius}' stroke='none'/>\n`;
+        });
+        this.sb += '</g>\n';
+        break;
+      default:
+        throw new Error(`unknown display list item ${item.type}`);
     }
   }
 
   /**
-  * _selectAtoms - select atoms for depiction
-  * Cuurently depict only hetroatoms and terminal carbons if config
-  * displayTerminalCarbonLabels is true
-  *
-  * @param  {modelAtom} atom - input atom
-  *
-  * @return {boolean} - does the input atom should be displayed or not
-  */
-  _selectAtom(atom) {
-    const c = this.config;
-    switch (c.displayCarbonLabels) {
-      case 'all':
-        return atom;
-      case 'none':
-        return atom.symbol === 'C' ? false : atom;
-      case 'terminal':
-      default: {
-        let output = false;
-        if (atom.symbol !== 'C' || (atom.symbol === 'C' && atom.getNeighbors().length < 2)) {
-          output = atom;
-        }
-        return output;
-      }
-    }
+   * _writeText - text element, the font size and anchor are written when they differ from the
+   * defaults of the document, the background is drawn by a filter
+   *
+   * @param  {Object} item - text item
+   */
+  _writeText(item) {
+    const fontSize = item.fontSize === this.config.fontSize ? '' : ` font-size='${item.fontSize}'`;
+    const anchor = item.anchor === 'start' ? '' : ` text-anchor='${item.anchor}'`;
+    const filter = item.background ? ` filter='url(#${this._backgroundFilter(item.background)})'` : '';
+    this.sb += `<text x='${item.x}' y='${item.y}'${fontSize}${anchor}${filter}` +
+        `${SvgDepict.paintAttributes(item.fill, item.stroke)}>${xml.escape(item.text)}</text>\n`;
   }
 
-  drawAtoms() {
-    let atoms = this.mol.atoms.filter(this._selectAtom, this);
-    atoms.forEach(this._drawAtom, this);
+  /**
+   * _backgroundFilter - id of the filter of a label background, the filter of the first highlight
+   * group of the tint
+   *
+   * @param  {{color: string, tint: ?string, opacity: number}} background
+   * @return {string}
+   */
+  _backgroundFilter(background) {
+    const index = background.tint ? this.highlights.findIndex(group => group.color === background.tint) : -1;
+    return index < 0 ? 'solid-bg' : `highlight-bg-${index}`;
   }
 
-  _drawBond(bond) {
-    const bondSpacing = this.config.bondSpacing;
-    let x1 = bond.source.coord.x * this.scale - this.dx;
-    let y1 = bond.source.coord.y * this.scale - this.dy;
-    let x2 = bond.target.coord.x * this.scale - this.dx;
-    let y2 = bond.target.coord.y * this.scale - this.dy;
+  /**
+   * _widthAttribute - stroke-width attribute of a width other than the line width of the document
+   *
+   * @param  {number} width
+   * @return {string}
+   */
+  _widthAttribute(width) { return width === this.config.lineWidth ? '' : ` stroke-width='${width}'`; }
+
+  /**
+   * strokeAttribute - stroke attribute of a color other than the stroke of the document
+   *
+   * @param  {string} color
+   * @return {string}
+   */
+  static strokeAttribute(color) { return color === SvgDepict.DEFAULT_COLOR ? '' : ` stroke='${color}'`; }
 
-    if (bond.order === 1) {
-      sb += `<line x1='${x1}' y1='${y1}' x2='${x2}' y2='${y2}'/>\n `;
-    } else if (bond.order === 2) {
-      y1 += bondSpacing / 2;
-      y2 += bondSpacing / 2;
-      sb += `<line x1='${x1}' y1='${y1}' x2='${x2}' y2='${y2}'/>\n `;
-      y1 -= bondSpacing;
-      y2 -= bondSpacing;
-      sb += `<line x1='${x1}' y1='${y1}' x2='${x2}' y2='${y2}'/>\n`;
+  /**
+   * paintAttributes - fill and stroke attributes of a text, a null stroke is not outlined
+   *
+   * @param  {string} fill
+   * @param  {?string} stroke
+   * @return {string}
+   */
+  static paintAttributes(fill, stroke) {
+    if (!stroke) {
+      return `${fill === SvgDepict.DEFAULT_COLOR ? '' : ` fill='${fill}'`} stroke='none'`;
+    }
+    if (fill === SvgDepict.DEFAULT_COLOR && stroke === SvgDepict.DEFAULT_COLOR) {
+      return '';
     }
+    return ` fill='${fill}' stroke='${stroke}'`;
   }
 
-  drawBonds() { this.mol.bonds.forEach(this._drawBond, this); }
+  /**
+   * pathData - d attribute of the commands of a path item, arcs are half circles
+   *
+   * @param  {Array.<Object>} commands
+   * @return {string}
+   */
+  static pathData(commands) {
+    return commands.map(command => command.op === 'move' ?
+        `M${command.x},${command.y}` :
+        `A${command.radius},${command.radius} 0 0,${command.sweep} ${command.x},${command.y}`).join(' ');
+  }
+
+  /**
+   * highlightFilter - label background filter of a highlight group: the halo color at the
+   * highlight opacity over the background color
+   *
+   * @param  {string} bgColor
+   * @param  {string} color
+   * @param  {number} opacity
+   * @param  {number} index - index of the highlight group
+   * @return {string}
+   */
+  static highlightFilter(bgColor, color, opacity, index) {
+    return `    <filter x='-0.05' y='0' width='1.3' height='1.3' id='highlight-bg-${index}'>
+        <feFlood flood-color='${bgColor}' result='bg'/>
+        <feFlood flood-color='${color}' flood-opacity='${opacity}' result='tint'/>
+        <feMerge>
+            <feMergeNode in='bg'/>
+            <feMergeNode in='tint'/>
+            <feMergeNode in='SourceGraphic'/>
+        </feMerge>
+    </filter>
+`;
+  }
 
   toSvg() {
-    this.writeHeader(this.config.bgColor);
-    sb += '\n';
-    this.drawBonds();
-    // atoms must be drawn after to hide part of the bonds
-    this.drawAtoms();
-    return sb + '</svg>';
+    const displayList = this.toDisplayList();
+    this.writeHeader(displayList.background);
+    this.sb += '\n';
+    displayList.items.forEach(this._writeItem, this);
+    return this.sb + '</svg>';
   }
 }
 
@@ -2,16 +2,49 @@
 
 const VERSION = require('json!../package.json').version;
 
+const ModelReaction = require('./model/reaction');
+
 const SmilesParser = require('./io/smiles_parser');
+const SmilesWriter = require('./io/smiles_writer');
+const MolfileParser = require('./io/molfile_parser');
+const MolfileWriter = require('./io/molfile_writer');
+const RxnParser = require('./io/rxn_parser');
+const RxnWriter = require('./io/rxn_writer');
+const SmartsParser = require('./io/smarts_parser');
+const SdfParser = require('./io/sdf_parser');
+const CmlParser = require('./io/cml_parser');
+const CmlWriter = require('./io/cml_writer');
+const JSONParser = require('./io/json_parser');
 const WriteChemdoodleJson = require('./io/write_chemdoodlejson');
+const SubstructureMatcher = require('./query/substructure');
+const ringAromaticity = require('./ring/aromaticity');
 const CoordinateGenerator = require('./layout/coordinate_generator');
+const Depiction = require('./depict/depiction');
 const SvgDepict = require('./depict/svg');
+const CanvasDepict = require('./depict/canvas');
+const PdfDepict = require('./depict/pdf');
 
 const ChemPict = {
+  ModelReaction: ModelReaction,
   SmilesParser: SmilesParser,
-  WriteChemdoodleJson: function(arg) { return new WriteChemdoodleJson(arg); },
+  SmilesWriter: function(mol, options) { return new SmilesWriter(mol, options); },
+  MolfileParser: function(molfile) { return new MolfileParser(molfile); },
+  MolfileWriter: function(mol, options) { return new MolfileWriter(mol, options); },
+  RxnParser: function(rxn) { return new RxnParser(rxn); },
+  RxnWriter: function(reaction, options) { return new RxnWriter(reaction, options); },
+  SmartsParser: SmartsParser,
+  SdfParser: SdfParser,
+  CmlParser: function(cml) { return new CmlParser(cml); },
+  CmlWriter: function(molOrMols) { return new CmlWriter(molOrMols); },
+  JSONParser: function(json) { return new JSONParser(json); },
+  WriteChemdoodleJson: function(arg, shapes) { return new WriteChemdoodleJson(arg, shapes); },
+  SubstructureMatcher: function(smarts) { return new SubstructureMatcher(smarts); },
+  Aromaticity: ringAromaticity,
   CoordinateGenerator: CoordinateGenerator,
+  Depiction: Depiction,
   SvgDepict: SvgDepict,
+  CanvasDepict: CanvasDepict,
+  PdfDepict: PdfDepict,
   getVersion: VERSION
 };
 
@@ -0,0 +1,211 @@
+'use strict';
+
+const ModelAtom = require('../model/atom');
+const ModelBond = require('../model/bond');
+const ModelMolecule = require('../model/molecule');
+const ringAromaticity = require('../ring/aromaticity');
+const xml = require('../utils/xml');
+
+/** Class for the Chemical Markup Language (CML) reader. */
+class CmlParser {
+  /**
+   * constructor - Parse the xml of a CML document
+   *
+   * @param  {string} cml - CML document with molecule elements
+   */
+  constructor(cml) { this.root = xml.parse(cml); }
+
+  /**
+   * parseMolecules - convert all molecule elements which are not nested in another molecule,
+   * CML coordinates have the y axis pointing up, they are flipped to the screen orientation of
+   * the model
+   *
+   * @return {Array.<ModelMolecule>}
+   */
+  parseMolecules() { return this.moleculeElements().map(element => this.parseMolecule(element)); }
+
+  /**
+   * moleculeElements - molecule elements which are not nested in another molecule
+   *
+   * @return {Array.<Object>}
+   */
+  moleculeElements() {
+    const elements = [];
+    const find = element => {
+      if (element.name === 'molecule') {
+        elements.push(element);
+      } else {
+        element.children.forEach(find);
+      }
+    };
+    find(this.root);
+    return elements;
+  }
+
+  /**
+   * parseMolecule - convert a molecule element to a model of molecule
+   *
+   * @param  {Object=} optElement - molecule element, defaults to the first one of the document
+   * @return {ModelMolecule}
+   */
+  parseMolecule(optElement) {
+    const element = optElement || this.moleculeElements()[0];
+    if (!element) {
+      throw new Error('no molecule element in CML');
+    }
+    const names = xml.children(element, 'name');
+    const mol = new ModelMolecule(element.attributes.title || (names.length ? names[0].text.trim() : ''));
+    mol.id = element.attributes.id;
+    const atomIds = new Map();
+    const hydrogenCounts = new Map();
+    xml.children(element, 'atomArray').forEach(atomArray => {
+      CmlParser.arrayElements(atomArray, 'atom', 'atomID').forEach(attributes => {
+        const atom = this.parseAtom(attributes);
+        if (attributes.id) {
+          atomIds.set(attributes.id, atom);
+        }
+        if (attributes.hydrogenCount !== undefined) {
+          hydrogenCounts.set(atom, parseInt(attributes.hydrogenCount, 10));
+        }
+        mol.addAtom(atom);
+      });
+    });
+    xml.children(element, 'bondArray').forEach(bondArray => {
+      bondArray.children.filter(child => child.name === 'bond').forEach(bond => {
+        mol.addBond(this.parseBond(bond, atomIds));
+      });
+      CmlParser.arrayElements({attributes: bondArray.attributes, children: []}, 'bond', 'bondID')
+          .forEach(attributes => mol.addBond(this.parseBond({attributes: attributes, children: []}, atomIds)));
+    });
+    ringAromaticity.kekulizeOrThrow(mol);
+    // hydrogenCount is the total count, hydrogen atoms of the molecule are part of it
+    hydrogenCounts.forEach((count, atom) => {
+      const hydrogens = atom.getNeighbors().filter(nbr => nbr.symbol === 'H').length;
+      atom.setHydrogenCount(Math.max(0, count - hydrogens));
+    });
+    return mol;
+  }
+
+  /**
+   * parseAtom - convert atom attributes to a model of atom
+   *
+   * @param  {Object} attributes - elementType, x2, y2, formalCharge, isotopeNumber,
+   *                               spinMultiplicity
+   * @return {ModelAtom}
+   */
+  parseAtom(attributes) {
+    if (!attributes.elementType) {
+      throw new Error(`atom ${attributes.id || ''} without elementType`);
+    }
+    const x = parseFloat(attributes.x2 === undefined ? attributes.x3 : attributes.x2) || 0;
+    const y = parseFloat(attributes.y2 === undefined ? attributes.y3 : attributes.y2) || 0;
+    const atom = new ModelAtom(attributes.elementType, x, -y, parseInt(attributes.formalCharge, 10) || 0, false,
+        parseInt(attributes.isotopeNumber, 10) || 0);
+    atom.radical = CmlParser.radicals[attributes.spinMultiplicity] || ModelAtom.RADICAL.NONE;
+    return atom;
+  }
+
+  /**
+   * parseBond - convert a bond element to a model of bond, bondStereo W and H are wedges, C and T
+   * with atomRefs4 are double bond configurations
+   *
+   * @param  {Object} element - bond element
+   * @param  {Map} atomIds - atoms by id
+   * @return {ModelBond}
+   */
+  parseBond(element, atomIds) {
+    const attributes = element.attributes;
+    const refs = (attributes.atomRefs2 || '').trim().split(/\s+/).map(id => atomIds.get(id));
+    if (refs.length !== 2 || !refs[0] || !refs[1]) {
+      throw new Error(`invalid atomRefs2 ${attributes.atomRefs2}`);
+    }
+    const order = CmlParser.bondOrders[attributes.order || '1'];
+    if (order === undefined) {
+      throw new Error(`unknown bond order ${attributes.order}`);
+    }
+    const aromatic = order === CmlParser.AROMATIC;
+    const bond = new ModelBond(refs[0], refs[1], aromatic ? ModelBond.ORDER.SINGLE : order, null, aromatic);
+    if (aromatic) {
+      refs[0].aromatic = true;
+      refs[1].aromatic = true;
+    }
+    xml.children(element, 'bondStereo').forEach(stereo => {
+      const value = stereo.text.trim();
+      if (value === 'W' || value === 'H') {
+        bond.stereo = value === 'W' ? ModelBond.STEREO.UP : ModelBond.STEREO.DOWN;
+      } else if (value === 'C' || value === 'T') {
+        const refs4 = (stereo.attributes.atomRefs4 || '').trim().split(/\s+/).map(id => atomIds.get(id));
+        if (refs4.length !== 4 || refs4.some(atom => !atom)) {
+          throw new Error(`invalid atomRefs4 ${stereo.attributes.atomRefs4}`);
+        }
+        // atomRefs4 goes from a neighbor of the first atom to a neighbor of the second one
+        const sourceFirst = refs4[1] === bond.source;
+        bond.setConfiguration(
+            value === 'C' ? ModelBond.CONFIGURATION.CIS : ModelBond.CONFIGURATION.TRANS,
+            sourceFirst ? refs4[0] : refs4[3], sourceFirst ? refs4[3] : refs4[0]);
+      }
+    });
+    return bond;
+  }
+
+  /**
+   * arrayElements - attributes of the child elements, or of the array attributes form
+   * (atomArray atomID="a1 a2" elementType="C O" ...)
+   *
+   * @param  {Object} array - atomArray or bondArray element
+   * @param  {string} name - child element name
+   * @param  {string} idAttribute - name of the id array attribute
+   * @return {Array.<Object>}
+   */
+  static arrayElements(array, name, idAttribute) {
+    const elements = array.children.filter(child => child.name === name).map(child => child.attributes);
+    const key = [idAttribute, 'elementType', 'atomRef1'].find(k => array.attributes[k]);
+    if (key) {
+      const columns = {};
+      Object.keys(array.attributes).forEach(k => {
+        columns[k === idAttribute ? 'id' : k] = array.attributes[k].trim().split(/\s+/);
+      });
+      columns[key === idAttribute ? 'id' : key].forEach((value, i) => {
+        const attributes = {};
+        Object.keys(columns).forEach(k => {
+          attributes[k] = columns[k][i];
+        });
+        // bondArray uses atomRef1 and atomRef2 arrays
+        if (attributes.atomRef1 && attributes.atomRef2) {
+          attributes.atomRefs2 = `${attributes.atomRef1} ${attributes.atomRef2}`;
+        }
+        elements.push(attributes);
+      });
+    }
+    return elements;
+  }
+}
+
+/**
+ * Bond order of aromatic bonds
+ */
+CmlParser.AROMATIC = 'A';
+
+/**
+ * CML bond orders to ModelBond.ORDER
+ */
+CmlParser.bondOrders = {
+  1: ModelBond.ORDER.SINGLE,
+  S: ModelBond.ORDER.SINGLE,
+  2: ModelBond.ORDER.DOUBLE,
+  D: ModelBond.ORDER.DOUBLE,
+  3: ModelBond.ORDER.TRIPLE,
+  T: ModelBond.ORDER.TRIPLE,
+  4: ModelBond.ORDER.QUADRUPLE,
+  A: CmlParser.AROMATIC
+};
+
+/**
+ * spinMultiplicity to ModelAtom.RADICAL, 1 is read as no radical
+ */
+CmlParser.radicals = {
+  2: ModelAtom.RADICAL.DOUBLET,
+  3: ModelAtom.RADICAL.TRIPLET
+};
+
+module.exports = CmlParser;
@@ -0,0 +1,140 @@
+'use strict';
+
+const ModelAtom = require('../model/atom');
+const ModelBond = require('../model/bond');
+const CmlParser = require('./cml_parser');
+const xml = require('../utils/xml');
+
+/** Class for the Chemical Markup Language (CML) writer. */
+class CmlWriter {
+  /**
+   * constructor - Create a CML document from molecule models
+   *
+   * @param  {ModelMolecule|Array.<ModelMolecule>} molOrMols - molecules to convert
+   */
+  constructor(molOrMols) { this.mols = Array.isArray(molOrMols) ? molOrMols : [molOrMols]; }
+
+  /**
+   * toCml - the CML document, y coordinates are flipped back to point up
+   *
+   * @return {string}
+   */
+  toCml() {
+    const lines = ['<?xml version="1.0" encoding="UTF-8"?>', `<cml xmlns="${CmlWriter.NAMESPACE}">`];
+    this.mols.forEach((mol, i) => {
+      this.writeMolecule(mol, `m${i + 1}`).forEach(line => lines.push(`  ${line}`));
+    });
+    lines.push('</cml>');
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * writeMolecule - molecule element with its atomArray and bondArray
+   *
+   * @param  {ModelMolecule} mol
+   * @param  {string} id - id used when the molecule has none
+   * @return {Array.<string>} lines of the element
+   */
+  writeMolecule(mol, id) {
+    const atomIds = new Map(mol.atoms.map((atom, i) => [atom, `a${i + 1}`]));
+    const attributes = {id: mol.id || id};
+    if (mol.name) {
+      attributes.title = mol.name;
+    }
+    const lines = [`<molecule${CmlWriter.attributes(attributes)}>`];
+    if (mol.atoms.length) {
+      lines.push('  <atomArray>');
+      mol.atoms.forEach(atom => lines.push(`    ${this.writeAtom(atom, atomIds)}`));
+      lines.push('  </atomArray>');
+    }
+    if (mol.bonds.length) {
+      lines.push('  <bondArray>');
+      mol.bonds.forEach((bond, i) => lines.push(`    ${this.writeBond(bond, `b${i + 1}`, atomIds)}`));
+      lines.push('  </bondArray>');
+    }
+    lines.push('</molecule>');
+    return lines;
+  }
+
+  /**
+   * writeAtom - atom element, hydrogenCount is only written for explicit hydrogen counts and
+   * includes the hydrogen atoms bonded to the atom
+   *
+   * @param  {ModelAtom} atom
+   * @param  {Map} atomIds - ids by atom
+   * @return {string}
+   */
+  writeAtom(atom, atomIds) {
+    const attributes = {
+      id: atomIds.get(atom),
+      elementType: atom.symbol,
+      x2: atom.coord.x.toFixed(4),
+      y2: (-atom.coord.y).toFixed(4)
+    };
+    if (atom.charge) {
+      attributes.formalCharge = atom.charge;
+    }
+    if (atom.explicitHydrogens) {
+      attributes.hydrogenCount = atom.hcount + atom.getNeighbors().filter(nbr => nbr.symbol === 'H').length;
+    }
+    if (atom.isotope) {
+      attributes.isotopeNumber = atom.isotope;
+    }
+    if (CmlWriter.spinMultiplicities[atom.radical]) {
+      attributes.spinMultiplicity = CmlWriter.spinMultiplicities[atom.radical];
+    }
+    return `<atom${CmlWriter.attributes(attributes)}/>`;
+  }
+
+  /**
+   * writeBond - bond element, wedges and double bond configurations are written as bondStereo
+   *
+   * @param  {ModelBond} bond
+   * @param  {string} id
+   * @param  {Map} atomIds - ids by atom
+   * @return {string}
+   */
+  writeBond(bond, id, atomIds) {
+    const attributes = {
+      id: id,
+      atomRefs2: `${atomIds.get(bond.source)} ${atomIds.get(bond.target)}`,
+      order: bond.aromatic ? CmlParser.AROMATIC : bond.order
+    };
+    let stereo = '';
+    if (bond.stereo === ModelBond.STEREO.UP || bond.stereo === ModelBond.STEREO.DOWN) {
+      stereo = `<bondStereo>${bond.stereo === ModelBond.STEREO.UP ? 'W' : 'H'}</bondStereo>`;
+    } else if (bond.configuration !== ModelBond.CONFIGURATION.NONE) {
+      const refs4 = [bond.configurationAtoms[0], bond.source, bond.target, bond.configurationAtoms[1]]
+          .map(atom => atomIds.get(atom)).join(' ');
+      const value = bond.configuration === ModelBond.CONFIGURATION.CIS ? 'C' : 'T';
+      stereo = `<bondStereo${CmlWriter.attributes({atomRefs4: refs4})}>${value}</bondStereo>`;
+    }
+    return stereo ? `<bond${CmlWriter.attributes(attributes)}>${stereo}</bond>` :
+                    `<bond${CmlWriter.attributes(attributes)}/>`;
+  }
+
+  /**
+   * attributes - escaped attributes of a tag
+   *
+   * @param  {Object} attributes - values by name
+   * @return {string}
+   */
+  static attributes(attributes) {
+    return Object.keys(attributes).map(name => ` ${name}="${xml.escape(attributes[name])}"`).join('');
+  }
+}
+
+/**
+ * CML schema namespace
+ */
+CmlWriter.NAMESPACE = 'http://www.xml-cml.org/schema';
+
+/**
+ * ModelAtom.RADICAL to spinMultiplicity
+ */
+CmlWriter.spinMultiplicities = {
+  [ModelAtom.RADICAL.DOUBLET]: 2,
+  [ModelAtom.RADICAL.TRIPLET]: 3
+};
+
+module.exports = CmlWriter;
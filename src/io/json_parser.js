@@ -3,10 +3,30 @@
 const ModelAtom = require('../model/atom');
 const ModelBond = require('../model/bond');
 const ModelMolecule = require('../model/molecule');
+const ringAromaticity = require('../ring/aromaticity');
 
 class JSONParser {
   constructor(json) { this.obj = JSON.parse(json || '{}'); }
 
+  /**
+   * parseDocument - convert a chemdoodle document {m: [molecules], s: [shapes]}, a single
+   * molecule object is also accepted
+   *
+   * @param  {object=} optObj - document object, defaults to the parsed json
+   * @return {{molecules: Array.<ModelMolecule>, shapes: Array.<object>}} shapes are copies of the
+   *                                                                       shape objects
+   */
+  parseDocument(optObj) {
+    const obj = optObj || this.obj;
+    if (obj.a) {
+      return {molecules: [this.parseMolecule(obj)], shapes: []};
+    }
+    return {
+      molecules: (obj.m || []).map(m => this.parseMolecule(m)),
+      shapes: (obj.s || []).map(s => this.parseShape(s))
+    };
+  }
+
   /**
    * parseAtom - convert atom object to model of Atom
    *
@@ -17,20 +37,96 @@ class JSONParser {
     const symbol = obj.l ? obj.l : 'C';
     const x = obj.x ? obj.x : 0;
     const y = obj.y ? obj.y : 0;
-    return new ModelAtom(symbol, x, y);
+    const atom = new ModelAtom(symbol, x, y, obj.c, false, obj.m);
+    if (obj.r) {
+      if (!JSONParser.radicals[obj.r]) {
+        throw new Error(`unsupported number of radical electrons ${obj.r}`);
+      }
+      // two electrons are a triplet unless the writer gave the spin multiplicity of a singlet
+      atom.radical = obj.r === 2 && obj.sm === 1 ? ModelAtom.RADICAL.SINGLET : JSONParser.radicals[obj.r];
+    }
+    if (obj.h !== undefined) {
+      atom.setHydrogenCount(obj.h);
+    }
+    return atom;
+  }
+
+  /**
+   * parseBond - convert bond object to model of bond, order 1.5 is an aromatic bond
+   *
+   * @param  {object} obj - bond object as chemdoodle defines it
+   * @param  {ModelMolecule} mol - molecule holding the atoms
+   * @return {ModelBond}
+   */
+  parseBond(obj, mol) {
+    const source = mol.atoms[obj.b];
+    const target = mol.atoms[obj.e];
+    if (!source || !target) {
+      throw new Error(`invalid bond atoms ${obj.b} and ${obj.e}`);
+    }
+    const order = obj.o === undefined ? 1 : obj.o;
+    const aromatic = order === 1.5;
+    if (!aromatic && [1, 2, 3, 4].indexOf(order) < 0) {
+      throw new Error(`unsupported bond order ${order}`);
+    }
+    const stereo = JSONParser.bondStereo[obj.s || 'none'];
+    if (stereo === undefined) {
+      throw new Error(`unknown bond stereo ${obj.s}`);
+    }
+    return new ModelBond(source, target, aromatic ? ModelBond.ORDER.SINGLE : order, stereo, aromatic);
   }
 
   /**
-   * parseMolecule - convert molecule object to model of molecule
+   * parseMolecule - convert molecule object to model of molecule, atoms of aromatic bonds are
+   * aromatic
    *
    * @param  {object} obj - molecule object as chemdoodle defines it
    * @return {ModelMolecule}
    */
   parseMolecule(obj) {
     const mol = new ModelMolecule();
-    obj.a.forEach(a => mol.addAtom(this.parseAtom(a)));
-    obj.b.forEach(b => mol.addBond(new ModelBond(mol.atoms[b.b], mol.atoms[b.e])));
+    (obj.a || []).forEach(a => mol.addAtom(this.parseAtom(a)));
+    (obj.b || []).forEach(b => mol.addBond(this.parseBond(b, mol)));
+    // aromaticity of atoms is only given by their bonds
+    mol.bonds.filter(b => b.aromatic).forEach(b => {
+      b.source.aromatic = true;
+      b.target.aromatic = true;
+    });
+    ringAromaticity.kekulizeOrThrow(mol);
     return mol;
   }
+
+  /**
+   * parseShape - copy a shape object (arrows, lines, brackets...), shapes have no model
+   *
+   * @param  {object} obj - shape object as chemdoodle defines it
+   * @return {object}
+   */
+  parseShape(obj) {
+    if (!obj.t) {
+      throw new Error('shape type t expected');
+    }
+    return JSON.parse(JSON.stringify(obj));
+  }
 }
+
+/**
+ * chemdoodle bond stereo to ModelBond.STEREO, protuding is the spelling of older writers
+ */
+JSONParser.bondStereo = {
+  none: ModelBond.STEREO.NOT_STEREO,
+  protruding: ModelBond.STEREO.UP,
+  protuding: ModelBond.STEREO.UP,
+  ambiguous: ModelBond.STEREO.UP_OR_DOWN,
+  recessed: ModelBond.STEREO.DOWN
+};
+
+/**
+ * number of radical electrons to ModelAtom.RADICAL
+ */
+JSONParser.radicals = {
+  1: ModelAtom.RADICAL.DOUBLET,
+  2: ModelAtom.RADICAL.TRIPLET
+};
+
 module.exports = JSONParser;
@@ -0,0 +1,432 @@
+'use strict';
+
+const ModelAtom = require('../model/atom');
+const ModelBond = require('../model/bond');
+const ModelMolecule = require('../model/molecule');
+const ringAromaticity = require('../ring/aromaticity');
+
+/** Class for the MDL molfile reader. */
+class MolfileParser {
+  /**
+   * constructor - Split a molfile in lines
+   *
+   * @param  {string} molfile - content of a V2000 or V3000 molfile
+   */
+  constructor(molfile) { this.lines = (molfile || '').split(/\r?\n/); }
+
+  /**
+   * parseMolecule - convert the molfile to a model of molecule, molfile coordinates have the y
+   * axis pointing up, they are flipped to the screen orientation of the model
+   *
+   * @return {ModelMolecule}
+   */
+  parseMolecule() {
+    const lines = this.lines;
+    if (lines.length < 4) {
+      throw new Error('molfile header and counts line expected');
+    }
+    const counts = lines[3];
+    const version = counts.substr(34, 5).trim();
+    if (version === 'V3000') {
+      return this.parseV3000();
+    }
+    if (version && version !== 'V2000') {
+      throw new Error(`unsupported molfile version ${version}`);
+    }
+    const atomCount = parseInt(counts.substr(0, 3), 10);
+    const bondCount = parseInt(counts.substr(3, 3), 10);
+    if (isNaN(atomCount) || isNaN(bondCount)) {
+      throw new Error(`invalid counts line: ${counts}`);
+    }
+    if (lines.length < 4 + atomCount + bondCount) {
+      throw new Error('molfile is truncated');
+    }
+
+    const mol = new ModelMolecule(lines[0].trim());
+    mol.chiral = parseInt(counts.substr(12, 3), 10) === 1;
+    const valences = [];
+    for (let i = 0; i < atomCount; i++) {
+      const line = lines[4 + i];
+      mol.addAtom(this.parseAtom(line));
+      valences.push(parseInt(line.substr(48, 3), 10) || 0);
+    }
+    for (let i = 0; i < bondCount; i++) {
+      mol.addBond(this.parseBond(lines[4 + atomCount + i], mol));
+    }
+    this.parseProperties(lines.slice(4 + atomCount + bondCount), mol);
+    ringAromaticity.kekulizeOrThrow(mol);
+    // a valence sets the hydrogen count, 15 stands for zero valence
+    valences.forEach((valence, i) => {
+      if (valence) {
+        MolfileParser.setValence(mol.atoms[i], valence === 15 ? 0 : valence);
+      }
+    });
+    return mol;
+  }
+
+  /**
+   * parseV3000 - convert a V3000 connection table, atom and bond indices are kept on the model
+   * and collections are read as stereo groups or named collections
+   *
+   * @return {ModelMolecule}
+   */
+  parseV3000() {
+    const mol = new ModelMolecule(this.lines[0].trim());
+    const atoms = new Map();
+    const bonds = new Map();
+    const valences = new Map();
+    const blocks = [];
+    let ended = false;
+    MolfileParser.v3000Lines(this.lines.slice(4)).forEach(line => {
+      const fields = MolfileParser.v3000Fields(line);
+      if (fields[0] === 'BEGIN') {
+        blocks.push(fields[1]);
+      } else if (fields[0] === 'END') {
+        if (fields[1] === 'CTAB') {
+          ended = true;
+        }
+        blocks.pop();
+      } else if (fields[0] === 'COUNTS') {
+        mol.chiral = fields[5] === '1';
+      } else {
+        switch (blocks[blocks.length - 1]) {
+          case 'ATOM':
+            this.parseV3000Atom(fields, mol, atoms, valences);
+            break;
+          case 'BOND':
+            this.parseV3000Bond(fields, mol, atoms, bonds);
+            break;
+          case 'COLLECTION':
+            this.parseV3000Collection(fields, mol, atoms, bonds);
+            break;
+          default:
+            // sgroups and 3d features are not supported
+            break;
+        }
+      }
+    });
+    if (!ended) {
+      throw new Error('molfile is truncated');
+    }
+    ringAromaticity.kekulizeOrThrow(mol);
+    // a valence sets the hydrogen count, -1 stands for zero valence
+    valences.forEach((valence, atom) => MolfileParser.setValence(atom, valence === -1 ? 0 : valence));
+    return mol;
+  }
+
+  /**
+   * parseV3000Atom - add the atom of a V3000 atom line: index type x y z aamap [KEY=value ...]
+   *
+   * @param  {Array.<string>} fields
+   * @param  {ModelMolecule} mol
+   * @param  {Map} atoms - atoms by index
+   * @param  {Map} valences - valences by atom, applied once bonds are known
+   */
+  parseV3000Atom(fields, mol, atoms, valences) {
+    const index = parseInt(fields[0], 10);
+    const x = parseFloat(fields[2]);
+    const y = parseFloat(fields[3]);
+    if (isNaN(index) || isNaN(x) || isNaN(y) || !fields[1]) {
+      throw new Error(`invalid atom line: ${fields.join(' ')}`);
+    }
+    const properties = MolfileParser.v3000Properties(fields.slice(6));
+    // the atom defaults to no isotope, like the atoms of the V2000 and the other readers
+    const atom = new ModelAtom(fields[1], x, -y, parseInt(properties.CHG, 10) || 0, false,
+        parseInt(properties.MASS, 10));
+    atom.index = index;
+    atom.atomClass = parseInt(fields[5], 10) || 0;
+    atom.radical = MolfileParser.radicals[properties.RAD] || ModelAtom.RADICAL.NONE;
+    atoms.set(index, atom);
+    mol.addAtom(atom);
+    if (properties.VAL) {
+      valences.set(atom, parseInt(properties.VAL, 10));
+    }
+  }
+
+  /**
+   * parseV3000Bond - add the bond of a V3000 bond line: index type atom1 atom2 [KEY=value ...]
+   *
+   * @param  {Array.<string>} fields
+   * @param  {ModelMolecule} mol
+   * @param  {Map} atoms - atoms by index
+   * @param  {Map} bonds - bonds by index
+   */
+  parseV3000Bond(fields, mol, atoms, bonds) {
+    const index = parseInt(fields[0], 10);
+    const type = parseInt(fields[1], 10);
+    const source = atoms.get(parseInt(fields[2], 10));
+    const target = atoms.get(parseInt(fields[3], 10));
+    if (isNaN(index) || !source || !target) {
+      throw new Error(`invalid bond line: ${fields.join(' ')}`);
+    }
+    const properties = MolfileParser.v3000Properties(fields.slice(4));
+    const order = type > 0 && type < 4 ? type : ModelBond.ORDER.SINGLE;
+    const stereo = MolfileParser.v3000BondStereo[properties.CFG || 0];
+    const bond = new ModelBond(
+        source, target, order, order === ModelBond.ORDER.SINGLE ? stereo : null, type === MolfileParser.AROMATIC);
+    bond.index = index;
+    bonds.set(index, bond);
+    mol.addBond(bond);
+  }
+
+  /**
+   * parseV3000Collection - read a collection line: name ATOMS=(n a1 ...) [BONDS=(n b1 ...)],
+   * MDLV30/STEABS, MDLV30/STERACn and MDLV30/STERELn are the enhanced stereo groups
+   *
+   * @param  {Array.<string>} fields
+   * @param  {ModelMolecule} mol
+   * @param  {Map} atoms - atoms by index
+   * @param  {Map} bonds - bonds by index
+   */
+  parseV3000Collection(fields, mol, atoms, bonds) {
+    const name = fields[0];
+    const properties = MolfileParser.v3000Properties(fields.slice(1));
+    const lookup = (map, list) => MolfileParser.v3000List(list).map(index => {
+      if (!map.has(index)) {
+        throw new Error(`invalid index ${index} in collection ${name}`);
+      }
+      return map.get(index);
+    });
+    const collectionAtoms = lookup(atoms, properties.ATOMS);
+    const match = /^MDLV30\/STE(ABS|RAC|REL)([0-9]*)$/.exec(name);
+    if (match) {
+      mol.stereoGroups.push({
+        type: MolfileParser.stereoGroups[match[1]],
+        number: parseInt(match[2], 10) || 0,
+        atoms: collectionAtoms
+      });
+    } else {
+      mol.collections.push({name: name, atoms: collectionAtoms, bonds: lookup(bonds, properties.BONDS)});
+    }
+  }
+
+  /**
+   * parseAtom - convert an atom block line to a model of atom, the mass difference column is
+   * not read, isotopes come from M  ISO lines
+   *
+   * @param  {string} line - xxxxx.xxxxyyyyy.yyyyzzzzz.zzzz aaaddcccssshhhbbbvvvHHHrrriiimmm
+   * @return {ModelAtom}
+   */
+  parseAtom(line) {
+    const x = parseFloat(line.substr(0, 10));
+    const y = parseFloat(line.substr(10, 10));
+    const symbol = line.substr(31, 3).trim();
+    if (isNaN(x) || isNaN(y) || !symbol) {
+      throw new Error(`invalid atom line: ${line}`);
+    }
+    const atom = new ModelAtom(symbol, x, -y);
+    const chargeCode = parseInt(line.substr(36, 3), 10) || 0;
+    if (chargeCode === 4) {
+      atom.radical = ModelAtom.RADICAL.DOUBLET;
+    } else if (chargeCode > 0 && chargeCode < 8) {
+      atom.charge = 4 - chargeCode;
+    }
+    atom.atomClass = parseInt(line.substr(60, 3), 10) || 0;
+    return atom;
+  }
+
+  /**
+   * parseBond - convert a bond block line to a model of bond
+   *
+   * @param  {string} line - 111222tttsssxxxrrrccc
+   * @param  {ModelMolecule} mol - molecule holding the atoms
+   * @return {ModelBond}
+   */
+  parseBond(line, mol) {
+    const source = mol.atoms[parseInt(line.substr(0, 3), 10) - 1];
+    const target = mol.atoms[parseInt(line.substr(3, 3), 10) - 1];
+    if (!source || !target) {
+      throw new Error(`invalid bond line: ${line}`);
+    }
+    const type = parseInt(line.substr(6, 3), 10);
+    const aromatic = type === MolfileParser.AROMATIC;
+    const order = type > 0 && type < 4 ? type : ModelBond.ORDER.SINGLE;
+    const stereo = MolfileParser.bondStereo[parseInt(line.substr(9, 3), 10) || 0];
+    return new ModelBond(source, target, order, order === ModelBond.ORDER.SINGLE ? stereo : null, aromatic);
+  }
+
+  /**
+   * parseProperties - read M  CHG, M  ISO and M  RAD lines up to M  END, charge and radical
+   * lines supersede the values of the atom block
+   *
+   * @param  {Array.<string>} lines - lines of the properties block
+   * @param  {ModelMolecule} mol
+   */
+  parseProperties(lines, mol) {
+    let resetCharges = true;
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      const type = line.substr(0, 6);
+      if (type === 'M  END') {
+        return;
+      }
+      if (type === 'M  CHG' || type === 'M  RAD') {
+        if (resetCharges) {
+          mol.atoms.forEach(atom => {
+            atom.charge = 0;
+            atom.radical = ModelAtom.RADICAL.NONE;
+          });
+          resetCharges = false;
+        }
+      }
+      if (type === 'M  CHG' || type === 'M  ISO' || type === 'M  RAD') {
+        MolfileParser.parsePropertyEntries(line).forEach(entry => {
+          const atom = mol.atoms[entry[0] - 1];
+          if (!atom) {
+            throw new Error(`invalid atom number in ${line}`);
+          }
+          if (type === 'M  CHG') {
+            atom.charge = entry[1];
+          } else if (type === 'M  ISO') {
+            atom.isotope = entry[1];
+          } else {
+            atom.radical = MolfileParser.radicals[entry[1]] || ModelAtom.RADICAL.NONE;
+          }
+        });
+      }
+    }
+  }
+
+  /**
+   * setValence - explicit hydrogen count from a total valence
+   *
+   * @param  {ModelAtom} atom
+   * @param  {number} valence - total valence, 0 for no bond nor hydrogen
+   */
+  static setValence(atom, valence) {
+    const bondOrders = atom.getBonds().reduce((sum, b) => sum + b.order, 0);
+    atom.setHydrogenCount(Math.max(0, valence - bondOrders));
+  }
+
+  /**
+   * v3000Lines - content of the M  V30 lines up to M  END, continuation lines ending with '-'
+   * are joined
+   *
+   * @param  {Array.<string>} lines
+   * @return {Array.<string>}
+   */
+  static v3000Lines(lines) {
+    const v3000Lines = [];
+    let pending = '';
+    for (let i = 0; i < lines.length && !lines[i].startsWith('M  END'); i++) {
+      if (lines[i].startsWith('M  V30 ')) {
+        const content = lines[i].substr(7).replace(/\s+$/, '');
+        if (content.endsWith('-')) {
+          pending += content.slice(0, -1);
+        } else {
+          v3000Lines.push(pending + content);
+          pending = '';
+        }
+      }
+    }
+    return v3000Lines;
+  }
+
+  /**
+   * v3000Fields - split a V3000 line on spaces, keeping quoted strings and parenthesized lists
+   *
+   * @param  {string} line
+   * @return {Array.<string>}
+   */
+  static v3000Fields(line) { return line.match(/(?:[^\s"(]|"[^"]*"|\([^)]*\))+/g) || []; }
+
+  /**
+   * v3000Properties - KEY=value fields as an object
+   *
+   * @param  {Array.<string>} fields
+   * @return {Object}
+   */
+  static v3000Properties(fields) {
+    const properties = {};
+    fields.forEach(field => {
+      const equal = field.indexOf('=');
+      if (equal > 0) {
+        properties[field.substr(0, equal).toUpperCase()] = field.substr(equal + 1);
+      }
+    });
+    return properties;
+  }
+
+  /**
+   * v3000List - numbers of a list value (n i1 i2 ...)
+   *
+   * @param  {?string} value
+   * @return {Array.<number>}
+   */
+  static v3000List(value) {
+    if (!value) {
+      return [];
+    }
+    const numbers = value.replace(/[()]/g, ' ').trim().split(/\s+/).map(n => parseInt(n, 10));
+    if (numbers.some(isNaN) || numbers[0] !== numbers.length - 1) {
+      throw new Error(`invalid list ${value}`);
+    }
+    return numbers.slice(1);
+  }
+
+  /**
+   * parsePropertyEntries - atom number and value pairs of a property line
+   *
+   * @param  {string} line - M  XXXnn8 aaa vvv ...
+   * @return {Array.<Array.<number>>}
+   */
+  static parsePropertyEntries(line) {
+    const count = parseInt(line.substr(6, 3), 10);
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+      const atom = parseInt(line.substr(9 + 8 * i, 4), 10);
+      const value = parseInt(line.substr(13 + 8 * i, 4), 10);
+      if (isNaN(atom) || isNaN(value)) {
+        throw new Error(`invalid property line: ${line}`);
+      }
+      entries.push([atom, value]);
+    }
+    return entries;
+  }
+}
+
+/**
+ * Bond type of aromatic bonds
+ */
+MolfileParser.AROMATIC = 4;
+
+/**
+ * Molfile single bond stereo to ModelBond.STEREO
+ */
+MolfileParser.bondStereo = {
+  0: ModelBond.STEREO.NOT_STEREO,
+  1: ModelBond.STEREO.UP,
+  4: ModelBond.STEREO.UP_OR_DOWN,
+  6: ModelBond.STEREO.DOWN
+};
+
+/**
+ * V3000 bond CFG values to ModelBond.STEREO
+ */
+MolfileParser.v3000BondStereo = {
+  0: ModelBond.STEREO.NOT_STEREO,
+  1: ModelBond.STEREO.UP,
+  2: ModelBond.STEREO.UP_OR_DOWN,
+  3: ModelBond.STEREO.DOWN
+};
+
+/**
+ * Enhanced stereo collection names to ModelMolecule.STEREO_GROUP
+ */
+MolfileParser.stereoGroups = {
+  ABS: ModelMolecule.STEREO_GROUP.ABSOLUTE,
+  RAC: ModelMolecule.STEREO_GROUP.AND,
+  REL: ModelMolecule.STEREO_GROUP.OR
+};
+
+/**
+ * M  RAD and V3000 RAD values to ModelAtom.RADICAL
+ */
+MolfileParser.radicals = {
+  0: ModelAtom.RADICAL.NONE,
+  1: ModelAtom.RADICAL.SINGLET,
+  2: ModelAtom.RADICAL.DOUBLET,
+  3: ModelAtom.RADICAL.TRIPLET
+};
+
+module.exports = MolfileParser;
@@ -0,0 +1,297 @@
+'use strict';
+
+const ModelAtom = require('../model/atom');
+const ModelMolecule = require('../model/molecule');
+const MolfileParser = require('./molfile_parser');
+
+/** Class for the MDL molfile writer. */
+class MolfileWriter {
+  /**
+   * constructor - Create a molfile from a molecule model
+   *
+   * @param  {ModelMolecule} mol - Molecule model to convert
+   * @param  {Object=} optOptions - writer options
+   * @param  {?string=} optOptions.version - V2000 or V3000, defaults to V2000 unless the molecule
+   *                                         is too large or has enhanced stereo groups
+   */
+  constructor(mol, optOptions) {
+    this.mol = mol;
+    this.options = Object.assign({}, MolfileWriter.defaultOptions, optOptions);
+    const version = this.options.version;
+    if (version !== null && version !== 'V2000' && version !== 'V3000') {
+      throw new Error(`unknown molfile version ${version}, expected V2000 or V3000`);
+    }
+  }
+
+  /**
+   * toMolfile - the molfile, y coordinates are flipped back to point up
+   *
+   * @return {string}
+   */
+  toMolfile() {
+    const mol = this.mol;
+    let version = this.options.version;
+    if (!version) {
+      const large = mol.atoms.length > 999 || mol.bonds.length > 999;
+      version = large || mol.stereoGroups.length ? 'V3000' : 'V2000';
+    }
+    let lines = [mol.name || '', MolfileWriter.programLine(new Date()), ''];
+    if (version === 'V3000') {
+      lines.push('  0  0  0     0  0            999 V3000');
+      lines = lines.concat(this.writeV3000());
+    } else {
+      lines.push(MolfileWriter.column(mol.atoms.length, 3) + MolfileWriter.column(mol.bonds.length, 3) + '  0  0' +
+          MolfileWriter.column(mol.chiral ? 1 : 0, 3) + '  0  0  0  0  0999 V2000');
+      mol.atoms.forEach(atom => lines.push(this.writeAtom(atom)));
+      mol.bonds.forEach(bond => lines.push(this.writeBond(bond)));
+      MolfileWriter.writeProperty(lines, 'CHG', mol.atoms, atom => atom.charge || null);
+      MolfileWriter.writeProperty(lines, 'RAD', mol.atoms, atom => MolfileWriter.radicals[atom.radical] || null);
+      MolfileWriter.writeProperty(lines, 'ISO', mol.atoms, atom => atom.isotope || null);
+    }
+    lines.push('M  END');
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * writeV3000 - V3000 connection table, atom and bond indices of the model are kept when they
+   * are unique
+   *
+   * @return {Array.<string>} M  V30 lines
+   */
+  writeV3000() {
+    const mol = this.mol;
+    const atomIndices = MolfileWriter.indices(mol.atoms);
+    const bondIndices = MolfileWriter.indices(mol.bonds);
+    const list = (items, indices) => `(${items.length} ${items.map(item => indices.get(item)).join(' ')})`;
+    let content = ['BEGIN CTAB', `COUNTS ${mol.atoms.length} ${mol.bonds.length} 0 0 ${mol.chiral ? 1 : 0}`];
+
+    content.push('BEGIN ATOM');
+    mol.atoms.forEach(atom => {
+      let line = `${atomIndices.get(atom)} ${atom.symbol} ${atom.coord.x.toFixed(4)} ${(-atom.coord.y).toFixed(4)} 0 ` +
+          atom.atomClass;
+      if (atom.charge) {
+        line += ` CHG=${atom.charge}`;
+      }
+      if (MolfileWriter.radicals[atom.radical]) {
+        line += ` RAD=${MolfileWriter.radicals[atom.radical]}`;
+      }
+      if (atom.isotope) {
+        line += ` MASS=${atom.isotope}`;
+      }
+      const valence = MolfileWriter.valence(atom);
+      if (valence !== null) {
+        line += ` VAL=${valence || -1}`;
+      }
+      content.push(line);
+    });
+    content.push('END ATOM');
+
+    content.push('BEGIN BOND');
+    mol.bonds.forEach(bond => {
+      const type = bond.aromatic ? MolfileParser.AROMATIC : bond.order;
+      let line = `${bondIndices.get(bond)} ${type} ${atomIndices.get(bond.source)} ${atomIndices.get(bond.target)}`;
+      const cfg = Object.keys(MolfileParser.v3000BondStereo).find(
+          key => MolfileParser.v3000BondStereo[key] === bond.stereo);
+      if (cfg && cfg !== '0') {
+        line += ` CFG=${cfg}`;
+      }
+      content.push(line);
+    });
+    content.push('END BOND');
+
+    const collections = mol.stereoGroups.map(group => {
+      const number = group.type === ModelMolecule.STEREO_GROUP.ABSOLUTE ? '' : group.number;
+      return `MDLV30/${MolfileWriter.stereoGroups[group.type]}${number} ATOMS=${list(group.atoms, atomIndices)}`;
+    });
+    mol.collections.forEach(collection => {
+      let line = collection.name;
+      if (collection.atoms.length) {
+        line += ` ATOMS=${list(collection.atoms, atomIndices)}`;
+      }
+      if (collection.bonds.length) {
+        line += ` BONDS=${list(collection.bonds, bondIndices)}`;
+      }
+      collections.push(line);
+    });
+    if (collections.length) {
+      content = content.concat(['BEGIN COLLECTION'], collections, ['END COLLECTION']);
+    }
+    content.push('END CTAB');
+    return content.reduce((lines, line) => lines.concat(MolfileWriter.v3000Line(line)), []);
+  }
+
+  /**
+   * writeAtom - atom block line, charges within +-3 are repeated in the charge column and
+   * explicit hydrogen counts are written as valences
+   *
+   * @param  {ModelAtom} atom
+   * @return {string}
+   */
+  writeAtom(atom) {
+    const coord = atom.coord;
+    let symbol = atom.symbol;
+    while (symbol.length < 3) {
+      symbol += ' ';
+    }
+    let chargeCode = 0;
+    if (atom.charge && Math.abs(atom.charge) <= 3) {
+      chargeCode = 4 - atom.charge;
+    } else if (!atom.charge && atom.radical === ModelAtom.RADICAL.DOUBLET) {
+      chargeCode = 4;
+    }
+    let valence = MolfileWriter.valence(atom);
+    if (valence === null) {
+      valence = 0;
+    } else if (valence === 0) {
+      valence = 15;
+    }
+    return MolfileWriter.coordinate(coord.x) + MolfileWriter.coordinate(-coord.y) + MolfileWriter.coordinate(0) +
+        ` ${symbol} 0${MolfileWriter.column(chargeCode, 3)}  0  0  0${MolfileWriter.column(valence, 3)}` +
+        `  0  0  0${MolfileWriter.column(atom.atomClass, 3)}  0  0`;
+  }
+
+  /**
+   * writeBond - bond block line
+   *
+   * @param  {ModelBond} bond
+   * @return {string}
+   */
+  writeBond(bond) {
+    const atoms = this.mol.atoms;
+    const type = bond.aromatic ? MolfileParser.AROMATIC : bond.order;
+    let stereo = 0;
+    Object.keys(MolfileParser.bondStereo).forEach(key => {
+      if (MolfileParser.bondStereo[key] === bond.stereo) {
+        stereo = key;
+      }
+    });
+    return MolfileWriter.column(atoms.indexOf(bond.source) + 1, 3) +
+        MolfileWriter.column(atoms.indexOf(bond.target) + 1, 3) +
+        MolfileWriter.column(type, 3) + MolfileWriter.column(stereo, 3) + '  0  0  0';
+  }
+
+  /**
+   * valence - total valence to write for an explicit hydrogen count which differs from the
+   * implicit one
+   *
+   * @param  {ModelAtom} atom
+   * @return {?number} null if no valence is needed
+   */
+  static valence(atom) {
+    if (!atom.explicitHydrogens || atom.hcount === atom.implicitHydrogenCount()) {
+      return null;
+    }
+    return atom.getBonds().reduce((sum, b) => sum + b.order, 0) + atom.hcount;
+  }
+
+  /**
+   * indices - index of each atom or bond, the model ones if they are all set and unique,
+   * otherwise positions starting at 1
+   *
+   * @param  {Array.<ModelAtom|ModelBond>} items
+   * @return {Map}
+   */
+  static indices(items) {
+    const indices = items.map(item => item.index);
+    const keep = indices.every((index, i) => index > 0 && indices.indexOf(index) === i);
+    return new Map(items.map((item, i) => [item, keep ? indices[i] : i + 1]));
+  }
+
+  /**
+   * v3000Line - M  V30 lines of at most 80 characters, continued with '-'
+   *
+   * @param  {string} content
+   * @return {Array.<string>}
+   */
+  static v3000Line(content) {
+    const lines = [];
+    let rest = content;
+    while (rest.length > 73) {
+      lines.push(`M  V30 ${rest.substr(0, 72)}-`);
+      rest = rest.substr(72);
+    }
+    lines.push(`M  V30 ${rest}`);
+    return lines;
+  }
+
+  /**
+   * writeProperty - append property lines, eight entries per line
+   *
+   * @param  {Array.<string>} lines
+   * @param  {string} type - CHG, RAD or ISO
+   * @param  {Array.<ModelAtom>} atoms
+   * @param  {function(ModelAtom):?number} value - property value, null to skip the atom
+   */
+  static writeProperty(lines, type, atoms, value) {
+    const entries = [];
+    atoms.forEach((atom, i) => {
+      const v = value(atom);
+      if (v !== null) {
+        entries.push(` ${MolfileWriter.column(i + 1, 3)} ${MolfileWriter.column(v, 3)}`);
+      }
+    });
+    for (let i = 0; i < entries.length; i += 8) {
+      const chunk = entries.slice(i, i + 8);
+      lines.push(`M  ${type}${MolfileWriter.column(chunk.length, 3)}${chunk.join('')}`);
+    }
+  }
+
+  /**
+   * programLine - second header line with program name, date and dimension
+   *
+   * @param  {Date} date
+   * @return {string}
+   */
+  static programLine(date) {
+    const two = n => (n < 10 ? `0${n}` : String(n));
+    return `  ChemPict${two(date.getMonth() + 1)}${two(date.getDate())}${two(date.getFullYear() % 100)}` +
+        `${two(date.getHours())}${two(date.getMinutes())}2D`;
+  }
+
+  /**
+   * coordinate - coordinate column, 10 characters with 4 decimals
+   *
+   * @param  {number} value
+   * @return {string}
+   */
+  static coordinate(value) { return MolfileWriter.column((value || 0).toFixed(4), 10); }
+
+  /**
+   * column - value right aligned in a fixed width column
+   *
+   * @param  {number|string} value
+   * @param  {number} width
+   * @return {string}
+   */
+  static column(value, width) {
+    let str = String(value);
+    while (str.length < width) {
+      str = ` ${str}`;
+    }
+    return str;
+  }
+}
+
+MolfileWriter.defaultOptions = {
+  version: null
+};
+
+/**
+ * ModelMolecule.STEREO_GROUP to V3000 collection names
+ */
+MolfileWriter.stereoGroups = {
+  [ModelMolecule.STEREO_GROUP.ABSOLUTE]: 'STEABS',
+  [ModelMolecule.STEREO_GROUP.AND]: 'STERAC',
+  [ModelMolecule.STEREO_GROUP.OR]: 'STEREL'
+};
+
+/**
+ * ModelAtom.RADICAL to M  RAD and V3000 RAD values
+ */
+MolfileWriter.radicals = {
+  [ModelAtom.RADICAL.SINGLET]: 1,
+  [ModelAtom.RADICAL.DOUBLET]: 2,
+  [ModelAtom.RADICAL.TRIPLET]: 3
+};
+
+module.exports = MolfileWriter;
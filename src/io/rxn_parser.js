@@ -0,0 +1,146 @@
+'use strict';
+
+const ModelReaction = require('../model/reaction');
+const MolfileParser = require('./molfile_parser');
+
+/** Class for the MDL RXN file reader. */
+class RxnParser {
+  /**
+   * constructor - Split a RXN file in lines
+   *
+   * @param  {string} rxn - content of a V2000 or V3000 RXN file
+   */
+  constructor(rxn) { this.lines = (rxn || '').split(/\r?\n/); }
+
+  /**
+   * parseReaction - convert the RXN file to a model of reaction, each component is read by the
+   * molfile reader so atom-atom mapping numbers are set in the atomClass of the atoms
+   *
+   * @return {ModelReaction}
+   */
+  parseReaction() {
+    const lines = this.lines;
+    if (!lines[0].startsWith('$RXN')) {
+      throw new Error('$RXN header line expected');
+    }
+    const version = lines[0].substr(4).trim();
+    if (version === 'V3000') {
+      return this.parseV3000();
+    }
+    if (version && version !== 'V2000') {
+      throw new Error(`unsupported RXN version ${version}`);
+    }
+    if (lines.length < 5) {
+      throw new Error('RXN header and counts line expected');
+    }
+    const counts = lines[4];
+    // reactants, products and the optional agents count
+    const reactantCount = parseInt(counts.substr(0, 3), 10);
+    const productCount = parseInt(counts.substr(3, 3), 10);
+    const agentCount = parseInt(counts.substr(6, 3), 10) || 0;
+    if (isNaN(reactantCount) || isNaN(productCount)) {
+      throw new Error(`invalid counts line: ${counts}`);
+    }
+    const molfiles = RxnParser.molfileBlocks(lines.slice(5));
+    RxnParser.checkCount(reactantCount + productCount + agentCount, molfiles.length);
+
+    const reaction = new ModelReaction(lines[1].trim());
+    molfiles.forEach((molfile, i) => {
+      const mol = new MolfileParser(molfile).parseMolecule();
+      if (i < reactantCount) {
+        reaction.addReactant(mol);
+      } else if (i < reactantCount + productCount) {
+        reaction.addProduct(mol);
+      } else {
+        reaction.addAgent(mol);
+      }
+    });
+    return reaction;
+  }
+
+  /**
+   * parseV3000 - convert a V3000 RXN file, the connection tables are in REACTANT, PRODUCT and
+   * AGENT blocks
+   *
+   * @return {ModelReaction}
+   */
+  parseV3000() {
+    const reaction = new ModelReaction(this.lines[1].trim());
+    const roles = {REACTANT: reaction.reactants, PRODUCT: reaction.products, AGENT: reaction.agents};
+    let counts = null;
+    let role = null;
+    let ctab = null;
+    this.lines.slice(4).every(line => {
+      if (line.startsWith('M  END')) {
+        return false;
+      }
+      const content = line.startsWith('M  V30 ') ? line.substr(7).trim() : null;
+      if (ctab) {
+        ctab.push(line);
+        if (content === 'END CTAB') {
+          // the connection table alone is a V3000 molfile without header
+          const molfile = ['', '', '', RxnParser.V3000_COUNTS_LINE].concat(ctab, ['M  END']).join('\n');
+          roles[role].push(new MolfileParser(molfile).parseMolecule());
+          ctab = null;
+        }
+      } else if (content === 'BEGIN CTAB') {
+        if (!role) {
+          throw new Error('CTAB outside of a REACTANT, PRODUCT or AGENT block');
+        }
+        ctab = [line];
+      } else if (content && content.startsWith('COUNTS')) {
+        counts = content.split(/\s+/).slice(1).map(value => parseInt(value, 10));
+      } else if (content && /^BEGIN (REACTANT|PRODUCT|AGENT)$/.test(content)) {
+        role = content.substr(6);
+      } else if (content && /^END (REACTANT|PRODUCT|AGENT)$/.test(content)) {
+        role = null;
+      }
+      return true;
+    });
+    if (ctab || role) {
+      throw new Error('RXN file is truncated');
+    }
+    if (!counts || counts.length < 2 || counts.some(isNaN)) {
+      throw new Error('M  V30 COUNTS line expected');
+    }
+    RxnParser.checkCount(counts.reduce((sum, count) => sum + count, 0), reaction.getMolecules().length);
+    return reaction;
+  }
+
+  /**
+   * molfileBlocks - molfiles following each $MOL line
+   *
+   * @param  {Array.<string>} lines
+   * @return {Array.<string>}
+   */
+  static molfileBlocks(lines) {
+    const blocks = [];
+    lines.forEach(line => {
+      if (line.startsWith('$MOL')) {
+        blocks.push([]);
+      } else if (blocks.length) {
+        blocks[blocks.length - 1].push(line);
+      }
+    });
+    return blocks.map(block => block.join('\n'));
+  }
+
+  /**
+   * checkCount - the number of components must match the counts line
+   *
+   * @param  {number} expected
+   * @param  {number} found
+   */
+  static checkCount(expected, found) {
+    if (expected !== found) {
+      throw new Error(`${expected} components expected by the counts line, found ${found}`);
+    }
+  }
+}
+
+/**
+ * Counts line of the V3000 molfiles made from the connection tables
+ */
+RxnParser.V3000_COUNTS_LINE = '  0  0  0     0  0            999 V3000';
+
+module.exports = RxnParser;
@@ -0,0 +1,84 @@
+'use strict';
+
+const MolfileWriter = require('./molfile_writer');
+
+/** Class for the MDL RXN file writer. */
+class RxnWriter {
+  /**
+   * constructor - Create a RXN file from a reaction model
+   *
+   * @param  {ModelReaction} reaction - Reaction model to convert
+   * @param  {Object=} optOptions - writer options
+   * @param  {?string=} optOptions.version - V2000 or V3000, defaults to V2000 unless a component
+   *                                         needs a V3000 molfile
+   */
+  constructor(reaction, optOptions) {
+    this.reaction = reaction;
+    this.options = Object.assign({}, RxnWriter.defaultOptions, optOptions);
+    const version = this.options.version;
+    if (version !== null && version !== 'V2000' && version !== 'V3000') {
+      throw new Error(`unknown RXN version ${version}, expected V2000 or V3000`);
+    }
+  }
+
+  /**
+   * toRxn - the RXN file, components are written as reactants, products then agents, agents are
+   * only counted when there are some
+   *
+   * @return {string}
+   */
+  toRxn() {
+    const reaction = this.reaction;
+    let version = this.options.version;
+    if (!version) {
+      const v3000 = reaction.getMolecules().some(mol =>
+          mol.atoms.length > 999 || mol.bonds.length > 999 || mol.stereoGroups.length);
+      version = v3000 ? 'V3000' : 'V2000';
+    }
+    const header = [reaction.name || '', RxnWriter.programLine(new Date()), ''];
+    const agents = reaction.agents.length;
+    let lines;
+    if (version === 'V3000') {
+      lines = ['$RXN V3000'].concat(header);
+      lines.push(`M  V30 COUNTS ${reaction.reactants.length} ${reaction.products.length}${agents ? ` ${agents}` : ''}`);
+      [['REACTANT', reaction.reactants], ['PRODUCT', reaction.products], ['AGENT', reaction.agents]]
+          .forEach(block => {
+            if (block[1].length) {
+              lines.push(`M  V30 BEGIN ${block[0]}`);
+              block[1].forEach(mol => {
+                lines = lines.concat(new MolfileWriter(mol, {version: 'V3000'}).writeV3000());
+              });
+              lines.push(`M  V30 END ${block[0]}`);
+            }
+          });
+      lines.push('M  END');
+    } else {
+      lines = ['$RXN'].concat(header);
+      lines.push(MolfileWriter.column(reaction.reactants.length, 3) +
+          MolfileWriter.column(reaction.products.length, 3) + (agents ? MolfileWriter.column(agents, 3) : ''));
+      reaction.reactants.concat(reaction.products, reaction.agents).forEach(mol => {
+        lines.push('$MOL');
+        lines.push(new MolfileWriter(mol, {version: 'V2000'}).toMolfile().replace(/\n$/, ''));
+      });
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * programLine - third header line with user initials, program name and date
+   *
+   * @param  {Date} date
+   * @return {string}
+   */
+  static programLine(date) {
+    const two = n => (n < 10 ? `0${n}` : String(n));
+    return `      ChemPict ${two(date.getMonth() + 1)}${two(date.getDate())}${date.getFullYear()}` +
+        `${two(date.getHours())}${two(date.getMinutes())}`;
+  }
+}
+
+RxnWriter.defaultOptions = {
+  version: null
+};
+
+module.exports = RxnWriter;
@@ -0,0 +1,192 @@
+'use strict';
+
+const MolfileParser = require('./molfile_parser');
+
+/** Class for the SD file reader, records are parsed one at a time. */
+class SdfParser {
+  /**
+   * constructor - Create a SD file reader, text can be given at once or by chunks with write
+   *
+   * @param  {?string=} optText - content of a SD file, the reader is ended when given
+   * @param  {Object=} optOptions - reader options
+   * @param  {function(Error)=} optOptions.onError - called for each broken record, the error has
+   *                                                 a recordIndex property (starting at 0)
+   */
+  constructor(optText, optOptions) {
+    this.options = Object.assign({}, SdfParser.defaultOptions, optOptions);
+    this.buffer = '';
+    this.ended = false;
+    this.recordIndex = 0;
+    /**
+     * errors of the broken records skipped so far
+     *
+     * @type {Array.<Error>}
+     */
+    this.errors = [];
+    if (optText !== undefined && optText !== null) {
+      this.write(optText);
+      this.end();
+    }
+  }
+
+  /**
+   * write - append a chunk of text
+   *
+   * @param  {string} chunk
+   */
+  write(chunk) {
+    if (this.ended) {
+      throw new Error('write after end of the SD file');
+    }
+    this.buffer += chunk;
+  }
+
+  /**
+   * end - no more text is written, the last record may lack its $$$$ line
+   */
+  end() {
+    if (!this.ended) {
+      // terminates a last $$$$ line without newline
+      this.buffer += '\n';
+      this.ended = true;
+    }
+  }
+
+  /**
+   * next - iterator protocol, parse the next complete record, broken records are reported and
+   * skipped, done is also returned while the next record is not completely written
+   *
+   * @return {{done: boolean, value: (ModelMolecule|undefined)}}
+   */
+  next() {
+    for (;;) {
+      const record = this._nextRecord();
+      if (record === null) {
+        return {done: true, value: undefined};
+      }
+      const index = this.recordIndex++;
+      try {
+        return {done: false, value: SdfParser.parseRecord(record)};
+      } catch (e) {
+        e.message = `record ${index}: ${e.message}`;
+        e.recordIndex = index;
+        this.errors.push(e);
+        if (this.options.onError) {
+          this.options.onError(e);
+        }
+      }
+    }
+  }
+
+  [Symbol.iterator]() { return this; }
+
+  /**
+   * _nextRecord - remove the next complete record from the buffer
+   *
+   * @return {?string} null if there is none
+   */
+  _nextRecord() {
+    const match = SdfParser.delimiter.exec(this.buffer);
+    let record = null;
+    if (match) {
+      record = this.buffer.substr(0, match.index);
+      this.buffer = this.buffer.substr(match.index + match[0].length);
+    } else if (this.ended && this.buffer.trim()) {
+      record = this.buffer;
+      this.buffer = '';
+    }
+    return record;
+  }
+
+  /**
+   * parseRecord - convert a record to a model of molecule, data items are set in its properties
+   *
+   * @param  {string} record - molfile followed by data items
+   * @return {ModelMolecule}
+   */
+  static parseRecord(record) {
+    const lines = record.split(/\r?\n/);
+    const end = lines.findIndex(line => line.startsWith('M  END'));
+    if (end < 0) {
+      throw new Error('M  END line expected');
+    }
+    const mol = new MolfileParser(lines.slice(0, end + 1).join('\n')).parseMolecule();
+    SdfParser.parseDataItems(lines.slice(end + 1), mol);
+    return mol;
+  }
+
+  /**
+   * parseDataItems - read data items: a header line with the field name (>  <NAME>), value lines
+   * and a blank line
+   *
+   * @param  {Array.<string>} lines
+   * @param  {ModelMolecule} mol
+   */
+  static parseDataItems(lines, mol) {
+    let name = null;
+    let value = [];
+    lines.forEach(line => {
+      if (name === null) {
+        const match = /^>.*?<([^>]*)>/.exec(line);
+        if (match) {
+          name = match[1];
+          value = [];
+        }
+      } else if (line.trim() === '') {
+        mol.properties.set(name, value.join('\n'));
+        name = null;
+      } else {
+        value.push(line);
+      }
+    });
+    if (name !== null) {
+      mol.properties.set(name, value.join('\n'));
+    }
+  }
+
+  /**
+   * createStream - Node transform stream of SD file text to molecules (object mode)
+   *
+   * @param  {Object=} optOptions - reader options, see the constructor
+   * @return {stream.Transform}
+   */
+  static createStream(optOptions) {
+    // node modules, only loaded when a stream is created
+    const Transform = require('stream').Transform;
+    const StringDecoder = require('string_decoder').StringDecoder;
+    const parser = new SdfParser(null, optOptions);
+    const decoder = new StringDecoder('utf8');
+    const drain = stream => {
+      let result = parser.next();
+      while (!result.done) {
+        stream.push(result.value);
+        result = parser.next();
+      }
+    };
+    return new Transform({
+      readableObjectMode: true,
+      transform: function(chunk, encoding, callback) {
+        parser.write(typeof chunk === 'string' ? chunk : decoder.write(chunk));
+        drain(this);
+        callback();
+      },
+      flush: function(callback) {
+        parser.write(decoder.end());
+        parser.end();
+        drain(this);
+        callback();
+      }
+    });
+  }
+}
+
+SdfParser.defaultOptions = {
+  onError: null
+};
+
+/**
+ * Record delimiter line
+ */
+SdfParser.delimiter = /^\$\$\$\$.*\n/m;
+
+module.exports = SdfParser;
@@ -0,0 +1,468 @@
+'use strict';
+
+const SmilesParser = require('./smiles_parser');
+
+/**
+ * right index of the bracket or parenthesis closing the one at start, nested brackets and
+ * parentheses of recursive SMARTS are skipped
+ */
+const closing = function(str, start) {
+  let depth = 0;
+  for (let i = start; i < str.length; i++) {
+    if (str[i] === '[' || str[i] === '(') {
+      depth++;
+    } else if (str[i] === ']' || str[i] === ')') {
+      depth--;
+      if (depth === 0) {
+        return i;
+      }
+    }
+  }
+  throw new Error(`unbalanced ${str[start]} in ${str}`);
+};
+
+/**
+ * Class for the SMARTS reader. A query is a graph of atoms and bonds holding logical expressions:
+ * {op: 'and'|'or'|'not', args: Array} nodes with {type, value} primitives as leaves.
+ */
+class SmartsParser {
+  /**
+   * parse - convert a SMARTS string to a query graph
+   *
+   * @param  {string} smarts
+   * @return {{smarts: string, atoms: Array.<Object>, bonds: Array.<Object>}} query atoms have an
+   *         expression, an index, a map number and their bonds, query bonds have a source, a
+   *         target and an expression
+   */
+  static parse(smarts) {
+    const query = {smarts: smarts, atoms: [], bonds: []};
+    const branches = [];
+    const rings = new Map();
+    let previous = null;
+    let bond = '';
+    let i = 0;
+    const addAtom = atom => {
+      atom.index = query.atoms.length;
+      atom.bonds = [];
+      query.atoms.push(atom);
+      if (previous) {
+        SmartsParser.addBond(query, previous, atom, bond);
+      } else if (bond) {
+        throw new Error(`bond ${bond} without atom in ${smarts}`);
+      }
+      bond = '';
+      previous = atom;
+    };
+    while (i < smarts.length) {
+      const c = smarts[i];
+      if (c === '[') {
+        const end = closing(smarts, i);
+        addAtom(SmartsParser.parseBracketAtom(smarts.substring(i + 1, end)));
+        i = end + 1;
+      } else if (c === '(') {
+        if (!previous) {
+          throw new Error(`branch without atom in ${smarts}`);
+        }
+        branches.push(previous);
+        i++;
+      } else if (c === ')') {
+        if (!branches.length || bond) {
+          throw new Error(`unbalanced parens in ${smarts}`);
+        }
+        previous = branches.pop();
+        i++;
+      } else if (c === '.') {
+        if (bond) {
+          throw new Error(`bond ${bond} before . in ${smarts}`);
+        }
+        previous = null;
+        i++;
+      } else if (/[0-9%]/.test(c)) {
+        const label = c === '%' ? smarts.substr(i, 3) : c;
+        if (!/^(%[0-9]{2}|[0-9])$/.test(label) || !previous) {
+          throw new Error(`invalid ring closure ${label} in ${smarts}`);
+        }
+        const ring = rings.get(label);
+        if (ring) {
+          // the bond expression may be written at the opening or at the closing
+          const expression = ring.bond && bond && ring.bond !== bond ? `${ring.bond};${bond}` : ring.bond || bond;
+          SmartsParser.addBond(query, ring.atom, previous, expression);
+          rings.delete(label);
+        } else {
+          rings.set(label, {atom: previous, bond: bond});
+        }
+        bond = '';
+        i += label.length;
+      } else if (SmartsParser.bondSymbols.includes(c)) {
+        bond += c;
+        i++;
+      } else {
+        const symbol = SmartsParser.organicSymbol(smarts, i);
+        if (!symbol) {
+          throw new Error(`unknown atom ${c} in ${smarts}`);
+        }
+        addAtom({expression: SmartsParser.parseAtomExpression(symbol), mapNumber: 0});
+        i += symbol.length;
+      }
+    }
+    if (branches.length) {
+      throw new Error(`unbalanced parens in ${smarts}`);
+    }
+    if (rings.size) {
+      throw new Error(`unclosed rings in ${smarts}`);
+    }
+    if (bond) {
+      throw new Error(`unpaired bond ${bond} in ${smarts}`);
+    }
+    return query;
+  }
+
+  /**
+   * organicSymbol - atom written without brackets at a position
+   *
+   * @param  {string} smarts
+   * @param  {number} pos
+   * @return {?string} null if there is none
+   */
+  static organicSymbol(smarts, pos) {
+    return SmartsParser.organicSymbols.find(symbol => smarts.startsWith(symbol, pos)) || null;
+  }
+
+  /**
+   * addBond - add a query bond, an empty expression matches single or aromatic bonds
+   *
+   * @param  {Object} query
+   * @param  {Object} source - query atom
+   * @param  {Object} target - query atom
+   * @param  {string} bond - bond expression
+   */
+  static addBond(query, source, target, bond) {
+    if (source === target || source.bonds.some(b => b.source === target || b.target === target)) {
+      throw new Error(`duplicated bond in ${query.smarts}`);
+    }
+    const queryBond = {
+      index: query.bonds.length,
+      source: source,
+      target: target,
+      expression: bond ? SmartsParser.parseBondExpression(bond) : SmartsParser.DEFAULT_BOND
+    };
+    query.bonds.push(queryBond);
+    source.bonds.push(queryBond);
+    target.bonds.push(queryBond);
+  }
+
+  /**
+   * parseBracketAtom - query atom of a bracket atom content, the atom map number is not part of
+   * the expression
+   *
+   * @param  {string} content - text between the brackets
+   * @return {Object} query atom
+   */
+  static parseBracketAtom(content) {
+    const map = /:([0-9]+)$/.exec(content);
+    const expression = SmartsParser.parseAtomExpression(map ? content.substr(0, map.index) : content);
+    return {expression: expression, mapNumber: map ? parseInt(map[1], 10) : 0};
+  }
+
+  /**
+   * parseAtomExpression - logical expression of atom primitives, by increasing precedence:
+   * ';' low precedence and, ',' or, '&' or juxtaposition high precedence and, '!' not
+   *
+   * @param  {string} str
+   * @return {Object} expression
+   */
+  static parseAtomExpression(str) {
+    const state = {str: str, pos: 0};
+    const expression = SmartsParser.parseLogical(state, SmartsParser.parseAtomPrimitive);
+    if (state.pos < str.length) {
+      throw new Error(`unexpected ${str[state.pos]} in atom expression ${str}`);
+    }
+    return expression;
+  }
+
+  /**
+   * parseBondExpression - logical expression of bond primitives, with the operators of atoms
+   *
+   * @param  {string} str
+   * @return {Object} expression
+   */
+  static parseBondExpression(str) {
+    const state = {str: str, pos: 0};
+    const expression = SmartsParser.parseLogical(state, SmartsParser.parseBondPrimitive);
+    if (state.pos < str.length) {
+      throw new Error(`unexpected ${str[state.pos]} in bond expression ${str}`);
+    }
+    return expression;
+  }
+
+  /**
+   * parseLogical - parse the operators, primitives are read by the given function
+   *
+   * @param  {{str: string, pos: number}} state - text and position, the position is moved
+   * @param  {function(Object):Object} primitive
+   * @return {Object} expression
+   */
+  static parseLogical(state, primitive) {
+    const str = state.str;
+    const list = (separator, parseItem) => {
+      const args = [parseItem()];
+      while (str[state.pos] === separator) {
+        state.pos++;
+        args.push(parseItem());
+      }
+      return args.length === 1 ? args[0] : {op: separator === ',' ? 'or' : 'and', args: args};
+    };
+    const parseNot = () => {
+      if (str[state.pos] === '!') {
+        state.pos++;
+        return {op: 'not', args: [parseNot()]};
+      }
+      if (state.pos >= str.length || ',;&'.includes(str[state.pos])) {
+        throw new Error(`primitive expected in ${str}`);
+      }
+      return primitive(state);
+    };
+    const parseHigh = () => {
+      const args = [parseNot()];
+      while (state.pos < str.length && !',;'.includes(str[state.pos])) {
+        if (str[state.pos] === '&') {
+          state.pos++;
+        }
+        args.push(parseNot());
+      }
+      return args.length === 1 ? args[0] : {op: 'and', args: args};
+    };
+    return list(';', () => list(',', parseHigh));
+  }
+
+  /**
+   * parseAtomPrimitive - read one atom primitive
+   *
+   * @param  {{str: string, pos: number}} state
+   * @return {{type: SmartsParser.ATOM, value: *}}
+   */
+  static parseAtomPrimitive(state) {
+    const str = state.str;
+    const start = state.pos;
+    const c = str[start];
+    const number = () => {
+      const match = /^[0-9]+/.exec(str.substr(state.pos));
+      if (!match) {
+        return null;
+      }
+      state.pos += match[0].length;
+      return parseInt(match[0], 10);
+    };
+    const withDefault = (type, defaultValue) => {
+      state.pos++;
+      const value = number();
+      return {type: type, value: value === null ? defaultValue : value};
+    };
+    if (c === '$' && str[start + 1] === '(') {
+      const end = closing(str, start + 1);
+      state.pos = end + 1;
+      return {type: SmartsParser.ATOM.RECURSIVE, value: SmartsParser.parse(str.substring(start + 2, end))};
+    }
+    if (/[0-9]/.test(c)) {
+      return {type: SmartsParser.ATOM.ISOTOPE, value: number()};
+    }
+    if (c === '#') {
+      state.pos++;
+      const value = number();
+      if (value === null) {
+        throw new Error(`atomic number expected in ${str}`);
+      }
+      return {type: SmartsParser.ATOM.ATOMIC_NUMBER, value: value};
+    }
+    if (c === '+' || c === '-') {
+      state.pos++;
+      const sign = c === '+' ? 1 : -1;
+      let value = number();
+      if (value === null) {
+        value = 1;
+        while (str[state.pos] === c) {
+          value++;
+          state.pos++;
+        }
+      }
+      return {type: SmartsParser.ATOM.CHARGE, value: sign * value};
+    }
+    if (c === '@') {
+      // chirality is not checked, @ and @@ match any atom
+      state.pos += str[start + 1] === '@' ? 2 : 1;
+      if (str[state.pos] === '?') {
+        state.pos++;
+      }
+      return {type: SmartsParser.ATOM.ANY, value: null};
+    }
+    // H is the hydrogen element when it comes first, after an optional isotope
+    const first = start === 0 || /^[0-9]+$/.test(str.substr(0, start));
+    const element = SmartsParser.elementSymbol(str, start, first);
+    if (element) {
+      state.pos += element.length;
+      return SmartsParser.elementPrimitive(element);
+    }
+    switch (c) {
+      case '*':
+        state.pos++;
+        return {type: SmartsParser.ATOM.ANY, value: null};
+      case 'a':
+        state.pos++;
+        return {type: SmartsParser.ATOM.AROMATIC, value: true};
+      case 'A':
+        state.pos++;
+        return {type: SmartsParser.ATOM.AROMATIC, value: false};
+      case 'D':
+        return withDefault(SmartsParser.ATOM.DEGREE, 1);
+      case 'X':
+        return withDefault(SmartsParser.ATOM.CONNECTIVITY, 1);
+      case 'v':
+        return withDefault(SmartsParser.ATOM.VALENCE, 1);
+      case 'H':
+        return withDefault(SmartsParser.ATOM.TOTAL_H, 1);
+      case 'h':
+        return withDefault(SmartsParser.ATOM.IMPLICIT_H, null);
+      case 'R':
+        return withDefault(SmartsParser.ATOM.RING_COUNT, null);
+      case 'r':
+        return withDefault(SmartsParser.ATOM.RING_SIZE, null);
+      case 'x':
+        return withDefault(SmartsParser.ATOM.RING_CONNECTIVITY, null);
+      default:
+        throw new Error(`unknown atom primitive ${c} in ${str}`);
+    }
+  }
+
+  /**
+   * elementSymbol - element symbol at a position, two letter symbols first, lowercase symbols
+   * are aromatic atoms
+   *
+   * @param  {string} str
+   * @param  {number} pos
+   * @param  {boolean} first - true if H at this position is the hydrogen element
+   * @return {?string}
+   */
+  static elementSymbol(str, pos, first) {
+    const two = str.substr(pos, 2);
+    if (/^[A-Z][a-z]$/.test(two) && SmilesParser.periodicTable[two] || two === 'se' || two === 'as') {
+      return two;
+    }
+    const one = str[pos];
+    if (one === 'H') {
+      return first ? one : null;
+    }
+    if (/[A-Z]/.test(one) && SmilesParser.periodicTable[one] || SmilesParser.aromaticAtoms.includes(one)) {
+      return one;
+    }
+    return null;
+  }
+
+  /**
+   * elementPrimitive - element with its aromaticity, C is an aliphatic carbon and c an aromatic
+   * one, #6 matches both
+   *
+   * @param  {string} symbol
+   * @return {Object} expression
+   */
+  static elementPrimitive(symbol) {
+    const aromatic = symbol[0] === symbol[0].toLowerCase();
+    const element = aromatic ? symbol[0].toUpperCase() + symbol.substr(1) : symbol;
+    return {
+      op: 'and',
+      args: [
+        {type: SmartsParser.ATOM.ELEMENT, value: element},
+        {type: SmartsParser.ATOM.AROMATIC, value: aromatic}
+      ]
+    };
+  }
+
+  /**
+   * parseBondPrimitive - read one bond primitive
+   *
+   * @param  {{str: string, pos: number}} state
+   * @return {{type: SmartsParser.BOND, value: null}}
+   */
+  static parseBondPrimitive(state) {
+    const c = state.str[state.pos];
+    const type = SmartsParser.bondPrimitives[c];
+    if (!type) {
+      throw new Error(`unknown bond primitive ${c} in ${state.str}`);
+    }
+    state.pos++;
+    return {type: type, value: null};
+  }
+}
+
+/**
+ * Types of atom primitives
+ *
+ * @enum {number}
+ */
+SmartsParser.ATOM = {
+  ANY: 70,
+  ELEMENT: 71,
+  ATOMIC_NUMBER: 72,
+  AROMATIC: 73,
+  DEGREE: 74,
+  CONNECTIVITY: 75,
+  VALENCE: 76,
+  TOTAL_H: 77,
+  IMPLICIT_H: 78,
+  RING_COUNT: 79,
+  RING_SIZE: 80,
+  RING_CONNECTIVITY: 81,
+  CHARGE: 82,
+  ISOTOPE: 83,
+  RECURSIVE: 84
+};
+
+/**
+ * Types of bond primitives
+ *
+ * @enum {number}
+ */
+SmartsParser.BOND = {
+  SINGLE: 90,
+  DOUBLE: 91,
+  TRIPLE: 92,
+  QUADRUPLE: 93,
+  AROMATIC: 94,
+  ANY: 95,
+  RING: 96
+};
+
+/**
+ * Bond primitive symbols, / and \ are single bonds whose direction is not checked
+ */
+SmartsParser.bondPrimitives = {
+  '-': SmartsParser.BOND.SINGLE,
+  '/': SmartsParser.BOND.SINGLE,
+  '\\': SmartsParser.BOND.SINGLE,
+  '=': SmartsParser.BOND.DOUBLE,
+  '#': SmartsParser.BOND.TRIPLE,
+  '$': SmartsParser.BOND.QUADRUPLE,
+  ':': SmartsParser.BOND.AROMATIC,
+  '~': SmartsParser.BOND.ANY,
+  '@': SmartsParser.BOND.RING
+};
+
+/**
+ * Characters of bond expressions
+ */
+SmartsParser.bondSymbols = Object.keys(SmartsParser.bondPrimitives).concat(['!', '&', ',', ';']);
+
+/**
+ * Atoms written without brackets, two letter symbols first
+ */
+SmartsParser.organicSymbols = ['Cl', 'Br', 'B', 'C', 'N', 'O', 'P', 'S', 'F', 'I', 'b', 'c', 'n', 'o', 'p', 's',
+                               '*', 'A', 'a'];
+
+/**
+ * Expression of bonds written without symbol: single or aromatic
+ */
+SmartsParser.DEFAULT_BOND = {
+  op: 'or',
+  args: [{type: SmartsParser.BOND.SINGLE, value: null}, {type: SmartsParser.BOND.AROMATIC, value: null}]
+};
+
+module.exports = SmartsParser;
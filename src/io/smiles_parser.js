@@ -18,6 +18,8 @@
 const ModelAtom = require('../model/atom');
 const ModelBond = require('../model/bond');
 const ModelMolecule = require('../model/molecule');
+const ModelReaction = require('../model/reaction');
+const ringAromaticity = require('../ring/aromaticity');
 
 const SmilesParser = {};
 
@@ -68,28 +70,65 @@ SmilesParser.punctuation = {
 
 SmilesParser.smiPattern = new RegExp(
     /\[[^[]+\]|Br|B|Cl|C|N|F|O|P]|S|c|n|o|s|-|=[0-9]|=[0-9]|=|#[0-9]|#[0-9][0-9]|#|\$|%[0-9][0-9]|[0-9]|\(|\)|./g);
-SmilesParser.atomPattern =
-    new RegExp(/^\[([0-9]*)([A-Z][a-z]?|c|n|o|se|s|as)(@|@@)?(H)?([0-9])?([+-][\d]?)?\]$/);
+
+/**
+ * OpenSMILES bracket atom:
+ * '[' isotope? symbol chiral? hcount? charge? class? ']'
+ *
+ * Groups: 1 isotope, 2 symbol, 3 chirality, 4 hydrogen, 5 hydrogen count, 6 charge, 7 atom class
+ */
+SmilesParser.atomPattern = new RegExp(
+    '^\\[([0-9]{1,3})?' +
+    '(\\*|[A-Z][a-z]?|b|c|n|o|p|se|s|as)' +
+    '(@(?:@|TH[12]|AL[12]|SP[1-3]|TB(?:1[0-9]|20|[1-9])|OH(?:[12][0-9]|30|[1-9]))?)?' +
+    '(?:(H)([0-9])?)?' +
+    '(\\+\\+|--|[+-](?:[0-9]{1,2})?)?' +
+    '(?::([0-9]+))?\\]$');
 SmilesParser.specialAtoms =
-    ['C', 'c', 'N', 'n', 'O', 'o', 'S', 's', 'P', 'F', 'Br', 'Cl', 'I', 'B'];
-SmilesParser.aromaticAtoms = ['c', 'n', 'o', 's', 'as', 'se'];
+    ['*', 'C', 'c', 'N', 'n', 'O', 'o', 'S', 's', 'P', 'p', 'F', 'Br', 'Cl', 'I', 'B', 'b'];
+SmilesParser.aromaticAtoms = ['b', 'c', 'n', 'o', 'p', 's', 'as', 'se'];
+
+/**
+ * Symbol of the wildcard atom, matching any element.
+ *
+ * @const {string}
+ */
+SmilesParser.WILDCARD = '*';
+
+/**
+ * Tetrahedral chirality written in its explicit class form, mapped on the short form.
+ *
+ * @enum {SmilesParser.BondStereo}
+ */
+SmilesParser.tetrahedralClasses = {
+  '@TH1': SmilesParser.BondStereo.CLOCKWISE,
+  '@TH2': SmilesParser.BondStereo.COUNTER_CLOCKWISE
+};
 
 SmilesParser.parse = function(smi) {
+  if (smi.includes(SmilesParser.REACTION_SEPARATOR)) {
+    throw new Error(smi + ' is a reaction SMILES, use SmilesParser.parseReaction');
+  }
   var items = smi.match(SmilesParser.smiPattern);
   var mol = new ModelMolecule(smi);
   var natoms = 0;
   var previousAtom;
   var bondType = SmilesParser.BondType.NONE;
+  var bondDirection = ModelBond.DIRECTION.NONE;
   var branch = [];
   var ring = [];
   var ringClosureOrder = [];
+  var ringDirection = [];
+  var ringNeighborIndex = [];
+  // neighbors of each atom in the order they are written, used for tetrahedral chirality
+  var neighbors = new Map();
 
   var errstr = '';
-  var chiralCenters = [];
   for (let i = 0; i < items.length; i++) {
     const item = items[i];
-    let ringid = parseInt(item[1] + item[2], 10);
+    const closure = SmilesParser.parseRingClosure(item);
     if (item === SmilesParser.punctuation.nobond) {
+      previousAtom = null;
     } else if (item === SmilesParser.punctuation.openbranch) {
       branch.push(previousAtom);
     } else if (item === SmilesParser.punctuation.closebranch) {
@@ -108,64 +147,76 @@ SmilesParser.parse = function(smi) {
       bondType = SmilesParser.BondType.QUAD_BOND;
     } else if (item === SmilesParser.punctuation.aromaticbond) {
       bondType = SmilesParser.BondType.AROMATIC_BOND;
-    } else if (item[0] === SmilesParser.punctuation.ringclosure) {
-      let ringAtom = ring[ringid];
-      if (ringAtom) {
-        mol.addBond(SmilesParser.createBond(bondType, previousAtom, ringAtom));
-        bondType = SmilesParser.BondType.NONE;
-        ring[ringid] = null;
-      } else {
-        ring[ringid] = previousAtom;
-      }
     } else if (item === SmilesParser.punctuation.cis) {
+      bondType = SmilesParser.BondType.SINGLE_BOND;
+      bondDirection = ModelBond.DIRECTION.UP;
     } else if (item === SmilesParser.punctuation.trans) {
-    } else if (!isNaN(ringid = parseInt(item, 10))) {
-      let ringAtom = ring[ringid];
-      if (ringAtom) {
-        mol.addBond(SmilesParser.createBond(bondType, previousAtom, ringAtom));
-        bondType = SmilesParser.BondType.NONE;
-        ring[ringid] = null;
-      } else {
-        ring[ringid] = previousAtom;
-      }
-
+      bondType = SmilesParser.BondType.SINGLE_BOND;
+      bondDirection = ModelBond.DIRECTION.DOWN;
+    } else if (closure) {
       // The default bond order for the ring closure is single (or aromatic) but may be specified by
       // including a bond symbol between (!) the atom and the closure number.
       // Example: alternatives for cyclohexene (there is only one double bond here): C1=CCCCC1 <=>
       // C=1CCCCC1 <=> C1CCCCC=1 <=> C=1CCCCC=1
-    } else if (
-        item.length > 1 && (item.startsWith(SmilesParser.BondType.DOUBLE_BOND) ||
-                            item.startsWith(SmilesParser.BondType.TRIPLE_BOND) ||
-                            item.startsWith(SmilesParser.BondType.QUAD_BOND)) &&
-        !isNaN(ringid = parseInt(item.substr(1), 10))) {
-      ringAtom = ring[ringid];
-      if (!ringAtom) {
-        ring[ringid] = previousAtom;
-        ringClosureOrder[ringid] = item.substr(0, 1);
+      const ringid = closure.ringid;
+      if (closure.bondType !== SmilesParser.BondType.NONE) {
+        bondType = closure.bondType;
+      }
+      const ringAtom = ring[ringid];
+      if (!previousAtom) {
+        errstr = ' ring closure without atom';
+      } else if (ringAtom) {
+        const openingType = ringClosureOrder[ringid];
+        if (bondType !== SmilesParser.BondType.NONE && openingType !== SmilesParser.BondType.NONE &&
+            bondType !== openingType) {
+          errstr = ' conflicting ring bonds for ring ' + ringid;
+        } else {
+          const type = bondType === SmilesParser.BondType.NONE ? openingType : bondType;
+          // a direction written at the ring opening is relative to the opening atom
+          const direction = bondDirection === ModelBond.DIRECTION.NONE ?
+              SmilesParser.invertDirection(ringDirection[ringid]) :
+              bondDirection;
+          mol.addBond(SmilesParser.createBond(type, previousAtom, ringAtom, direction));
+          neighbors.get(ringAtom)[ringNeighborIndex[ringid]] = previousAtom;
+          neighbors.get(previousAtom).push(ringAtom);
+          ring[ringid] = null;
+        }
       } else {
-        mol.addBond(SmilesParser.createBond(ringClosureOrder[ringid], previousAtom, ringAtom));
-        bondType = SmilesParser.BondType.NONE;
-        ring[ringid] = null;
-        ringClosureOrder[ringid] = null;
+        ring[ringid] = previousAtom;
+        ringClosureOrder[ringid] = bondType;
+        ringDirection[ringid] = bondDirection;
+        // placeholder replaced by the other ring atom when the ring is closed
+        ringNeighborIndex[ringid] = neighbors.get(previousAtom).push(undefined) - 1;
       }
+      bondType = SmilesParser.BondType.NONE;
+      bondDirection = ModelBond.DIRECTION.NONE;
     } else {
-      var smiAtom = SmilesParser.parseAtom(item);  // ,chiralCenters);
-      // parseAtom
-      // takes one
-      // argument?
+      var smiAtom = SmilesParser.parseAtom(item);
       if (smiAtom.symbol) {
         natoms += 1;
         var atom =
             new ModelAtom(smiAtom.symbol, 0, 0, smiAtom.charge, smiAtom.aromatic, smiAtom.isotope);
+        atom.setHydrogenCount(smiAtom.hcount);
+        atom.atomClass = smiAtom.atomClass;
+        neighbors.set(atom, []);
         if (previousAtom) {
-          mol.addBond(SmilesParser.createBond(bondType, previousAtom, atom));
+          mol.addBond(SmilesParser.createBond(bondType, previousAtom, atom, bondDirection));
           bondType = SmilesParser.BondType.NONE;
+          bondDirection = ModelBond.DIRECTION.NONE;
+          neighbors.get(previousAtom).push(atom);
+          neighbors.get(atom).push(previousAtom);
         }
         mol.addAtom(atom);
         if (smiAtom.stereo !== 'NONE') {
-          chiralCenters.push(mol.indexOfAtom(atom));
-          chiralCenters.push(smiAtom.stereo);
-          chiralCenters.push(smiAtom.chiralHydrogenNeighbour);
+          // the implicit hydrogen follows the preceding atom, null stands for it
+          if (smiAtom.chiralHydrogenNeighbour) {
+            neighbors.get(atom).push(null);
+          }
+          // @ means anticlockwise and @@ clockwise
+          const chirality = smiAtom.stereo === SmilesParser.BondStereo.CLOCKWISE ?
+              ModelAtom.CHIRALITY.ANTICLOCKWISE :
+              ModelAtom.CHIRALITY.CLOCKWISE;
+          atom.setChirality(chirality, neighbors.get(atom));
         }
         previousAtom = atom;
       } else {
@@ -174,11 +225,12 @@ SmilesParser.parse = function(smi) {
     }
     if (errstr) {
       throw new Error(smi + errstr);
-      break;
     }
   }
 
-  SmilesParser.setChiralCenters(mol, chiralCenters);
+  SmilesParser.setDoubleBondConfigurations(mol);
+  // aromatic bonds get the orders of a Kekulé structure for the hydrogen counts
+  ringAromaticity.kekulizeOrThrow(mol);
 
   if (SmilesParser.sanityCheck(branch, ring, bondType)) {
     return mol;
@@ -187,6 +239,54 @@ SmilesParser.parse = function(smi) {
   }
 };
 
+/**
+ * Parse a reaction SMILES: reactants>agents>products, optionally followed by a space and the
+ * reaction name. Molecules of each part are separated by '.', atom map numbers ([CH3:1]) are
+ * set in the atomClass of the atoms.
+ *
+ * @param {string} smi - reaction SMILES
+ * @return {ModelReaction}
+ */
+SmilesParser.parseReaction = function(smi) {
+  const match = /^(\S*)(?:\s+(.*))?$/.exec(smi.trim());
+  const parts = match[1].split(SmilesParser.REACTION_SEPARATOR);
+  if (parts.length !== 3) {
+    throw new Error(smi + ' reaction SMILES expected as reactants>agents>products');
+  }
+  const reaction = new ModelReaction(match[2]);
+  const roles = [reaction.reactants, reaction.agents, reaction.products];
+  parts.forEach((part, i) => {
+    part.split(SmilesParser.punctuation.nobond).filter(component => component).forEach(component => {
+      roles[i].push(SmilesParser.parse(component));
+    });
+  });
+  return reaction;
+};
+
+/**
+ * Separator of the reactants, agents and products of a reaction SMILES.
+ *
+ * @const {string}
+ */
+SmilesParser.REACTION_SEPARATOR = '>';
+
+/**
+ * Parse a ring closure token: a digit, %nn, or a digit preceded by a bond symbol (=1)
+ *
+ * @param {string} item - token
+ * @return {?{ringid: number, bondType: SmilesParser.BondType}} null if not a ring closure
+ */
+SmilesParser.parseRingClosure = function(item) {
+  const match = /^([=#$]?)(%[0-9][0-9]|[0-9])$/.exec(item);
+  if (!match) {
+    return null;
+  }
+  return {
+    ringid: parseInt(match[2].replace(SmilesParser.punctuation.ringclosure, ''), 10),
+    bondType: match[1] ? match[1] : SmilesParser.BondType.NONE
+  };
+};
+
 SmilesParser.sanityCheck = function(branch, ring, bondType) {
   if (branch.length) {
     throw new Error('unbalanced parens');
@@ -202,52 +302,60 @@ SmilesParser.sanityCheck = function(branch, ring, bondType) {
   return true;
 };
 
+/**
+ * Parse an atom token, either an organic subset atom or a bracket atom.
+ *
+ * For bracket atoms the hydrogen count is always known (0 when no H is written), while it is null
+ * for organic subset atoms whose hydrogens are implied by the default valence.
+ *
+ * @param {string} item - atom token
+ * @return {Object} parsed atom properties, symbol is null if the token is not a valid atom
+ */
 SmilesParser.parseAtom = function(item) {
   var atom = {
     isotope: null,
-    'symbol': null,
+    symbol: null,
     stereo: SmilesParser.BondStereo.NONE,
+    chirality: null,
     hcount: null,
     charge: null,
+    atomClass: 0,
     aromatic: false,
     chiralHydrogenNeighbour: false
   };
   var atomProp = SmilesParser.atomPattern.exec(item);
 
   if (atomProp) {
-    atom.isotope = atomProp[1];
+    atom.isotope = atomProp[1] ? parseInt(atomProp[1], 10) : null;
 
-    // periodicTable has entries for c,n,o,s,as,se
-    if (SmilesParser.periodicTable[atomProp[2]]) atom.symbol = atomProp[2];
+    // periodicTable has entries for b,c,n,o,p,s,as,se
+    if (atomProp[2] === SmilesParser.WILDCARD || SmilesParser.periodicTable[atomProp[2]]) {
+      atom.symbol = atomProp[2];
+    }
 
-    if (atomProp[3] === SmilesParser.BondStereo.CLOCKWISE ||
-        atomProp[3] === SmilesParser.BondStereo.COUNTER_CLOCKWISE) {
-      atom.stereo = atomProp[3];
+    atom.chirality = atomProp[3] ? atomProp[3] : null;
+    var stereo = SmilesParser.tetrahedralClasses[atom.chirality] || atom.chirality;
+    if (stereo === SmilesParser.BondStereo.CLOCKWISE ||
+        stereo === SmilesParser.BondStereo.COUNTER_CLOCKWISE) {
+      atom.stereo = stereo;
       if (atomProp[4] === 'H') atom.chiralHydrogenNeighbour = true;
     } else {
       atom.stereo = SmilesParser.BondStereo.NONE;
     }
 
     if (atomProp[4] === 'H') {
-      if (atomProp[5]) {
-        atom.hcount = atomProp[5];
-      } else {
-        atom.hcount = 1;
-      }
-    }
-
-    if (atomProp[6] === '+') {
-      atom.charge = 1;
-    } else if (atomProp[6] === '-') {
-      atom.charge = -1;
+      atom.hcount = atomProp[5] ? parseInt(atomProp[5], 10) : 1;
     } else {
-      atom.charge = parseInt(atomProp[6], 10);
+      atom.hcount = 0;
     }
 
-  } else {
-    if (SmilesParser.specialAtoms.includes(item)) {
-      atom.symbol = item;
+    atom.charge = SmilesParser.parseCharge(atomProp[6]);
+
+    if (atomProp[7]) {
+      atom.atomClass = parseInt(atomProp[7], 10);
     }
+  } else if (SmilesParser.specialAtoms.includes(item)) {
+    atom.symbol = item;
   }
   if (SmilesParser.aromaticAtoms.includes(atom.symbol)) {
     atom.aromatic = true;
@@ -260,16 +368,37 @@ SmilesParser.parseAtom = function(item) {
   return atom;
 };
 
+/**
+ * Parse the charge of a bracket atom: +, -, ++, --, +n or -n
+ *
+ * @param {string=} charge - charge string as written in SMILES
+ * @return {number} the formal charge
+ */
+SmilesParser.parseCharge = function(charge) {
+  if (!charge) {
+    return 0;
+  }
+  const sign = charge[0] === '-' ? -1 : 1;
+  if (charge.length === 1) {
+    return sign;
+  }
+  if (charge[1] === charge[0]) {
+    return 2 * sign;
+  }
+  return sign * parseInt(charge.substr(1), 10);
+};
+
 /**
  * factory method for bonds
  *
  * @param {SmilesParser.BondType} type bond-type code.
  * @param {ModelAtom} source atom at source end of bond.
  * @param {ModelAtom} target atom at target end of bond.
+ * @param {ModelBond.DIRECTION=} optDirection direction of the bond (/ or \).
  *
  * @return {ModelBond}
  */
-SmilesParser.createBond = function(type, source, target) {
+SmilesParser.createBond = function(type, source, target, optDirection) {
   var atype = type;
   if (type === SmilesParser.BondType.NONE) {
     if (source.aromatic && target.aromatic) {
@@ -278,87 +407,99 @@ SmilesParser.createBond = function(type, source, target) {
       atype = SmilesParser.BondType.SINGLE_BOND;
     }
   }
+  var bond;
   switch (atype) {
     case SmilesParser.BondType.SINGLE_BOND:
-      return new ModelBond(source, target, ModelBond.ORDER.SINGLE);
+      bond = new ModelBond(source, target, ModelBond.ORDER.SINGLE);
+      break;
     case SmilesParser.BondType.DOUBLE_BOND:
-      return new ModelBond(source, target, ModelBond.ORDER.DOUBLE);
+      bond = new ModelBond(source, target, ModelBond.ORDER.DOUBLE);
+      break;
     case SmilesParser.BondType.TRIPLE_BOND:
-      return new ModelBond(source, target, ModelBond.ORDER.TRIPLE);
+      bond = new ModelBond(source, target, ModelBond.ORDER.TRIPLE);
+      break;
+    case SmilesParser.BondType.QUAD_BOND:
+      bond = new ModelBond(source, target, ModelBond.ORDER.QUADRUPLE);
+      break;
     case SmilesParser.BondType.AROMATIC_BOND:
-      var bond = new ModelBond(source, target);
+      bond = new ModelBond(source, target);
       bond.aromatic = true;
-      return bond;
+      break;
     case SmilesParser.BondType.ANY:
     default:
       throw new Error('invalid bond type [' + type + ']');
   }
+  if (optDirection) {
+    bond.direction = optDirection;
+  }
+  return bond;
 };
 
 /**
- * Sets UP and DOWN bonds based on chiral center information
+ * Invert a bond direction, / becomes \ and \ becomes /
  *
- * @param {ModelMolecule}
- *            molecule currently being constructed by Smiles parser.
- * @param {Array.<number>} chiralCenters array of atoms flagged as chiral
- *            center in Smiles (plus extra overhead data).
+ * @param {?ModelBond.DIRECTION} direction
+ * @return {ModelBond.DIRECTION}
  */
-SmilesParser.setChiralCenters = function(molecule, chiralCenters) {
-  for (let c = 0, centers = chiralCenters.length; c < centers; c++) {
-    var atIndex = chiralCenters[c];
-    var chiralAtom = molecule.getAtom(atIndex);
-    if (chiralAtom !== undefined) {
-      var direction = chiralCenters[++c];
-      var chiralHydrogenNeighbour = chiralCenters[++c];
-      var cnt = 0;
-      var availableBonds = [];
-      var cntNeighb = 0;
-      var bond = null;
-      molecule.atoms.forEach(function(atom) {
-        var bond_ = molecule.findBond(chiralAtom, atom);
-        if (bond_ !== null && bond_ !== undefined) {
-          if (bond_.source !== chiralAtom) {
-            bond_.source = chiralAtom;
-            bond_.target = atom;
-          }
-          cntNeighb++;
-          if (!molecule.isBondInRing(bond_)) availableBonds.push(bond_);
-        }
-      });
-      var numOfAvBonds = availableBonds.length;
-      if ((cntNeighb === 3 || cntNeighb === 4) && numOfAvBonds > 0) {
-        var bondidx = 0;
-        if ((cntNeighb === 3 && numOfAvBonds > 1) || (cntNeighb === 4 && numOfAvBonds > 2)) {
-          bondidx = 1;
-        }
-        bond = availableBonds[bondidx];
-        if (direction === SmilesParser.BondStereo.CLOCKWISE) {
-          bond.stereo = ModelBond.STEREO.UP;
-        } else
-          bond.stereo = ModelBond.STEREO.DOWN;
-      }
-      if (cntNeighb === 4 && numOfAvBonds > 1) {
-        bondidx = 1;
-        if (numOfAvBonds === 4)
-          bondidx = 3;
-        else if (numOfAvBonds === 4)
-          bondidx = 2;
-        bond = availableBonds[bondidx];
-        if (direction === SmilesParser.BondStereo.CLOCKWISE)
-          bond.stereo = ModelBond.STEREO.DOWN;
-        else
-          bond.stereo = ModelBond.STEREO.UP;
-      }
-    }
+SmilesParser.invertDirection = function(direction) {
+  switch (direction) {
+    case ModelBond.DIRECTION.UP:
+      return ModelBond.DIRECTION.DOWN;
+    case ModelBond.DIRECTION.DOWN:
+      return ModelBond.DIRECTION.UP;
+    default:
+      return ModelBond.DIRECTION.NONE;
   }
 };
 
+/**
+ * Find a directional single bond around a double bond atom and tell if its other atom is above
+ * the double bond atom.
+ *
+ * @param {ModelAtom} atom - atom of the double bond
+ * @param {ModelBond} doubleBond - the double bond
+ * @return {?{neighbor: ModelAtom, above: boolean}} null if no directional bond found
+ */
+SmilesParser.findDirectionalNeighbor = function(atom, doubleBond) {
+  const bond = atom.getBonds().find(
+      b => b !== doubleBond && b.order === ModelBond.ORDER.SINGLE &&
+          b.direction !== ModelBond.DIRECTION.NONE);
+  if (!bond) {
+    return null;
+  }
+  // atom/X means X is above atom while X/atom means X is below atom
+  const up = bond.direction === ModelBond.DIRECTION.UP;
+  return {neighbor: bond.otherAtom(atom), above: bond.source === atom ? up : !up};
+};
+
+/**
+ * Sets cis/trans configurations of double bonds based on the bond directions
+ *
+ * @param {ModelMolecule} molecule currently being constructed by Smiles parser.
+ */
+SmilesParser.setDoubleBondConfigurations = function(molecule) {
+  molecule.bonds.forEach(function(bond) {
+    if (bond.order !== ModelBond.ORDER.DOUBLE || bond.aromatic) {
+      return;
+    }
+    const sourceSide = SmilesParser.findDirectionalNeighbor(bond.source, bond);
+    const targetSide = SmilesParser.findDirectionalNeighbor(bond.target, bond);
+    if (sourceSide && targetSide) {
+      const configuration = sourceSide.above === targetSide.above ?
+          ModelBond.CONFIGURATION.CIS :
+          ModelBond.CONFIGURATION.TRANS;
+      bond.setConfiguration(configuration, sourceSide.neighbor, targetSide.neighbor);
+    }
+  });
+};
+
 SmilesParser.periodicTable = {
   H: {number: 1, name: 'Hydrogen'},
   He: {number: 2, name: 'Helium'},
   Li: {number: 3, name: 'Lithium'},
   Be: {number: 4, name: 'Beryllium'},
   B: {number: 5, name: 'Boron'},
+  b: {number: 5, name: 'Boron'},
   C: {number: 6, name: 'Carbon'},
   c: {number: 6, name: 'Carbon'},
   N: {number: 7, name: 'Nitrogen'},
@@ -372,6 +513,7 @@ SmilesParser.periodicTable = {
   Al: {number: 13, name: 'Aluminium'},
   Si: {number: 14, name: 'Silicon'},
   P: {number: 15, name: 'Phosphorus'},
+  p: {number: 15, name: 'Phosphorus'},
   S: {number: 16, name: 'Sulfur'},
   s: {number: 16, name: 'Sulfur'},
   Cl: {number: 17, name: 'Chlorine'},
@@ -471,7 +613,13 @@ SmilesParser.periodicTable = {
   Mt: {number: 109, name: 'Meitnerium'},
   Ds: {number: 110, name: 'Darmstadtium'},
   Rg: {number: 111, name: 'Roentgenium'},
-  Cn: {number: 112, name: 'Copernicium'}
+  Cn: {number: 112, name: 'Copernicium'},
+  Nh: {number: 113, name: 'Nihonium'},
+  Fl: {number: 114, name: 'Flerovium'},
+  Mc: {number: 115, name: 'Moscovium'},
+  Lv: {number: 116, name: 'Livermorium'},
+  Ts: {number: 117, name: 'Tennessine'},
+  Og: {number: 118, name: 'Oganesson'}
 };
 
 module.exports = SmilesParser;
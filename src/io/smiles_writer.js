@@ -0,0 +1,572 @@
+'use strict';
+
+const ModelAtom = require('../model/atom');
+const ModelBond = require('../model/bond');
+const SmilesParser = require('./smiles_parser');
+const stereoTetrahedral = require('../stereo/tetrahedral');
+
+/** Class for the SMILES writer. */
+class SmilesWriter {
+  /**
+   * constructor - Create a SMILES writer for a molecule model
+   *
+   * @param  {ModelMolecule} mol - Molecule model to convert
+   * @param  {Object=} optOptions - writer options
+   * @param  {boolean=} optOptions.canonical - canonical atom ordering, identical structures
+   *                                           always give identical strings, defaults to false
+   */
+  constructor(mol, optOptions) {
+    this.mol = mol;
+    this.options = Object.assign({}, SmilesWriter.defaultOptions, optOptions);
+  }
+
+  /**
+   * toSmiles - SMILES string of the molecule, disconnected fragments are separated by '.'
+   *
+   * @return {string}
+   */
+  toSmiles() {
+    if (!this.options.canonical) {
+      return this._writeRanked(this.mol.atoms.map((a, i) => i));
+    }
+    if (!SmilesWriter.hasStereo(this.mol)) {
+      return this._writeRanked(SmilesWriter.canonicalRanks(this.mol));
+    }
+    // tie breaks between symmetric atoms change the written stereo marks, the smallest
+    // string over all tie breaks is the canonical one
+    return SmilesWriter.stereoRankings(this.mol).map(ranks => this._writeRanked(ranks)).sort()[0];
+  }
+
+  /**
+   * SMILES string written in the order of the given atom ranks
+   */
+  _writeRanked(ranks) {
+    const atoms = this.mol.atoms;
+    this.rank = new Map(atoms.map((atom, i) => [atom, ranks[i]]));
+    this.visited = new Set();
+    this.position = new Map();
+    this.children = new Map();
+    this.openings = new Map();
+    this.closings = new Map();
+    this.writtenFrom = new Map();
+    this.ringDigits = new Map();
+    this.usedDigits = new Set();
+
+    const roots = [];
+    atoms.slice().sort((a, b) => this.rank.get(a) - this.rank.get(b)).forEach(atom => {
+      if (!this.visited.has(atom)) {
+        roots.push(atom);
+        this._traverse(atom, null);
+      }
+    });
+    this._assignDirections();
+    return roots.map(root => this._write(root, null)).join('.');
+  }
+
+  /**
+   * first depth first pass, records the spanning tree and the ring closure bonds
+   */
+  _traverse(atom, fromBond) {
+    this.visited.add(atom);
+    this.position.set(atom, this.position.size);
+    const children = [];
+    this.children.set(atom, children);
+    this.openings.set(atom, []);
+    this.closings.set(atom, []);
+    this._sortedBonds(atom).forEach(bond => {
+      if (bond === fromBond) {
+        return;
+      }
+      const other = bond.otherAtom(atom);
+      if (!this.visited.has(other)) {
+        children.push(bond);
+        this.writtenFrom.set(bond, atom);
+        this._traverse(other, bond);
+      } else if (!this.writtenFrom.has(bond)) {
+        // other is an ancestor, the ring is opened there and closed here
+        this.openings.get(other).push(bond);
+        this.closings.get(atom).push(bond);
+        this.writtenFrom.set(bond, atom);
+      }
+    });
+  }
+
+  /**
+   * bonds of an atom, by rank of the neighbor
+   */
+  _sortedBonds(atom) {
+    return atom.getBonds().sort((a, b) => this.rank.get(a.otherAtom(atom)) - this.rank.get(b.otherAtom(atom)));
+  }
+
+  /**
+   * second depth first pass, writes atoms, ring closures and branches
+   */
+  _write(atom, fromBond) {
+    const closings = this.closings.get(atom);
+    const openings = this.openings.get(atom);
+    const children = this.children.get(atom);
+    let rings = '';
+    closings.forEach(bond => {
+      rings += this._bondSymbol(bond) + SmilesWriter.ringLabel(this.ringDigits.get(bond));
+    });
+    openings.forEach(bond => {
+      let digit = 1;
+      while (this.usedDigits.has(digit)) {
+        digit++;
+      }
+      if (digit > 99) {
+        throw new Error('too many open rings');
+      }
+      this.usedDigits.add(digit);
+      this.ringDigits.set(bond, digit);
+      rings += SmilesWriter.ringLabel(digit);
+    });
+    closings.forEach(bond => this.usedDigits.delete(this.ringDigits.get(bond)));
+
+    const parent = fromBond ? [fromBond.otherAtom(atom)] : [];
+    const others = closings.concat(openings, children).map(bond => bond.otherAtom(atom));
+    let smi = this._atomSymbol(atom, parent, others) + rings;
+    children.forEach((bond, i) => {
+      const branch = this._bondSymbol(bond) + this._write(bond.otherAtom(atom), bond);
+      smi += i < children.length - 1 ? `(${branch})` : branch;
+    });
+    return smi;
+  }
+
+  /**
+   * atom symbol, bracketed unless the organic subset form carries everything
+   *
+   * @param {ModelAtom} atom
+   * @param {Array.<ModelAtom>} parent - the preceding atom, empty for the first atom
+   * @param {Array.<ModelAtom>} others - ring closure partners then branches, in written order
+   * @return {string}
+   */
+  _atomSymbol(atom, parent, others) {
+    const chirality = this._chirality(atom, parent, others);
+    const symbol = atom.aromatic ? atom.symbol.toLowerCase() : atom.symbol;
+    const hcount = atom.explicitHydrogens ? atom.hcount : Math.max(0, atom.hydrogenCount());
+    const defaultHydrogens = hcount === (atom.aromatic ? SmilesWriter.aromaticHydrogenCount(atom) :
+        SmilesWriter.defaultHydrogenCount(atom));
+    if (SmilesWriter.organicSubset.includes(symbol) && !atom.isotope && !atom.charge && !atom.atomClass &&
+        chirality === ModelAtom.CHIRALITY.NONE && defaultHydrogens) {
+      return symbol;
+    }
+    let smi = '[';
+    if (atom.isotope) {
+      smi += atom.isotope;
+    }
+    smi += symbol;
+    if (chirality !== ModelAtom.CHIRALITY.NONE) {
+      smi += chirality === ModelAtom.CHIRALITY.ANTICLOCKWISE ? '@' : '@@';
+    }
+    if (hcount > 0) {
+      smi += hcount > 1 ? `H${hcount}` : 'H';
+    }
+    if (atom.charge) {
+      const sign = atom.charge > 0 ? '+' : '-';
+      smi += Math.abs(atom.charge) > 1 ? sign + Math.abs(atom.charge) : sign;
+    }
+    if (atom.atomClass) {
+      smi += `:${atom.atomClass}`;
+    }
+    return `${smi}]`;
+  }
+
+  /**
+   * chirality of an atom for the written order of its neighbors, taken from the model or
+   * perceived from wedge bonds
+   */
+  _chirality(atom, parent, others) {
+    let chirality = atom.chirality;
+    let reference = atom.chiralityAtoms;
+    if (chirality === ModelAtom.CHIRALITY.NONE) {
+      const perceived = stereoTetrahedral.perceive(atom);
+      if (!perceived) {
+        return ModelAtom.CHIRALITY.NONE;
+      }
+      chirality = perceived.chirality;
+      reference = perceived.atoms;
+    }
+    // the implicit hydrogen follows the preceding atom
+    const neighbors = reference.includes(null) ? parent.concat([null], others) : parent.concat(others);
+    return ModelAtom.permuteChirality(chirality, reference, neighbors);
+  }
+
+  /**
+   * bond symbol, written from the atom which precedes the bond in the string
+   */
+  _bondSymbol(bond) {
+    const aromaticAtoms = bond.source.aromatic && bond.target.aromatic;
+    if (bond.aromatic) {
+      return aromaticAtoms ? '' : ':';
+    }
+    switch (bond.order) {
+      case ModelBond.ORDER.DOUBLE:
+        return '=';
+      case ModelBond.ORDER.TRIPLE:
+        return '#';
+      case ModelBond.ORDER.QUADRUPLE:
+        return '$';
+      default:
+        if (this.directions.has(bond)) {
+          return this.directions.get(bond);
+        }
+        return aromaticAtoms ? '-' : '';
+    }
+  }
+
+  /**
+   * choose '/' and '\' marks on single bonds around each configured double bond, reusing
+   * marks already set for conjugated double bonds
+   */
+  _assignDirections() {
+    this.directions = new Map();
+    const first = bond => Math.min(this.position.get(bond.source), this.position.get(bond.target));
+    this.mol.bonds
+        .filter(bond => bond.order === ModelBond.ORDER.DOUBLE &&
+            bond.configuration !== ModelBond.CONFIGURATION.NONE)
+        .sort((a, b) => first(a) - first(b))
+        .forEach(bond => {
+          // the first mark goes on the side written first, so it only depends on the written order
+          const begin = this.position.get(bond.source) < this.position.get(bond.target) ? bond.source : bond.target;
+          const end = bond.otherAtom(begin);
+          const beginBond = this._directionalBond(begin, bond);
+          const endBond = this._directionalBond(end, bond);
+          if (!beginBond || !endBond) {
+            return;
+          }
+          const beginNeighbor = beginBond.otherAtom(begin);
+          const endNeighbor = endBond.otherAtom(end);
+          const configuration = begin === bond.source ?
+              bond.getConfiguration(beginNeighbor, endNeighbor) : bond.getConfiguration(endNeighbor, beginNeighbor);
+          const cis = configuration === ModelBond.CONFIGURATION.CIS;
+          if (this.directions.has(endBond) && !this.directions.has(beginBond)) {
+            const above = this._isAbove(endBond, end);
+            this._setAbove(beginBond, begin, cis === above);
+          } else {
+            if (!this.directions.has(beginBond)) {
+              this.directions.set(beginBond, '/');
+            }
+            const above = this._isAbove(beginBond, begin);
+            if (!this.directions.has(endBond)) {
+              this._setAbove(endBond, end, cis === above);
+            }
+          }
+        });
+  }
+
+  /**
+   * single bond of a double bond atom to carry the direction mark
+   */
+  _directionalBond(atom, doubleBond) {
+    const candidates = atom.getBonds().filter(
+        b => b !== doubleBond && b.order === ModelBond.ORDER.SINGLE && !b.aromatic);
+    const marked = candidates.find(b => this.directions.has(b));
+    if (marked) {
+      return marked;
+    }
+    candidates.sort((a, b) => this.position.get(a.otherAtom(atom)) - this.position.get(b.otherAtom(atom)));
+    return candidates.length ? candidates[0] : null;
+  }
+
+  /**
+   * whether the neighbor on a marked bond is above the double bond atom
+   */
+  _isAbove(bond, atom) {
+    const up = this.directions.get(bond) === '/';
+    return this.writtenFrom.get(bond) === atom ? up : !up;
+  }
+
+  /**
+   * mark a bond so that the neighbor is above or below the double bond atom
+   */
+  _setAbove(bond, atom, above) {
+    const up = this.writtenFrom.get(bond) === atom ? above : !above;
+    this.directions.set(bond, up ? '/' : '\\');
+  }
+
+  /**
+   * writeReaction - reaction SMILES reactants>agents>products, followed by the reaction name, atom
+   * map numbers are written from the atomClass of the atoms. With canonical output the molecules
+   * of each part are sorted.
+   *
+   * @param {ModelReaction} reaction
+   * @param {Object=} optOptions - writer options, see the constructor
+   * @return {string}
+   */
+  static writeReaction(reaction, optOptions) {
+    const options = Object.assign({}, SmilesWriter.defaultOptions, optOptions);
+    const smi = [reaction.reactants, reaction.agents, reaction.products].map(mols => {
+      const parts = mols.map(mol => new SmilesWriter(mol, options).toSmiles());
+      if (options.canonical) {
+        parts.sort();
+      }
+      return parts.join(SmilesParser.punctuation.nobond);
+    }).join(SmilesParser.REACTION_SEPARATOR);
+    return reaction.name ? `${smi} ${reaction.name}` : smi;
+  }
+
+  /**
+   * ring closure label
+   *
+   * @param {number} digit
+   * @return {string}
+   */
+  static ringLabel(digit) { return digit > 9 ? `%${digit}` : String(digit); }
+
+  /**
+   * hydrogen count implied by an organic subset symbol
+   *
+   * @param {ModelAtom} atom
+   * @return {number}
+   */
+  static defaultHydrogenCount(atom) {
+    const valences = SmilesWriter.valences[atom.symbol];
+    if (!valences) {
+      return 0;
+    }
+    const bondSum = atom.getBonds().reduce((sum, b) => sum + (b.aromatic ? 1 : b.order), 0);
+    const valence = valences.find(v => v >= bondSum);
+    return valence === undefined ? 0 : valence - bondSum;
+  }
+
+  /**
+   * hydrogen count implied by an aromatic organic subset symbol: the reader gives a double bond to
+   * each aromatic atom with a free valence, e.g. the nitrogen of pyridine, so that the
+   * hydrogen of a pyrrole nitrogen must be written
+   *
+   * @param {ModelAtom} atom
+   * @return {number}
+   */
+  static aromaticHydrogenCount(atom) {
+    const valences = SmilesWriter.valences[atom.symbol];
+    if (!valences) {
+      return 0;
+    }
+    const bondSum = atom.getBonds().reduce((sum, b) => sum + (b.aromatic ? 1 : b.order), 0);
+    return Math.max(valences[0] - bondSum - 1, 0);
+  }
+
+  /**
+   * canonicalRanks - Rank atoms from graph invariants, refined by the ranks of neighbors,
+   * ties between symmetric atoms are broken until all ranks are distinct
+   *
+   * @param {ModelMolecule} mol
+   * @return {Array.<number>} rank for each atom of mol.atoms
+   */
+  static canonicalRanks(mol) {
+    const atoms = mol.atoms;
+    const index = new Map(atoms.map((atom, i) => [atom, i]));
+    let ranks = SmilesWriter.rankKeys(atoms.map(SmilesWriter.atomInvariant));
+    for (;;) {
+      ranks = SmilesWriter.stableRanks(atoms, index, ranks);
+      if (new Set(ranks).size === atoms.length) {
+        return ranks;
+      }
+      ranks = SmilesWriter.breakTie(ranks);
+    }
+  }
+
+  /**
+   * stereoRankings - Canonical ranks for each way of breaking ties between symmetric atoms.
+   * The choice matters once the molecule has stereo, as the written marks depend on it.
+   * Terminal atoms tied on the same neighbor are interchangeable, only one of them is tried.
+   *
+   * @param {ModelMolecule} mol
+   * @return {Array.<Array.<number>>} ranks for each atom of mol.atoms, one array per tie break
+   */
+  static stereoRankings(mol) {
+    const atoms = mol.atoms;
+    const index = new Map(atoms.map((atom, i) => [atom, i]));
+    const rankings = [];
+    const explore = ranks => {
+      const stable = SmilesWriter.stableRanks(atoms, index, ranks);
+      if (new Set(stable).size === atoms.length) {
+        rankings.push(stable);
+        return;
+      }
+      SmilesWriter.tiedAtoms(atoms, stable).forEach(i => explore(SmilesWriter.breakTie(stable, i)));
+    };
+    explore(SmilesWriter.rankKeys(atoms.map(SmilesWriter.atomInvariant)));
+    return rankings;
+  }
+
+  /**
+   * hasStereo - Whether the molecule has configured double bonds, chiral atoms or wedges
+   *
+   * @param {ModelMolecule} mol
+   * @return {boolean}
+   */
+  static hasStereo(mol) {
+    return mol.bonds.some(bond => bond.order === ModelBond.ORDER.DOUBLE &&
+        bond.configuration !== ModelBond.CONFIGURATION.NONE) || mol.atoms.some(SmilesWriter.isStereoAtom);
+  }
+
+  /**
+   * whether an atom is chiral in the model or from its wedges
+   *
+   * @param {ModelAtom} atom
+   * @return {boolean}
+   */
+  static isStereoAtom(atom) {
+    return atom.chirality !== ModelAtom.CHIRALITY.NONE || stereoTetrahedral.perceive(atom) !== null;
+  }
+
+  /**
+   * refine ranks until the number of distinct ranks no longer grows
+   *
+   * @param {Array.<ModelAtom>} atoms
+   * @param {Map} index - index of each atom
+   * @param {Array.<number>} ranks - current ranks
+   * @return {Array.<number>}
+   */
+  static stableRanks(atoms, index, ranks) {
+    let count = new Set(ranks).size;
+    for (;;) {
+      ranks = SmilesWriter.refineRanks(atoms, index, ranks);
+      const refined = new Set(ranks).size;
+      if (refined === count) {
+        return ranks;
+      }
+      count = refined;
+    }
+  }
+
+  /**
+   * refineRanks - Split ranks by the sorted ranks of neighbors and the bonds to them
+   *
+   * @param {Array.<ModelAtom>} atoms
+   * @param {Map} index - index of each atom
+   * @param {Array.<number>} ranks - current ranks
+   * @return {Array.<number>} refined ranks, keeping the order of the current ones
+   */
+  static refineRanks(atoms, index, ranks) {
+    const keys = atoms.map((atom, i) => [ranks[i]].concat(atom.getBonds()
+        .map(b => ranks[index.get(b.otherAtom(atom))] * 8 + SmilesWriter.bondCode(b))
+        .sort((a, b) => a - b)));
+    return SmilesWriter.rankKeys(keys);
+  }
+
+  /**
+   * breakTie - Give an atom of the lowest tied rank a rank of its own
+   *
+   * @param {Array.<number>} ranks
+   * @param {number=} optAtom - index of the atom, defaults to the first atom of the lowest tied rank
+   * @return {Array.<number>}
+   */
+  static breakTie(ranks, optAtom) {
+    const atom = optAtom === undefined ? SmilesWriter.lowestTie(ranks)[0] : optAtom;
+    return SmilesWriter.rankKeys(ranks.map((r, i) => [i === atom ? r * 2 - 1 : r * 2]));
+  }
+
+  /**
+   * indices of the atoms sharing the lowest tied rank
+   *
+   * @param {Array.<number>} ranks
+   * @return {Array.<number>}
+   */
+  static lowestTie(ranks) {
+    const tied = ranks.filter((r, i) => ranks.indexOf(r) !== i);
+    const lowest = Math.min.apply(null, tied);
+    return ranks.map((r, i) => i).filter(i => ranks[i] === lowest);
+  }
+
+  /**
+   * atoms of the lowest tied rank worth trying as tie break, skipping terminal atoms
+   * interchangeable with an earlier one
+   *
+   * @param {Array.<ModelAtom>} atoms
+   * @param {Array.<number>} ranks
+   * @return {Array.<number>} atom indices
+   */
+  static tiedAtoms(atoms, ranks) {
+    const twin = (a, b) => {
+      if (a.countBonds() !== 1 || b.countBonds() !== 1) {
+        return false;
+      }
+      const bondA = a.getBonds()[0];
+      const bondB = b.getBonds()[0];
+      const center = bondA.otherAtom(a);
+      return center === bondB.otherAtom(b) && SmilesWriter.bondCode(bondA) === SmilesWriter.bondCode(bondB) &&
+          !SmilesWriter.isStereoAtom(center);
+    };
+    return SmilesWriter.lowestTie(ranks).filter((i, n, tied) =>
+      !tied.slice(0, n).some(j => twin(atoms[j], atoms[i])));
+  }
+
+  /**
+   * graph invariant of an atom, used as the initial canonical rank
+   *
+   * @param {ModelAtom} atom
+   * @return {Array.<number>}
+   */
+  static atomInvariant(atom) {
+    const element = SmilesParser.periodicTable[atom.symbol];
+    return [
+      atom.countBonds(), element ? element.number : 0, atom.isotope, atom.charge,
+      atom.explicitHydrogens ? atom.hcount : atom.hydrogenCount(), atom.aromatic ? 1 : 0
+    ];
+  }
+
+  /**
+   * bond code used while refining canonical ranks
+   *
+   * @param {ModelBond} bond
+   * @return {number}
+   */
+  static bondCode(bond) { return bond.aromatic ? 5 : bond.order; }
+
+  /**
+   * dense ranks, starting at 1, from lexicographically compared keys
+   *
+   * @param {Array.<Array.<number>>} keys
+   * @return {Array.<number>}
+   */
+  static rankKeys(keys) {
+    const compare = (a, b) => {
+      for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        if (a[i] !== b[i]) {
+          return a[i] - b[i];
+        }
+      }
+      return a.length - b.length;
+    };
+    const order = keys.map((key, i) => i).sort((i, j) => compare(keys[i], keys[j]));
+    const ranks = new Array(keys.length);
+    let rank = 0;
+    order.forEach((i, n) => {
+      if (n === 0 || compare(keys[order[n - 1]], keys[i]) !== 0) {
+        rank++;
+      }
+      ranks[i] = rank;
+    });
+    return ranks;
+  }
+}
+
+SmilesWriter.defaultOptions = {
+  canonical: false
+};
+
+/**
+ * Symbols which may be written without brackets
+ */
+SmilesWriter.organicSubset = ['*', 'B', 'C', 'N', 'O', 'P', 'S', 'F', 'Cl', 'Br', 'I', 'b', 'c', 'n', 'o', 'p', 's'];
+
+/**
+ * Normal valences of the organic subset
+ */
+SmilesWriter.valences = {
+  B: [3],
+  C: [4],
+  N: [3, 5],
+  O: [2],
+  P: [3, 5],
+  S: [2, 4, 6],
+  F: [1],
+  Cl: [1],
+  Br: [1],
+  I: [1]
+};
+
+module.exports = SmilesWriter;
@@ -1,17 +1,21 @@
 'use strict';
 
+const ModelAtom = require('../model/atom');
 
 /** Class for the chemdoodle json writer. */
 class ChemJsonWriter {
   /**
-   * constructor - Create a json string from a molecule model
+   * constructor - Create a json string from molecule models
    *
-   * @param  {modelMolecule} mol - Molecule model to convert
+   * @param  {modelMolecule|Array.<modelMolecule>} mol - Molecule model or models to convert
+   * @param  {Array.<object>=} optShapes - chemdoodle shape objects, as read by JSONParser
    */
-  constructor(mol) { this.molObj = this.processMolecule(mol); }
+  constructor(mol, optShapes) { this.molObj = this.processMolecule(mol, optShapes); }
 
   /**
-   * convert ModelAtom to a js object
+   * convert ModelAtom to a js object, the hydrogen count h is only written when explicit, mass m
+   * and radical electrons r when set. ChemDoodle has no field for the pairing of two radical
+   * electrons, singlets get the spin multiplicity sm 1 besides r 2, which ChemDoodle ignores.
    */
   processAtom(atom) {
     let a = {};
@@ -20,11 +24,23 @@ class ChemJsonWriter {
     a.x = coord.x;
     a.y = coord.y;
     a.c = atom.charge;
+    if (atom.isotope) {
+      a.m = atom.isotope;
+    }
+    if (ChemJsonWriter.radicalElectrons[atom.radical]) {
+      a.r = ChemJsonWriter.radicalElectrons[atom.radical];
+    }
+    if (atom.radical === ModelAtom.RADICAL.SINGLET) {
+      a.sm = 1;
+    }
+    if (atom.explicitHydrogens) {
+      a.h = atom.hcount;
+    }
     return a;
   }
 
   /**
-   * convert ModelBond from a molecule to a js object
+   * convert ModelBond from a molecule to a js object, aromatic bonds have order 1.5
    */
   processBond(bond, molecule) {
     let b = {};
@@ -32,13 +48,13 @@ class ChemJsonWriter {
     let atom2 = bond.target;
     b.b = molecule.indexOfAtom(atom1);
     b.e = molecule.indexOfAtom(atom2);
-    b.o = bond.order;
+    b.o = bond.aromatic ? 1.5 : bond.order;
     switch (bond.stereo) {
       case 10:
         b.s = 'none';
         break;
       case 11:
-        b.s = 'protuding';
+        b.s = 'protruding';
         break;
       case 12:
         b.s = 'ambiguous';
@@ -53,11 +69,20 @@ class ChemJsonWriter {
   }
 
   /**
-   * convert ModelMolecule to chemdoodle JSON
+   * convert ModelMolecule, or an array of them, and shapes to a chemdoodle JSON document
    */
-  processMolecule(molecule) {
+  processMolecule(molecule, optShapes) {
+    const molecules = Array.isArray(molecule) ? molecule : [molecule];
     let obj = {};
-    let mols = [];
+    obj.m = molecules.map(this.processMoleculeContent, this);
+    obj.s = optShapes ? optShapes.map(shape => JSON.parse(JSON.stringify(shape))) : [];
+    return obj;
+  }
+
+  /**
+   * convert ModelMolecule to a chemdoodle molecule object
+   */
+  processMoleculeContent(molecule) {
     let mol = {};
     const atoms = molecule.atoms;
     const bonds = molecule.bonds;
@@ -66,16 +91,23 @@ class ChemJsonWriter {
     for (let i = 0; i < bonds.length; i++) {
       mol.b.push(this.processBond(bonds[i], molecule));
     }
-
-    mols[0] = mol;
-    obj.m = mols;
-    obj.s = [];
-    return obj;
+    return mol;
   }
+
   /**
    * return the chemdoodle JSON string
    */
   toJson() { return JSON.stringify(this.molObj); }
 }
 
+/**
+ * ModelAtom.RADICAL to number of radical electrons, singlets are written as two electrons with
+ * their spin multiplicity
+ */
+ChemJsonWriter.radicalElectrons = {
+  [ModelAtom.RADICAL.SINGLET]: 2,
+  [ModelAtom.RADICAL.DOUBLET]: 1,
+  [ModelAtom.RADICAL.TRIPLET]: 2
+};
+
 module.exports = ChemJsonWriter;
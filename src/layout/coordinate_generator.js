@@ -16,8 +16,10 @@ const MathVector2D = require('../math/vector2d');
 const mathMath = require('../math/math');
 
 const modelFlags = require('../model/flags');
+const ModelBond = require('../model/bond');
 const ModelMolecule = require('../model/molecule');
 const ringPartitioner = require('../ring/partitioner');
+const stereoTetrahedral = require('../stereo/tetrahedral');
 
 const utilsArray = require('../utils/array');
 const layoutConfig = require('./config');
@@ -41,6 +43,8 @@ layoutCoordinateGenerator.generate = function(molecule) {
   var firstBondVector = new MathVector2D(0, 1);
 
   var atCount = molecule.countAtoms();
+  // the chirality given by former coordinates and wedges outlives them
+  molecule.atoms.forEach(stereoTetrahedral.perceiveChirality);
   for (let f = 0; f < atCount; f++) {
     var atom = molecule.getAtom(f);
     atom.setFlag(modelFlags.ISPLACED, false);
@@ -54,12 +58,12 @@ layoutCoordinateGenerator.generate = function(molecule) {
          * simplest: 0,0
          */
   if (atCount === 1) {
-    molecule.getAtom(0).coords = new MathCoordinate(0, 0);
+    molecule.getAtom(0).coord = new MathCoordinate(0, 0);
     return molecule;
   }
 
   if (molecule.fragmentCount > 1) {
-    throw Error('Molecule not connected.');
+    return layoutCoordinateGenerator.generateFragments(molecule);
   }
 
   // TODO: insert template pre-fab substructures here
@@ -125,9 +129,14 @@ layoutCoordinateGenerator.generate = function(molecule) {
   } while (!layoutAtomPlacer.allPlaced(molecule, atCount) &&
            safetyCounter <= molecule.countAtoms());
 
+  layoutCoordinateGenerator.placeDoubleBondConfigurations(molecule);
+
   // Optional..
   layoutOverlapResolver.resolveOverlap(molecule, sssr);
 
+  // wedges show the chirality of the model in the new coordinates
+  molecule.atoms.forEach(function(atom) { stereoTetrahedral.placeWedge(molecule, atom); });
+
   /* DEBUG coords
    alrt="";
          for(z=0; z<molecule.countAtoms(); z++) {
@@ -140,6 +149,124 @@ layoutCoordinateGenerator.generate = function(molecule) {
   return molecule;
 };
 
+/**
+ * Lay out each connected component of a molecule, e.g. the ions of a salt, on its own and place
+ * them side by side from left to right with their middles on the x axis, like the molecules of a
+ * reaction in a depiction.
+ *
+ * @param {modelMolecule} molecule
+ * @return {modelMolecule} the molecule
+ */
+layoutCoordinateGenerator.generateFragments = function(molecule) {
+  const placed = new Set();
+  let x = 0;
+  molecule.atoms.forEach(function(root) {
+    if (placed.has(root)) {
+      return;
+    }
+    const atoms = layoutCoordinateGenerator.getSideAtoms(root, null);
+    const fragment = new ModelMolecule();
+    atoms.forEach(function(atom) {
+      placed.add(atom);
+      fragment.addAtom(atom);
+    });
+    molecule.bonds.filter(function(bond) { return atoms.includes(bond.source); }).forEach(function(bond) {
+      fragment.addBond(bond);
+    });
+    layoutCoordinateGenerator.generate(fragment);
+    const box = fragment.getBoundingBox();
+    const dx = x - box.left;
+    const dy = -(box.top + box.bottom) / 2;
+    atoms.forEach(function(atom) {
+      atom.coord = new MathCoordinate(atom.coord.x + dx, atom.coord.y + dy);
+    });
+    // two bond lengths apart, so that no gap looks like a bond
+    x += box.right - box.left + 2 * layoutCoordinateGenerator.bondLength;
+  });
+  // the fragments took the atoms and bonds over
+  molecule.atoms.forEach(function(atom) { atom.molecule = molecule; });
+  molecule.bonds.forEach(function(bond) { bond.molecule = molecule; });
+  return molecule;
+};
+
+/**
+ * Flip the target side of acyclic double bonds whose coordinates do not show their cis/trans
+ * configuration, by reflecting it through the double bond axis.
+ *
+ * @param {modelMolecule} molecule
+ */
+layoutCoordinateGenerator.placeDoubleBondConfigurations = function(molecule) {
+  molecule.bonds.forEach(function(bond) {
+    if (bond.configuration === ModelBond.CONFIGURATION.NONE || molecule.isBondInRing(bond)) {
+      return;
+    }
+    const sourceSide =
+        layoutCoordinateGenerator.sideOfBond(bond, bond.configurationAtoms[0].coord);
+    const targetSide =
+        layoutCoordinateGenerator.sideOfBond(bond, bond.configurationAtoms[1].coord);
+    const isCis = sourceSide === targetSide;
+    if (isCis !== (bond.configuration === ModelBond.CONFIGURATION.CIS)) {
+      const atoms = layoutCoordinateGenerator.getSideAtoms(bond.target, bond);
+      layoutCoordinateGenerator.reflect(atoms, bond.source.coord, bond.target.coord);
+    }
+  });
+};
+
+/**
+ * Side of the bond axis, from source to target, where a point lies
+ *
+ * @param {modelBond} bond
+ * @param {MathCoordinate} coord
+ * @return {number} 1 for left, -1 for right and 0 on the axis
+ */
+layoutCoordinateGenerator.sideOfBond = function(bond, coord) {
+  const s = bond.source.coord;
+  const t = bond.target.coord;
+  return Math.sign((t.x - s.x) * (coord.y - s.y) - (t.y - s.y) * (coord.x - s.x));
+};
+
+/**
+ * Atoms connected to an atom without going through the given bond
+ *
+ * @param {modelAtom} atom - first atom of the side
+ * @param {modelBond} bond - bond not to cross
+ * @return {Array.<modelAtom>}
+ */
+layoutCoordinateGenerator.getSideAtoms = function(atom, bond) {
+  const visited = new Set([atom]);
+  const stack = [atom];
+  while (stack.length) {
+    const current = stack.pop();
+    current.getBonds().forEach(function(b) {
+      const other = b.otherAtom(current);
+      if (b !== bond && !visited.has(other)) {
+        visited.add(other);
+        stack.push(other);
+      }
+    });
+  }
+  return Array.from(visited);
+};
+
+/**
+ * Reflect atoms coordinates through the line defined by two points
+ *
+ * @param {Array.<modelAtom>} atoms
+ * @param {MathCoordinate} p1
+ * @param {MathCoordinate} p2
+ */
+layoutCoordinateGenerator.reflect = function(atoms, p1, p2) {
+  const axis = new MathVector2D(p2.x - p1.x, p2.y - p1.y);
+  axis.normalize();
+  atoms.forEach(function(atom) {
+    const vx = atom.coord.x - p1.x;
+    const vy = atom.coord.y - p1.y;
+    const proj = vx * axis.x + vy * axis.y;
+    atom.coord =
+        new MathCoordinate(p1.x + 2 * proj * axis.x - vx, p1.y + 2 * proj * axis.y - vy);
+  });
+};
+
 /**
  * places first bond of first ring with source at origin and target at scaled
  * vector
@@ -78,6 +78,57 @@ const ModelAtom = function(optSymbol, optX, optY, optCharge, optAromatic, optIso
    */
   this.aromatic = optAromatic ? optAromatic : false;
 
+  /**
+   * Hydrogen count given by the input (e.g. SMILES bracket atom), null if not specified
+   *
+   * @type{?number}
+   */
+  this.hcount = null;
+
+  /**
+   * Whether hcount is used as hydrogen count (explicit) instead of the count computed from the
+   * covalence (implicit)
+   *
+   * @type{boolean}
+   */
+  this.explicitHydrogens = false;
+
+  /**
+   * Atom class (e.g. SMILES [CH3:1]), 0 if not specified
+   *
+   * @type{number}
+   */
+  this.atomClass = 0;
+
+  /**
+   * Tetrahedral chirality: looking from the first of the chiralityAtoms, the others are arranged
+   * anticlockwise or clockwise
+   *
+   * @type{ModelAtom.CHIRALITY}
+   */
+  this.chirality = ModelAtom.CHIRALITY.NONE;
+
+  /**
+   * Neighbors defining the chirality, null stands for an implicit hydrogen or a lone pair
+   *
+   * @type{?Array.<?ModelAtom>}
+   */
+  this.chiralityAtoms = null;
+
+  /**
+   * Radical state, unpaired electrons take the place of hydrogens
+   *
+   * @type{ModelAtom.RADICAL}
+   */
+  this.radical = ModelAtom.RADICAL.NONE;
+
+  /**
+   * Index given by the input (molfile V3000 atom index), null if not specified
+   *
+   * @type{?number}
+   */
+  this.index = null;
+
   this.hybridization = null;
 
   /**
@@ -100,11 +151,23 @@ ModelAtom.prototype.countBonds = function() {
   return this.bonds.size;
 };
 /**
- * Implict hydrogen count
+ * Hydrogen count, the explicit hydrogen count if set, otherwise the implicit one
  *
  * @return {number}
  */
 ModelAtom.prototype.hydrogenCount = function() {
+  if (this.explicitHydrogens) {
+    return this.hcount;
+  }
+  return this.implicitHydrogenCount();
+};
+
+/**
+ * Implict hydrogen count computed from the covalence of the element
+ *
+ * @return {number}
+ */
+ModelAtom.prototype.implicitHydrogenCount = function() {
   /** @type {number} */
   var cov = resourceCovalence[this.symbol];
 
@@ -115,7 +178,77 @@ ModelAtom.prototype.hydrogenCount = function() {
   if (cov) {
     hydrogenCount = cov - totalBondOrder + this.charge;
   }
-  return hydrogenCount;
+  if (this.radical === ModelAtom.RADICAL.DOUBLET) {
+    hydrogenCount -= 1;
+  } else if (this.radical !== ModelAtom.RADICAL.NONE) {
+    hydrogenCount -= 2;
+  }
+  return Math.max(hydrogenCount, 0);
+};
+
+/**
+ * Set an explicit hydrogen count, null or undefined goes back to implicit hydrogens
+ *
+ * @param {?number} count - number of hydrogens attached to this atom
+ */
+ModelAtom.prototype.setHydrogenCount = function(count) {
+  const explicit = count !== null && count !== undefined;
+  this.hcount = explicit ? count : null;
+  this.explicitHydrogens = explicit;
+};
+
+/**
+ * Set the tetrahedral chirality of this atom
+ *
+ * @param {ModelAtom.CHIRALITY} chirality - ANTICLOCKWISE or CLOCKWISE
+ * @param {Array.<?ModelAtom>} atoms - neighbors, null for an implicit hydrogen or a lone pair
+ */
+ModelAtom.prototype.setChirality = function(chirality, atoms) {
+  this.chirality = chirality;
+  this.chiralityAtoms = atoms;
+};
+
+/**
+ * Get the chirality of this atom for another order of its neighbors: each swap of two neighbors
+ * inverts the chirality.
+ *
+ * @param {Array.<?ModelAtom>} atoms - the neighbors in the new order
+ * @return {ModelAtom.CHIRALITY} NONE if atoms are not the chirality atoms
+ */
+ModelAtom.prototype.getChirality = function(atoms) {
+  return ModelAtom.permuteChirality(this.chirality, this.chiralityAtoms, atoms);
+};
+
+/**
+ * Chirality for another order of the neighbors, each swap of two neighbors inverts it.
+ *
+ * @param {ModelAtom.CHIRALITY} chirality - chirality for the reference order
+ * @param {Array.<?ModelAtom>} reference - neighbors in the reference order
+ * @param {Array.<?ModelAtom>} atoms - the same neighbors in the new order
+ * @return {ModelAtom.CHIRALITY} NONE if atoms are not the reference atoms
+ */
+ModelAtom.permuteChirality = function(chirality, reference, atoms) {
+  if (chirality === ModelAtom.CHIRALITY.NONE || atoms.length !== reference.length) {
+    return ModelAtom.CHIRALITY.NONE;
+  }
+  const permutation = atoms.map(a => reference.indexOf(a));
+  if (permutation.some((p, i) => p < 0 || permutation.indexOf(p) !== i)) {
+    return ModelAtom.CHIRALITY.NONE;
+  }
+  let swaps = 0;
+  for (let i = 0; i < permutation.length; i++) {
+    while (permutation[i] !== i) {
+      const j = permutation[i];
+      permutation[i] = permutation[j];
+      permutation[j] = j;
+      swaps++;
+    }
+  }
+  if (swaps % 2 === 0) {
+    return chirality;
+  }
+  return chirality === ModelAtom.CHIRALITY.CLOCKWISE ? ModelAtom.CHIRALITY.ANTICLOCKWISE :
+                                                       ModelAtom.CHIRALITY.CLOCKWISE;
 };
 
 /**
@@ -222,8 +355,16 @@ ModelAtom.nextBondAngle = function(atom) {
  * @return {ModelAtom}
  */
 ModelAtom.prototype.clone = function() {
-  return new ModelAtom(
+  const atom = new ModelAtom(
       this.symbol, this.coord.x, this.coord.y, this.charge, this.aromatic, this.isotope);
+  atom.hcount = this.hcount;
+  atom.explicitHydrogens = this.explicitHydrogens;
+  atom.atomClass = this.atomClass;
+  atom.chirality = this.chirality;
+  atom.chiralityAtoms = this.chiralityAtoms;
+  atom.radical = this.radical;
+  atom.index = this.index;
+  return atom;
 };
 
 /**
@@ -245,6 +386,29 @@ ModelAtom.Hybridizations = {
   // tricapped trigonal prism
 };
 
+/**
+ * Tetrahedral chirality
+ *
+ * @enum {number}
+ */
+ModelAtom.CHIRALITY = {
+  NONE: 40,
+  ANTICLOCKWISE: 41,
+  CLOCKWISE: 42
+};
+
+/**
+ * Radical states: one unpaired electron (doublet) or two (singlet, triplet)
+ *
+ * @enum {number}
+ */
+ModelAtom.RADICAL = {
+  NONE: 50,
+  SINGLET: 51,
+  DOUBLET: 52,
+  TRIPLET: 53
+};
+
 /**
  * Set a flag to be true or false
  *
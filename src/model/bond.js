@@ -49,6 +49,35 @@ const ModelBond = function(source, target, optOrder, optStereo, optAromatic, opt
    */
   this.aromatic = optAromatic ? optAromatic : false;
 
+  /**
+   * Direction of a single bond adjacent to a double bond (SMILES / and \), relative to the
+   * source to target order
+   *
+   * @type {ModelBond.DIRECTION}
+   */
+  this.direction = ModelBond.DIRECTION.NONE;
+
+  /**
+   * Cis/trans configuration of a double bond, relative to configurationAtoms
+   *
+   * @type {ModelBond.CONFIGURATION}
+   */
+  this.configuration = ModelBond.CONFIGURATION.NONE;
+
+  /**
+   * Reference neighbours of the source and of the target atoms for the configuration
+   *
+   * @type {?Array.<ModelAtom>}
+   */
+  this.configurationAtoms = null;
+
+  /**
+   * Index given by the input (molfile V3000 bond index), null if not specified
+   *
+   * @type {?number}
+   */
+  this.index = null;
+
   /**
    * parent molecule
    *
@@ -76,6 +105,39 @@ ModelBond.prototype.otherAtom = function(atom) {
   return null;
 };
 
+/**
+ * Set the cis/trans configuration of a double bond.
+ *
+ * @param {ModelBond.CONFIGURATION} configuration - CIS or TRANS
+ * @param {ModelAtom} sourceNeighbor - reference neighbor of the source atom
+ * @param {ModelAtom} targetNeighbor - reference neighbor of the target atom
+ */
+ModelBond.prototype.setConfiguration = function(configuration, sourceNeighbor, targetNeighbor) {
+  this.configuration = configuration;
+  this.configurationAtoms = [sourceNeighbor, targetNeighbor];
+};
+
+/**
+ * Get the configuration of this double bond relative to the given neighbors: when only one of
+ * them is a reference atom the configuration is inverted.
+ *
+ * @param {ModelAtom} sourceNeighbor - a neighbor of the source atom
+ * @param {ModelAtom} targetNeighbor - a neighbor of the target atom
+ * @return {ModelBond.CONFIGURATION}
+ */
+ModelBond.prototype.getConfiguration = function(sourceNeighbor, targetNeighbor) {
+  if (this.configuration === ModelBond.CONFIGURATION.NONE) {
+    return this.configuration;
+  }
+  const inverted = (sourceNeighbor !== this.configurationAtoms[0]) !==
+      (targetNeighbor !== this.configurationAtoms[1]);
+  if (!inverted) {
+    return this.configuration;
+  }
+  return this.configuration === ModelBond.CONFIGURATION.CIS ? ModelBond.CONFIGURATION.TRANS :
+                                                              ModelBond.CONFIGURATION.CIS;
+};
+
 ModelBond.prototype.getLength = function() {
   return MathCoordinate.distance(this.source.coord, this.target.coord);
 };
@@ -86,8 +148,13 @@ ModelBond.prototype.getLength = function() {
  * @return {ModelBond}
  */
 ModelBond.prototype.clone = function() {
-  return new ModelBond(
+  const bond = new ModelBond(
       this.source, this.target, this.order, this.stereo, this.aromatic, this.molecule);
+  bond.direction = this.direction;
+  bond.configuration = this.configuration;
+  bond.configurationAtoms = this.configurationAtoms;
+  bond.index = this.index;
+  return bond;
 };
 
 ModelBond.prototype.deepClone = function() {
@@ -120,6 +187,28 @@ ModelBond.STEREO = {
   DOWN: 13
 };
 
+/**
+ * enum for the direction of single bonds around a double bond, UP is / and DOWN is \ in SMILES
+ *
+ * @enum {number}
+ */
+ModelBond.DIRECTION = {
+  NONE: 20,
+  UP: 21,
+  DOWN: 22
+};
+
+/**
+ * enum for double bond configuration
+ *
+ * @enum {number}
+ */
+ModelBond.CONFIGURATION = {
+  NONE: 30,
+  CIS: 31,
+  TRANS: 32
+};
+
 ModelBond.prototype.toString = function() {
   var molname = this.molecule ? this.molecule.name : 'no molecule';
   return 'ModelBond[' + this.order + ', ' + this.stereo + ']  ' + this.source.toString() + ' -- ' +
@@ -76,6 +76,45 @@ const ModelMolecule = function(optName) {
    */
   this.fragments = [];
   this.fragmentCount = 0;
+
+  /**
+   * Chiral flag of molfiles: stereocenters outside of stereo groups are absolute
+   *
+   * @type {boolean}
+   */
+  this.chiral = false;
+
+  /**
+   * Enhanced stereo groups (molfile V3000 MDLV30/STEABS, STERAC and STEREL collections)
+   *
+   * @type {Array.<{type: ModelMolecule.STEREO_GROUP, number: number, atoms: Array.<ModelAtom>}>}
+   */
+  this.stereoGroups = [];
+
+  /**
+   * Other named collections of atoms and bonds (e.g. molfile V3000 MDLV30/HILITE)
+   *
+   * @type {Array.<{name: string, atoms: Array.<ModelAtom>, bonds: Array.<modelBond>}>}
+   */
+  this.collections = [];
+
+  /**
+   * Data items by name (e.g. SD file fields)
+   *
+   * @type {Map.<string, string>}
+   */
+  this.properties = new Map();
+};
+
+/**
+ * Types of enhanced stereo groups
+ *
+ * @enum {number}
+ */
+ModelMolecule.STEREO_GROUP = {
+  ABSOLUTE: 60,
+  AND: 61,
+  OR: 62
 };
 
 ModelMolecule.prototype.resetRingCenters = function() {
@@ -211,9 +250,21 @@ ModelMolecule.prototype.removeAtom = function(atomOrId) {
   neighborBonds.forEach(function(element) { utilsArray.remove(this.bonds, element); }, this);
   atom.bonds.clear();
   utilsArray.remove(this.atoms, atom);
+  this.stereoGroups.forEach(group => utilsArray.remove(group.atoms, atom));
   atom.molecule = undefined;
 };
 
+/**
+ * Get the enhanced stereo group of an atom.
+ *
+ * @param {ModelAtom} atom
+ * @return {?{type: ModelMolecule.STEREO_GROUP, number: number, atoms: Array.<ModelAtom>}} null if
+ *         the atom is in no group
+ */
+ModelMolecule.prototype.getStereoGroup = function(atom) {
+  return this.stereoGroups.find(group => group.atoms.includes(atom)) || null;
+};
+
 /**
  * Remove a bond from molecule.
  *
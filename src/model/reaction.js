@@ -0,0 +1,110 @@
+'use strict';
+
+/**
+ * Class representing a reaction: reactants, agents and products molecules. Atom-atom mapping uses
+ * the atomClass of the atoms as map number, 0 for unmapped atoms.
+ *
+ * @param {string=} optName - Name of the reaction, defaults to empty string.
+ * @constructor
+ */
+const ModelReaction = function(optName) {
+  /**
+   * name of reaction
+   *
+   * @type {string}
+   */
+  this.name = optName ? optName : '';
+
+  /**
+   * @type {Array.<ModelMolecule>}
+   */
+  this.reactants = [];
+
+  /**
+   * molecules written above the arrow (catalysts, solvents, reagents)
+   *
+   * @type {Array.<ModelMolecule>}
+   */
+  this.agents = [];
+
+  /**
+   * @type {Array.<ModelMolecule>}
+   */
+  this.products = [];
+
+  /**
+   * conditions text lines (temperature, time, yield), written below the arrow
+   *
+   * @type {Array.<string>}
+   */
+  this.conditions = [];
+};
+
+/**
+ * Add a reactant molecule
+ *
+ * @param {ModelMolecule} mol
+ */
+ModelReaction.prototype.addReactant = function(mol) { this.reactants.push(mol); };
+
+/**
+ * Add an agent molecule
+ *
+ * @param {ModelMolecule} mol
+ */
+ModelReaction.prototype.addAgent = function(mol) { this.agents.push(mol); };
+
+/**
+ * Add a product molecule
+ *
+ * @param {ModelMolecule} mol
+ */
+ModelReaction.prototype.addProduct = function(mol) { this.products.push(mol); };
+
+/**
+ * All molecules of the reaction: reactants, agents then products
+ *
+ * @return {Array.<ModelMolecule>}
+ */
+ModelReaction.prototype.getMolecules = function() {
+  return this.reactants.concat(this.agents, this.products);
+};
+
+/**
+ * Mapped atoms of reactants and products by map number
+ *
+ * @return {Map.<number, {reactants: Array.<ModelAtom>, products: Array.<ModelAtom>}>}
+ */
+ModelReaction.prototype.getAtomMap = function() {
+  const map = new Map();
+  const add = (mols, side) => mols.forEach(mol => mol.atoms.forEach(atom => {
+    if (atom.atomClass) {
+      if (!map.has(atom.atomClass)) {
+        map.set(atom.atomClass, {reactants: [], products: []});
+      }
+      map.get(atom.atomClass)[side].push(atom);
+    }
+  }));
+  add(this.reactants, 'reactants');
+  add(this.products, 'products');
+  return map;
+};
+
+/**
+ * Atoms mapped to an atom on the other side of the arrow
+ *
+ * @param {ModelAtom} atom - atom of a reactant or of a product
+ * @return {Array.<ModelAtom>} empty if the atom is not mapped
+ */
+ModelReaction.prototype.getMappedAtoms = function(atom) {
+  const entry = atom.atomClass ? this.getAtomMap().get(atom.atomClass) : null;
+  if (!entry) {
+    return [];
+  }
+  if (entry.reactants.includes(atom)) {
+    return entry.products;
+  }
+  return entry.products.includes(atom) ? entry.reactants : [];
+};
+
+module.exports = ModelReaction;
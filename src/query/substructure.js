@@ -0,0 +1,400 @@
+'use strict';
+
+const ModelBond = require('../model/bond');
+const SmilesParser = require('../io/smiles_parser');
+const SmartsParser = require('../io/smarts_parser');
+const ringAromaticity = require('../ring/aromaticity');
+
+/** Class for the substructure search of a SMARTS query by subgraph isomorphism. */
+class SubstructureMatcher {
+  /**
+   * constructor - Create a matcher for a query
+   *
+   * @param  {string|Object} smartsOrQuery - SMARTS string or query graph from SmartsParser.parse
+   */
+  constructor(smartsOrQuery) {
+    this.query = typeof smartsOrQuery === 'string' ? SmartsParser.parse(smartsOrQuery) : smartsOrQuery;
+    this.order = SubstructureMatcher.searchOrder(this.query);
+  }
+
+  /**
+   * matches - tell if the molecule contains the query
+   *
+   * @param  {ModelMolecule} mol
+   * @return {boolean}
+   */
+  matches(mol) { return this.findAll(mol, {limit: 1}).length > 0; }
+
+  /**
+   * findAll - all mappings of the query on the molecule
+   *
+   * @param  {ModelMolecule} mol
+   * @param  {Object=} optOptions - search options
+   * @param  {boolean=} optOptions.unique - keep one mapping per set of matched atoms, symmetric
+   *                                        mappings are dropped, defaults to false
+   * @param  {number=} optOptions.limit - maximal number of mappings, defaults to no limit
+   * @return {Array.<{atoms: Array.<ModelAtom>, bonds: Array.<ModelBond>}>} molecule atoms and
+   *         bonds in the order of the query atoms and bonds
+   */
+  findAll(mol, optOptions) {
+    const options = Object.assign({}, SubstructureMatcher.defaultOptions, optOptions);
+    const context = SubstructureMatcher.context(mol);
+    const mappings = [];
+    const keys = new Set();
+    this._search(context, null, mapping => {
+      if (options.unique) {
+        const key = mapping.atoms.map(atom => mol.indexOfAtom(atom)).sort((a, b) => a - b).join(' ');
+        if (keys.has(key)) {
+          return true;
+        }
+        keys.add(key);
+      }
+      mappings.push(mapping);
+      return mappings.length < options.limit;
+    });
+    return mappings;
+  }
+
+  /**
+   * _search - depth first search of the mappings, each found mapping is given to the callback
+   * which returns false to stop the search
+   *
+   * @param  {Object} context - molecule and its ring properties
+   * @param  {?ModelAtom} rootAtom - atom mapped on the first query atom, any atom if null
+   * @param  {function(Object):boolean} found
+   */
+  _search(context, rootAtom, found) {
+    const query = this.query;
+    const atoms = new Array(query.atoms.length);
+    const used = new Set();
+    const step = depth => {
+      if (depth === this.order.length) {
+        const bonds = query.bonds.map(bond => context.mol.findBond(atoms[bond.source.index], atoms[bond.target.index]));
+        return found({atoms: atoms.slice(), bonds: bonds});
+      }
+      const queryAtom = this.order[depth].atom;
+      const parent = this.order[depth].parent;
+      let candidates = parent ? atoms[parent.index].getNeighbors() : context.mol.atoms;
+      if (depth === 0 && rootAtom) {
+        candidates = [rootAtom];
+      }
+      return candidates.every(atom => {
+        if (used.has(atom) || !SubstructureMatcher.matchAtom(queryAtom.expression, atom, context) ||
+            !this._matchBonds(queryAtom, atom, atoms, context)) {
+          return true;
+        }
+        atoms[queryAtom.index] = atom;
+        used.add(atom);
+        const more = step(depth + 1);
+        used.delete(atom);
+        atoms[queryAtom.index] = undefined;
+        return more;
+      });
+    };
+    if (query.atoms.length) {
+      step(0);
+    }
+  }
+
+  /**
+   * _matchBonds - the bonds of a query atom to already mapped query atoms must match
+   */
+  _matchBonds(queryAtom, atom, atoms, context) {
+    return queryAtom.bonds.every(queryBond => {
+      const other = queryBond.source === queryAtom ? queryBond.target : queryBond.source;
+      const otherAtom = atoms[other.index];
+      if (!otherAtom) {
+        return true;
+      }
+      const bond = context.mol.findBond(atom, otherAtom);
+      return Boolean(bond) && SubstructureMatcher.matchBond(queryBond.expression, bond, context);
+    });
+  }
+
+  /**
+   * searchOrder - query atoms in breadth first order, so that each atom but the first of each
+   * component has an already mapped neighbor
+   *
+   * @param  {Object} query
+   * @return {Array.<{atom: Object, parent: ?Object}>}
+   */
+  static searchOrder(query) {
+    const order = [];
+    const seen = new Set();
+    query.atoms.forEach(root => {
+      if (seen.has(root)) {
+        return;
+      }
+      seen.add(root);
+      const queue = [{atom: root, parent: null}];
+      while (queue.length) {
+        const item = queue.shift();
+        order.push(item);
+        item.atom.bonds.forEach(bond => {
+          const other = bond.source === item.atom ? bond.target : bond.source;
+          if (!seen.has(other)) {
+            seen.add(other);
+            queue.push({atom: other, parent: item.atom});
+          }
+        });
+      }
+    });
+    return order;
+  }
+
+  /**
+   * context - molecule properties used by the primitives: aromatic atoms and bonds, ring bonds,
+   * number of rings and smallest ring size of each atom, and the results of recursive queries
+   *
+   * @param  {ModelMolecule} mol
+   * @return {Object}
+   */
+  static context(mol) {
+    const ringCounts = new Map();
+    const ringSizes = new Map();
+    mol.getRings().forEach(ring => ring.atoms.forEach(atom => {
+      ringCounts.set(atom, (ringCounts.get(atom) || 0) + 1);
+      ringSizes.set(atom, Math.min(ringSizes.get(atom) || Infinity, ring.atoms.length));
+    }));
+    const aromaticity = SubstructureMatcher.aromaticity(mol);
+    return {
+      mol: mol,
+      aromaticAtoms: aromaticity.atoms,
+      aromaticBonds: aromaticity.bonds,
+      ringBonds: SubstructureMatcher.ringBonds(mol),
+      ringCounts: ringCounts,
+      ringSizes: ringSizes,
+      recursive: new Map()
+    };
+  }
+
+  /**
+   * aromaticity - atoms and bonds which are aromatic in the molecule or in the rings perceived
+   * as aromatic, so that aromatic queries match Kekulé structures, e.g. of molfiles. The flags of
+   * the molecule are left as they are.
+   *
+   * @param  {ModelMolecule} mol
+   * @return {{atoms: Set.<ModelAtom>, bonds: Set.<ModelBond>}}
+   */
+  static aromaticity(mol) {
+    const atomFlags = mol.atoms.map(atom => atom.aromatic);
+    const bondFlags = mol.bonds.map(bond => bond.aromatic);
+    ringAromaticity.perceive(mol);
+    const atoms = new Set(mol.atoms.filter((atom, i) => atom.aromatic || atomFlags[i]));
+    const bonds = new Set(mol.bonds.filter((bond, i) => bond.aromatic || bondFlags[i]));
+    mol.atoms.forEach((atom, i) => {
+      atom.aromatic = atomFlags[i];
+    });
+    mol.bonds.forEach((bond, i) => {
+      bond.aromatic = bondFlags[i];
+    });
+    return {atoms: atoms, bonds: bonds};
+  }
+
+  /**
+   * ringBonds - bonds which are not bridges, found with the lowest reachable depth of a depth
+   * first search
+   *
+   * @param  {ModelMolecule} mol
+   * @return {Set.<ModelBond>}
+   */
+  static ringBonds(mol) {
+    const depths = new Map();
+    const bridges = new Set();
+    const visit = (atom, fromBond, depth) => {
+      depths.set(atom, depth);
+      let low = depth;
+      atom.getBonds().forEach(bond => {
+        if (bond === fromBond) {
+          return;
+        }
+        const other = bond.otherAtom(atom);
+        if (depths.has(other)) {
+          low = Math.min(low, depths.get(other));
+        } else {
+          const otherLow = visit(other, bond, depth + 1);
+          if (otherLow > depth) {
+            bridges.add(bond);
+          }
+          low = Math.min(low, otherLow);
+        }
+      });
+      return low;
+    };
+    mol.atoms.forEach(atom => {
+      if (!depths.has(atom)) {
+        visit(atom, null, 0);
+      }
+    });
+    return new Set(mol.bonds.filter(bond => !bridges.has(bond)));
+  }
+
+  /**
+   * matchAtom - evaluate an atom expression
+   *
+   * @param  {Object} expression
+   * @param  {ModelAtom} atom
+   * @param  {Object} context
+   * @return {boolean}
+   */
+  static matchAtom(expression, atom, context) {
+    if (expression.op) {
+      return SubstructureMatcher.evaluate(expression, e => SubstructureMatcher.matchAtom(e, atom, context));
+    }
+    const value = expression.value;
+    const type = SmartsParser.ATOM;
+    switch (expression.type) {
+      case type.ANY:
+        return true;
+      case type.ELEMENT:
+        return atom.symbol === value;
+      case type.ATOMIC_NUMBER:
+        return SubstructureMatcher.atomicNumber(atom) === value;
+      case type.AROMATIC:
+        return context.aromaticAtoms.has(atom) === value;
+      case type.DEGREE:
+        return atom.getNeighbors().length === value;
+      case type.CONNECTIVITY:
+        return atom.getNeighbors().length + atom.hydrogenCount() === value;
+      case type.VALENCE:
+        return SubstructureMatcher.valence(atom) === value;
+      case type.TOTAL_H:
+        return atom.hydrogenCount() + atom.getNeighbors().filter(nbr => nbr.symbol === 'H').length === value;
+      case type.IMPLICIT_H:
+        return value === null ? atom.hydrogenCount() > 0 : atom.hydrogenCount() === value;
+      case type.RING_COUNT:
+        return SubstructureMatcher.ringValue(atom, value, context.ringCounts.get(atom) || 0, context);
+      case type.RING_SIZE:
+        return SubstructureMatcher.ringValue(atom, value, context.ringSizes.get(atom) || 0, context);
+      case type.RING_CONNECTIVITY: {
+        const ringBonds = atom.getBonds().filter(bond => context.ringBonds.has(bond)).length;
+        return value === null ? ringBonds > 0 : ringBonds === value;
+      }
+      case type.CHARGE:
+        return (atom.charge || 0) === value;
+      case type.ISOTOPE:
+        return (atom.isotope || 0) === value;
+      case type.RECURSIVE:
+        return SubstructureMatcher.matchRecursive(value, atom, context);
+      default:
+        throw new Error(`unknown atom primitive ${expression.type}`);
+    }
+  }
+
+  /**
+   * matchBond - evaluate a bond expression
+   *
+   * @param  {Object} expression
+   * @param  {ModelBond} bond
+   * @param  {Object} context
+   * @return {boolean}
+   */
+  static matchBond(expression, bond, context) {
+    if (expression.op) {
+      return SubstructureMatcher.evaluate(expression, e => SubstructureMatcher.matchBond(e, bond, context));
+    }
+    const type = SmartsParser.BOND;
+    switch (expression.type) {
+      case type.SINGLE:
+        return !context.aromaticBonds.has(bond) && bond.order === ModelBond.ORDER.SINGLE;
+      case type.DOUBLE:
+        return !context.aromaticBonds.has(bond) && bond.order === ModelBond.ORDER.DOUBLE;
+      case type.TRIPLE:
+        return !context.aromaticBonds.has(bond) && bond.order === ModelBond.ORDER.TRIPLE;
+      case type.QUADRUPLE:
+        return !context.aromaticBonds.has(bond) && bond.order === ModelBond.ORDER.QUADRUPLE;
+      case type.AROMATIC:
+        return context.aromaticBonds.has(bond);
+      case type.ANY:
+        return true;
+      case type.RING:
+        return context.ringBonds.has(bond);
+      default:
+        throw new Error(`unknown bond primitive ${expression.type}`);
+    }
+  }
+
+  /**
+   * evaluate - logical operators of an expression
+   *
+   * @param  {{op: string, args: Array}} expression
+   * @param  {function(Object):boolean} match - evaluation of the arguments
+   * @return {boolean}
+   */
+  static evaluate(expression, match) {
+    switch (expression.op) {
+      case 'not':
+        return !match(expression.args[0]);
+      case 'and':
+        return expression.args.every(match);
+      case 'or':
+        return expression.args.some(match);
+      default:
+        throw new Error(`unknown operator ${expression.op}`);
+    }
+  }
+
+  /**
+   * matchRecursive - the atom is the first atom of a mapping of the recursive query
+   *
+   * @param  {Object} query
+   * @param  {ModelAtom} atom
+   * @param  {Object} context
+   * @return {boolean}
+   */
+  static matchRecursive(query, atom, context) {
+    if (!context.recursive.has(query)) {
+      context.recursive.set(query, {matcher: new SubstructureMatcher(query), atoms: new Map()});
+    }
+    const cache = context.recursive.get(query);
+    if (!cache.atoms.has(atom)) {
+      let found = false;
+      cache.matcher._search(context, atom, () => {
+        found = true;
+        return false;
+      });
+      cache.atoms.set(atom, found);
+    }
+    return cache.atoms.get(atom);
+  }
+
+  /**
+   * ringValue - R and r primitives: without value any ring atom, 0 for chain atoms
+   */
+  static ringValue(atom, value, atomValue, context) {
+    const inRing = atom.getBonds().some(bond => context.ringBonds.has(bond));
+    if (value === null) {
+      return inRing;
+    }
+    return value === 0 ? !inRing : atomValue === value;
+  }
+
+  /**
+   * atomicNumber - atomic number of the atom, 0 for the wildcard atom
+   *
+   * @param  {ModelAtom} atom
+   * @return {number}
+   */
+  static atomicNumber(atom) {
+    const element = SmilesParser.periodicTable[atom.symbol];
+    return element ? element.number : 0;
+  }
+
+  /**
+   * valence - total bond order of the Kekulé structure, which the parsers assign to aromatic
+   * bonds, and hydrogens
+   *
+   * @param  {ModelAtom} atom
+   * @return {number}
+   */
+  static valence(atom) {
+    return atom.getBonds().reduce((sum, bond) => sum + bond.order, 0) + atom.hydrogenCount();
+  }
+}
+
+SubstructureMatcher.defaultOptions = {
+  unique: false,
+  limit: Infinity
+};
+
+module.exports = SubstructureMatcher;
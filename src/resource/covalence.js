@@ -1,6 +1,7 @@
 'use strict';
 
 const resourceCovalence = {
+  B: 3,
   C: 4,
   Si: 4,
   N: 3,
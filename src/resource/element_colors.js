@@ -0,0 +1,92 @@
+'use strict';
+
+/**
+ * Element colors of the CPK (RasMol) and Jmol schemes, elements which are not listed use the
+ * default color
+ */
+const resourceElementColors = {
+  cpk: {
+    H: '#FFFFFF',
+    He: '#FFC0CB',
+    Li: '#B22222',
+    B: '#00FF00',
+    C: '#C8C8C8',
+    N: '#8F8FFF',
+    O: '#F00000',
+    F: '#DAA520',
+    Na: '#0000FF',
+    Mg: '#228B22',
+    Al: '#808090',
+    Si: '#DAA520',
+    P: '#FFA500',
+    S: '#FFC832',
+    Cl: '#00FF00',
+    Ca: '#808090',
+    Ti: '#808090',
+    Cr: '#808090',
+    Mn: '#808090',
+    Fe: '#FFA500',
+    Ni: '#A52A2A',
+    Cu: '#A52A2A',
+    Zn: '#A52A2A',
+    Br: '#A52A2A',
+    Ag: '#808090',
+    I: '#A020F0',
+    Ba: '#FFA500',
+    Au: '#DAA520'
+  },
+  jmol: {
+    H: '#FFFFFF',
+    He: '#D9FFFF',
+    Li: '#CC80FF',
+    Be: '#C2FF00',
+    B: '#FFB5B5',
+    C: '#909090',
+    N: '#3050F8',
+    O: '#FF0D0D',
+    F: '#90E050',
+    Ne: '#B3E3F5',
+    Na: '#AB5CF2',
+    Mg: '#8AFF00',
+    Al: '#BFA6A6',
+    Si: '#F0C8A0',
+    P: '#FF8000',
+    S: '#FFFF30',
+    Cl: '#1FF01F',
+    Ar: '#80D1E3',
+    K: '#8F40D4',
+    Ca: '#3DFF00',
+    Ti: '#BFC2C7',
+    Cr: '#8A99C7',
+    Mn: '#9C7AC7',
+    Fe: '#E06633',
+    Co: '#F090A0',
+    Ni: '#50D050',
+    Cu: '#C88033',
+    Zn: '#7D80B0',
+    Ga: '#C28F8F',
+    Ge: '#668F8F',
+    As: '#BD80E3',
+    Se: '#FFA100',
+    Br: '#A62929',
+    Kr: '#5CB8D1',
+    Rb: '#702EB0',
+    Sr: '#00FF00',
+    Pd: '#006985',
+    Ag: '#C0C0C0',
+    Sn: '#668080',
+    Sb: '#9E63B5',
+    Te: '#D47A00',
+    I: '#940094',
+    Xe: '#429EB0',
+    Cs: '#57178F',
+    Ba: '#00C900',
+    Pt: '#D0D0E0',
+    Au: '#FFD123',
+    Hg: '#B8B8D0',
+    Pb: '#575961',
+    Bi: '#9E4FB5'
+  }
+};
+
+module.exports = resourceElementColors;
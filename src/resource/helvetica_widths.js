@@ -0,0 +1,20 @@
+'use strict';
+
+/**
+ * Advance widths of the Helvetica font of the PDF standard 14 fonts, in thousandths of the font
+ * size, from the Adobe font metrics: the printable ASCII characters from the space (32) to the
+ * tilde (126), and the minus sign
+ */
+const resourceHelveticaWidths = {
+  ascii: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  minus: 584
+};
+
+module.exports = resourceHelveticaWidths;
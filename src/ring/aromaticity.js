@@ -0,0 +1,278 @@
+/**
+ * aromaticity module.
+ * Kekulé assignment of aromatic bonds and Hückel (4n+2) perception of aromatic rings.
+ * Aromatic bonds keep their aromatic flag and get a single or double order, so that bond orders
+ * give the right hydrogen counts.
+ * @module ring/aromaticity
+ */
+'use strict';
+
+const ModelAtom = require('../model/atom');
+const ModelBond = require('../model/bond');
+const resourceCovalence = require('../resource/covalence');
+
+const ringAromaticity = function() {};
+
+/**
+ * Assign alternating single and double orders to the aromatic bonds: each aromatic atom which
+ * has a free valence gets exactly one double bond. Systems without Kekulé structure keep single
+ * bonds.
+ *
+ * @param {ModelMolecule} mol
+ * @return {boolean} false if some aromatic system can't be kekulized
+ */
+ringAromaticity.kekulize = function(mol) {
+  const bonds = mol.bonds.filter(b => b.aromatic);
+  const candidates = new Map();
+  bonds.forEach(bond => {
+    bond.order = ModelBond.ORDER.SINGLE;
+    [bond.source, bond.target].forEach(atom => {
+      if (!candidates.has(atom)) {
+        candidates.set(atom, ringAromaticity.freeValence(atom) > 0 ? [] : null);
+      }
+    });
+  });
+  // double bonds can only join two atoms with a free valence
+  bonds.forEach(bond => {
+    const sourceBonds = candidates.get(bond.source);
+    const targetBonds = candidates.get(bond.target);
+    if (sourceBonds && targetBonds) {
+      sourceBonds.push(bond);
+      targetBonds.push(bond);
+    }
+  });
+  let kekulized = true;
+  ringAromaticity.components(candidates).forEach(atoms => {
+    const doubleBonds = ringAromaticity.perfectMatching(atoms, candidates);
+    if (doubleBonds) {
+      doubleBonds.forEach(bond => {
+        bond.order = ModelBond.ORDER.DOUBLE;
+      });
+    } else {
+      kekulized = false;
+    }
+  });
+  return kekulized;
+};
+
+/**
+ * Kekulé assignment of the aromatic bonds of a parsed molecule, the readers throw on aromatic
+ * systems without Kekulé structure rather than give them wrong hydrogen counts.
+ *
+ * @param {ModelMolecule} mol
+ */
+ringAromaticity.kekulizeOrThrow = function(mol) {
+  if (!ringAromaticity.kekulize(mol)) {
+    throw new Error('aromatic system without Kekulé structure');
+  }
+};
+
+/**
+ * Valence left for a double bond once the bonds, explicit hydrogens and unpaired electrons are
+ * counted, aromatic bonds count as single bonds. Charged carbon loses a bond, the other elements
+ * gain one per positive charge.
+ *
+ * @param {ModelAtom} atom
+ * @return {number}
+ */
+ringAromaticity.freeValence = function(atom) {
+  const covalence = resourceCovalence[atom.symbol];
+  if (!covalence) {
+    return 0;
+  }
+  const valence = covalence === 4 ? covalence - Math.abs(atom.charge) : covalence + atom.charge;
+  const bondSum = atom.getBonds().reduce((sum, b) => sum + (b.aromatic ? 1 : b.order), 0);
+  const hydrogens = atom.explicitHydrogens ? atom.hcount : 0;
+  let electrons = 0;
+  if (atom.radical === ModelAtom.RADICAL.DOUBLET) {
+    electrons = 1;
+  } else if (atom.radical !== ModelAtom.RADICAL.NONE) {
+    electrons = 2;
+  }
+  return valence - bondSum - hydrogens - electrons;
+};
+
+/**
+ * Connected components of the atoms needing a double bond
+ *
+ * @param {Map.<ModelAtom, ?Array.<ModelBond>>} candidates - bonds of each atom needing a double
+ *                                                           bond, null for the others
+ * @return {Array.<Array.<ModelAtom>>}
+ */
+ringAromaticity.components = function(candidates) {
+  const seen = new Set();
+  const components = [];
+  candidates.forEach((atomBonds, root) => {
+    if (!atomBonds || seen.has(root)) {
+      return;
+    }
+    const component = [];
+    const stack = [root];
+    seen.add(root);
+    while (stack.length) {
+      const atom = stack.pop();
+      component.push(atom);
+      candidates.get(atom).map(b => b.otherAtom(atom)).filter(other => !seen.has(other)).forEach(other => {
+        seen.add(other);
+        stack.push(other);
+      });
+    }
+    components.push(component);
+  });
+  return components;
+};
+
+/**
+ * Perfect matching of a component by backtracking, the atom with the fewest choices is matched
+ * first so that chains and rings are matched without going back
+ *
+ * @param {Array.<ModelAtom>} atoms
+ * @param {Map.<ModelAtom, ?Array.<ModelBond>>} candidates
+ * @return {?Array.<ModelBond>} the double bonds, null if there is no perfect matching
+ */
+ringAromaticity.perfectMatching = function(atoms, candidates) {
+  if (atoms.length % 2) {
+    return null;
+  }
+  const matched = new Set();
+  const doubleBonds = [];
+  const step = () => {
+    let best = null;
+    let choices = null;
+    atoms.filter(atom => !matched.has(atom)).forEach(atom => {
+      const free = candidates.get(atom).filter(b => !matched.has(b.otherAtom(atom)));
+      if (!choices || free.length < choices.length) {
+        best = atom;
+        choices = free;
+      }
+    });
+    if (!best) {
+      return true;
+    }
+    return choices.some(bond => {
+      const other = bond.otherAtom(best);
+      matched.add(best);
+      matched.add(other);
+      doubleBonds.push(bond);
+      if (step()) {
+        return true;
+      }
+      matched.delete(best);
+      matched.delete(other);
+      doubleBonds.pop();
+      return false;
+    });
+  };
+  return step() ? doubleBonds : null;
+};
+
+/**
+ * Perceive aromatic rings with the Hückel rule: a ring, or a pair of fused rings, whose atoms
+ * are all sp2 with 4n+2 pi electrons is aromatic. Previous aromatic flags are replaced, bond
+ * orders are kept so the input must be a Kekulé structure.
+ *
+ * @param {ModelMolecule} mol
+ * @return {number} count of aromatic atoms
+ */
+ringAromaticity.perceive = function(mol) {
+  mol.atoms.forEach(atom => {
+    atom.aromatic = false;
+  });
+  mol.bonds.forEach(bond => {
+    bond.aromatic = false;
+  });
+  const rings = mol.getRings();
+  const systems = rings.map(ring => ({atoms: ring.atoms, bonds: ring.bonds}));
+  rings.forEach((ring, i) => rings.slice(i + 1).forEach(other => {
+    if (ring.bonds.some(b => other.bonds.includes(b))) {
+      systems.push({
+        atoms: Array.from(new Set(ring.atoms.concat(other.atoms))),
+        bonds: Array.from(new Set(ring.bonds.concat(other.bonds)))
+      });
+    }
+  }));
+  // a ring may depend on the double bonds of a fused aromatic ring found before
+  let found;
+  do {
+    found = systems.filter(system => !system.bonds.every(b => b.aromatic) && ringAromaticity.isHuckel(system.atoms));
+    found.forEach(ringAromaticity.setAromatic);
+  } while (found.length);
+  return mol.atoms.filter(atom => atom.aromatic).length;
+};
+
+/**
+ * Flag the atoms and bonds of a ring system as aromatic
+ *
+ * @param {{atoms: Array.<ModelAtom>, bonds: Array.<ModelBond>}} system
+ */
+ringAromaticity.setAromatic = function(system) {
+  system.atoms.forEach(atom => {
+    atom.aromatic = true;
+  });
+  system.bonds.forEach(bond => {
+    bond.aromatic = true;
+  });
+};
+
+/**
+ * Hückel rule for the atoms of a ring system
+ *
+ * @param {Array.<ModelAtom>} atoms
+ * @return {boolean}
+ */
+ringAromaticity.isHuckel = function(atoms) {
+  let electrons = 0;
+  const valid = atoms.every(atom => {
+    const count = ringAromaticity.piElectrons(atom, atoms);
+    electrons += count;
+    return count >= 0;
+  });
+  return valid && electrons % 4 === 2;
+};
+
+/**
+ * Pi electrons given by a ring atom: 1 for a double bond in the ring system or in an aromatic
+ * ring, 0 for an exocyclic double bond to a heteroatom or an empty orbital, 2 for a lone pair
+ *
+ * @param {ModelAtom} atom
+ * @param {Array.<ModelAtom>} ringAtoms - atoms of the ring system
+ * @return {number} -1 if the atom is not sp2
+ */
+ringAromaticity.piElectrons = function(atom, ringAtoms) {
+  const bonds = atom.getBonds();
+  if (bonds.some(b => b.order > ModelBond.ORDER.DOUBLE)) {
+    return -1;
+  }
+  const doubleBonds = bonds.filter(b => b.order === ModelBond.ORDER.DOUBLE);
+  if (doubleBonds.length > 1) {
+    return -1;
+  }
+  if (doubleBonds.length === 1) {
+    const bond = doubleBonds[0];
+    if (bond.aromatic || ringAtoms.includes(bond.otherAtom(atom))) {
+      return 1;
+    }
+    return bond.otherAtom(atom).symbol === 'C' ? -1 : 0;
+  }
+  const connections = bonds.length + atom.hydrogenCount();
+  switch (atom.symbol) {
+    case 'C':
+      if (atom.charge === -1) {
+        return 2;
+      }
+      return atom.charge === 1 ? 0 : -1;
+    case 'B':
+      return atom.charge === 0 && connections === 3 ? 0 : -1;
+    case 'N':
+    case 'P':
+      return atom.charge === 0 && connections === 3 ? 2 : -1;
+    case 'O':
+    case 'S':
+    case 'Se':
+      return atom.charge === 0 && connections === 2 ? 2 : -1;
+    default:
+      return -1;
+  }
+};
+
+module.exports = ringAromaticity;
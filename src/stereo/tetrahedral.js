@@ -0,0 +1,154 @@
+/**
+ * tetrahedral module.
+ * Perception of tetrahedral stereocenters from 2D coordinates and wedge bonds, and the wedge
+ * bonds which show the chirality of a stereocenter in its coordinates.
+ * Coordinates are in screen orientation (y axis pointing down) as in SVG and chemdoodle json.
+ * @module stereo/tetrahedral
+ */
+'use strict';
+
+const ModelAtom = require('../model/atom');
+const ModelBond = require('../model/bond');
+
+const stereoTetrahedral = function() {};
+
+/**
+ * Minimal absolute value of the signed volume to consider a center as chiral
+ */
+stereoTetrahedral.EPSILON = 1e-4;
+
+/**
+ * Determinant of three 3D vectors
+ *
+ * @param {Array.<number>} a
+ * @param {Array.<number>} b
+ * @param {Array.<number>} c
+ * @return {number}
+ */
+stereoTetrahedral.determinant = function(a, b, c) {
+  return a[0] * (b[1] * c[2] - b[2] * c[1]) - a[1] * (b[0] * c[2] - b[2] * c[0]) +
+      a[2] * (b[0] * c[1] - b[1] * c[0]);
+};
+
+/**
+ * Perceive the chirality of an atom from the wedge bonds whose narrow end is on it.
+ * With three neighbors, the implicit hydrogen or the lone pair (null) is the last neighbor.
+ *
+ * @param {ModelAtom} atom
+ * @return {?{chirality: ModelAtom.CHIRALITY, atoms: Array.<?ModelAtom>}} null if not a
+ *                                                                          stereocenter
+ */
+stereoTetrahedral.perceive = function(atom) {
+  const bonds = atom.getBonds();
+  if (bonds.length < 3 || bonds.length > 4) {
+    return null;
+  }
+  const wedges = bonds.filter(
+      b => b.source === atom && (b.stereo === ModelBond.STEREO.UP || b.stereo === ModelBond.STEREO.DOWN));
+  if (wedges.length === 0 || bonds.some(b => b.stereo === ModelBond.STEREO.UP_OR_DOWN)) {
+    return null;
+  }
+  const points = bonds.map(function(bond) {
+    const other = bond.otherAtom(atom);
+    const dx = other.coord.x - atom.coord.x;
+    const dy = other.coord.y - atom.coord.y;
+    const length = Math.sqrt(dx * dx + dy * dy) || 1;
+    let z = 0;
+    if (wedges.includes(bond)) {
+      z = bond.stereo === ModelBond.STEREO.UP ? 1 : -1;
+    }
+    // y axis points down on screen
+    return [dx / length, -dy / length, z];
+  });
+  const atoms = bonds.map(b => b.otherAtom(atom));
+  if (points.length === 3) {
+    // the implicit neighbor stands on the center
+    points.push([0, 0, 0]);
+    atoms.push(null);
+  }
+  const origin = points[0];
+  const vectors = points.slice(1).map(p => [p[0] - origin[0], p[1] - origin[1], p[2] - origin[2]]);
+  const volume = stereoTetrahedral.determinant(vectors[0], vectors[1], vectors[2]);
+  if (Math.abs(volume) < stereoTetrahedral.EPSILON) {
+    return null;
+  }
+  return {
+    chirality: volume < 0 ? ModelAtom.CHIRALITY.ANTICLOCKWISE : ModelAtom.CHIRALITY.CLOCKWISE,
+    atoms: atoms
+  };
+};
+
+/**
+ * Set the chirality of an atom from the wedge bonds whose narrow end is on it, when the model
+ * has none, so that the wedges of new coordinates keep the configuration of the former ones.
+ *
+ * @param {ModelAtom} atom
+ */
+stereoTetrahedral.perceiveChirality = function(atom) {
+  if (atom.chirality !== ModelAtom.CHIRALITY.NONE) {
+    return;
+  }
+  const perceived = stereoTetrahedral.perceive(atom);
+  if (perceived) {
+    atom.setChirality(perceived.chirality, perceived.atoms);
+  }
+};
+
+/**
+ * Wedge a single bond of a stereocenter, from the center, so that the wedge and the coordinates
+ * give the chirality of the model: the wedge or hashed wedge, whichever perceive finds the
+ * chirality with. Bonds out of rings to neighbors which are not stereocenters are wedged first,
+ * to terminal neighbors before the others. The former wedges of the center are removed.
+ * Centers whose chirality is given without the four neighbors, such as sulfoxides, keep plain
+ * bonds.
+ *
+ * @param {ModelMolecule} molecule
+ * @param {ModelAtom} atom
+ */
+stereoTetrahedral.placeWedge = function(molecule, atom) {
+  if (atom.chirality === ModelAtom.CHIRALITY.NONE || !atom.chiralityAtoms || atom.chiralityAtoms.length !== 4) {
+    return;
+  }
+  const bonds = atom.getBonds();
+  bonds.filter(b => b.source === atom && stereoTetrahedral.isWedge(b)).forEach(b => {
+    b.stereo = ModelBond.STEREO.NOT_STEREO;
+  });
+  // bonds wedged from another center and the bonds around double bonds are left as they are
+  const candidates = bonds.filter(b => b.order === ModelBond.ORDER.SINGLE && !stereoTetrahedral.isWedge(b) &&
+      b.stereo !== ModelBond.STEREO.UP_OR_DOWN && b.direction === ModelBond.DIRECTION.NONE);
+  const rank = b => {
+    const other = b.otherAtom(atom);
+    return (molecule.isBondInRing(b) ? 4 : 0) + (other.chirality === ModelAtom.CHIRALITY.NONE ? 0 : 2) +
+        (other.getBonds().length === 1 ? 0 : 1);
+  };
+  candidates.sort((b1, b2) => rank(b1) - rank(b2));
+  for (let i = 0; i < candidates.length; i++) {
+    const bond = candidates[i];
+    if (bond.source !== atom) {
+      bond.target = bond.source;
+      bond.source = atom;
+    }
+    const wedged = [ModelBond.STEREO.UP, ModelBond.STEREO.DOWN].some(stereo => {
+      bond.stereo = stereo;
+      const perceived = stereoTetrahedral.perceive(atom);
+      return perceived !== null &&
+          ModelAtom.permuteChirality(perceived.chirality, perceived.atoms, atom.chiralityAtoms) === atom.chirality;
+    });
+    if (wedged) {
+      return;
+    }
+    bond.stereo = ModelBond.STEREO.NOT_STEREO;
+  }
+};
+
+/**
+ * Whether a bond is a wedge or a hashed wedge
+ *
+ * @param {ModelBond} bond
+ * @return {boolean}
+ */
+stereoTetrahedral.isWedge = function(bond) {
+  return bond.stereo === ModelBond.STEREO.UP || bond.stereo === ModelBond.STEREO.DOWN;
+};
+
+module.exports = stereoTetrahedral;
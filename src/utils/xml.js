@@ -0,0 +1,163 @@
+'use strict';
+/**
+* @fileoverview Minimal xml parser and serializer helpers, usable without a DOM.
+*/
+
+class xml {
+  /**
+  *Parse a xml document to a tree of elements, comments, processing instructions and doctype are
+  *skipped, namespace prefixes are removed from element and attribute names
+  *@param {string} text - The xml document.
+  *@return {{name: string, attributes: Object, children: Array, text: string}} - Root element.
+  */
+  static parse(text) {
+    const state = {stack: [], root: null};
+    const stack = state.stack;
+    let pos = 0;
+    while (pos < text.length) {
+      const open = text.indexOf('<', pos);
+      const chars = text.substring(pos, open < 0 ? text.length : open);
+      if (stack.length) {
+        stack[stack.length - 1].text += xml.unescape(chars);
+      } else if (chars.trim()) {
+        throw new Error('text outside of the root element');
+      }
+      if (open < 0) {
+        break;
+      }
+      pos = xml._parseMarkup(text, open, state);
+    }
+    if (stack.length) {
+      throw new Error(`unclosed element ${stack[stack.length - 1].name}`);
+    }
+    if (!state.root) {
+      throw new Error('no root element');
+    }
+    return state.root;
+  }
+
+  /**
+  *Parse the markup starting at a '<'
+  *@param {string} text - The xml document.
+  *@param {number} open - Position of the '<'.
+  *@param {{stack: Array, root: ?Object}} state - Elements being parsed and the root element.
+  *@return {number} - Position after the markup.
+  */
+  static _parseMarkup(text, open, state) {
+    const stack = state.stack;
+    const onRoot = element => {
+      if (state.root) {
+        throw new Error('more than one root element');
+      }
+      state.root = element;
+    };
+    const skip = (start, end) => {
+      const close = text.indexOf(end, open + start.length);
+      if (close < 0) {
+        throw new Error(`unterminated ${start}`);
+      }
+      return close + end.length;
+    };
+    if (text.startsWith('<!--', open)) {
+      return skip('<!--', '-->');
+    }
+    if (text.startsWith('<?', open)) {
+      return skip('<?', '?>');
+    }
+    if (text.startsWith('<![CDATA[', open)) {
+      const end = skip('<![CDATA[', ']]>');
+      if (!stack.length) {
+        throw new Error('CDATA outside of the root element');
+      }
+      stack[stack.length - 1].text += text.substring(open + 9, end - 3);
+      return end;
+    }
+    if (text.startsWith('<!', open)) {
+      return skip('<!', '>');
+    }
+    if (text.startsWith('</', open)) {
+      const end = skip('</', '>');
+      const name = xml.localName(text.substring(open + 2, end - 1).trim());
+      const element = stack.pop();
+      if (!element || element.name !== name) {
+        throw new Error(`unexpected closing tag ${name}`);
+      }
+      if (!stack.length) {
+        onRoot(element);
+      }
+      return end;
+    }
+    const tag = /^<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/.exec(text.substr(open));
+    if (!tag) {
+      throw new Error(`invalid tag at ${open}`);
+    }
+    const element = {name: xml.localName(tag[1]), attributes: {}, children: [], text: ''};
+    const attribute = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let match = attribute.exec(tag[2]);
+    while (match) {
+      if (!match[1].startsWith('xmlns')) {
+        element.attributes[xml.localName(match[1])] = xml.unescape(match[2] === undefined ? match[3] : match[2]);
+      }
+      match = attribute.exec(tag[2]);
+    }
+    if (stack.length) {
+      stack[stack.length - 1].children.push(element);
+    }
+    if (tag[3]) {
+      if (!stack.length) {
+        onRoot(element);
+      }
+    } else {
+      stack.push(element);
+    }
+    return open + tag[0].length;
+  }
+
+  /**
+  *Name without namespace prefix
+  *@param {string} name - Qualified name.
+  *@return {string} - Local name.
+  */
+  static localName(name) {
+    const colon = name.indexOf(':');
+    return colon < 0 ? name : name.substr(colon + 1);
+  }
+
+  /**
+  *Replace predefined and numeric entities
+  *@param {string} str - Escaped text.
+  *@return {string} - Text.
+  */
+  static unescape(str) {
+    const entities = {lt: '<', gt: '>', amp: '&', quot: '"', apos: '\''};
+    return str.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-z]+);/g, (entity, code) => {
+      if (code[0] === '#') {
+        return String.fromCharCode(code[1] === 'x' ? parseInt(code.substr(2), 16) : parseInt(code.substr(1), 10));
+      }
+      if (!entities[code]) {
+        throw new Error(`unknown entity ${entity}`);
+      }
+      return entities[code];
+    });
+  }
+
+  /**
+  *Escape text for attribute values and element content
+  *@param {string} str - Text.
+  *@return {string} - Escaped text.
+  */
+  static escape(str) {
+    return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+  }
+
+  /**
+  *Child elements with a name
+  *@param {Object} element - Parent element.
+  *@param {string} name - Local name of the children.
+  *@return {Array} - Matching children.
+  */
+  static children(element, name) { return element.children.filter(child => child.name === name); }
+}
+
+module.exports = xml;
@@ -0,0 +1,107 @@
+'use strict';
+
+const assert = require('chai').assert;
+
+const testUtils = require('./utils');
+const CanvasDepict = require('../src/depict/canvas');
+const SvgDepict = require('../src/depict/svg');
+const ModelBond = require('../src/model/bond');
+
+/**
+ * Context recording the drawing calls with the state of the context at the time of the call
+ */
+class RecordingContext {
+  constructor() {
+    this.calls = [];
+    this.saved = [];
+    this.fillStyle = '#000';
+    this.strokeStyle = '#000';
+    this.lineWidth = 1;
+    this.globalAlpha = 1;
+    this.font = '10px sans-serif';
+    this.textAlign = 'start';
+  }
+
+  save() { this.saved.push(Object.assign({}, this)); }
+
+  restore() { Object.assign(this, this.saved.pop()); }
+
+  measureText(text) { return {width: 5 * text.length}; }
+
+  record(name, args) {
+    this.calls.push({
+      name: name, args: Array.from(args), fillStyle: this.fillStyle, strokeStyle: this.strokeStyle,
+      lineWidth: this.lineWidth, globalAlpha: this.globalAlpha, font: this.font, textAlign: this.textAlign
+    });
+  }
+
+  named(name) { return this.calls.filter(call => call.name === name); }
+}
+const drawingMethods = [
+  'beginPath', 'closePath', 'moveTo', 'lineTo', 'arc', 'fill', 'stroke', 'fillRect', 'strokeRect', 'fillText',
+  'strokeText'
+];
+drawingMethods.forEach(name => {
+  RecordingContext.prototype[name] = function() { this.record(name, arguments); };
+});
+
+const paint = (mol, options) => {
+  const ctx = new RecordingContext();
+  new CanvasDepict(mol, options).draw(ctx);
+  return ctx;
+};
+
+describe('Test depict/canvas module:', () => {
+  describe('Test draw: ', () => {
+    it('should draw the lines and labels of the svg depiction', () => {
+      const mol = testUtils.moleculeFromSmiles('OC(=O)c1ccccc1N');
+      const ctx = paint(mol);
+      const svg = new SvgDepict(mol).toSvg();
+      assert.lengthOf(ctx.named('lineTo'), svg.match(/<line /g).length);
+      const labels = svg.match(/<text x='[^']*' y='[^']*'[^>]*>[^<]*</g).map(text => {
+        const values = text.match(/'([^']*)' y='([^']*)'[^>]*>([^<]*)</);
+        return [values[3], Number(values[1]), Number(values[2])];
+      });
+      assert.deepEqual(ctx.named('fillText').map(call => call.args), labels);
+    });
+    it('should paint the background and restore the context', () => {
+      const ctx = paint(testUtils.moleculeFromSmiles('CCO'));
+      assert.equal(ctx.calls[0].name, 'fillRect');
+      assert.equal(ctx.calls[0].fillStyle, 'white');
+      assert.equal(ctx.fillStyle, '#000');
+      assert.lengthOf(ctx.saved, 0);
+    });
+    it('should draw labels over their background in the label color', () => {
+      const ctx = paint(testUtils.moleculeFromSmiles('CCO'), {colorScheme: 'jmol'});
+      const index = ctx.calls.findIndex(call => call.name === 'fillText' && call.args[0] === 'O');
+      assert.equal(ctx.calls[index].fillStyle, '#FF0D0D');
+      assert.equal(ctx.calls[index].font, '10px sans-serif');
+      assert.equal(ctx.calls[index + 1].name, 'strokeText');
+      assert.equal(ctx.calls[index - 1].name, 'fillRect');
+      assert.equal(ctx.calls[index - 1].fillStyle, 'white');
+      assert.equal(ctx.calls[index - 1].args[2], 1.3 * 5);
+    });
+    it('should fill wedges and draw wavy bonds with arcs', () => {
+      const mol = testUtils.moleculeFromSmiles('CC(N)O');
+      mol.bonds[0].stereo = ModelBond.STEREO.UP;
+      mol.bonds[1].stereo = ModelBond.STEREO.UP_OR_DOWN;
+      const ctx = paint(mol);
+      const fills = ctx.named('fill');
+      assert.lengthOf(fills, 1);
+      assert.equal(fills[0].fillStyle, 'rgb(0,0,0)');
+      const arcs = ctx.named('arc');
+      assert.isAtLeast(arcs.length, 2);
+      arcs.forEach(arc => assert.closeTo(Math.abs(arc.args[4] - arc.args[3]), Math.PI, 1e-9));
+      assert.notEqual(arcs[0].args[5], arcs[1].args[5]);
+    });
+    it('should stroke translucent halos at once', () => {
+      const mol = testUtils.moleculeFromSmiles('CCO');
+      const ctx = new RecordingContext();
+      new CanvasDepict(mol).addHighlight({atoms: mol.atoms.slice(1), bonds: mol.bonds.slice(1)}).draw(ctx);
+      const halos = ctx.named('stroke').filter(call => call.globalAlpha < 1);
+      assert.lengthOf(halos, 1);
+      assert.isAbove(halos[0].lineWidth, 1);
+      assert.lengthOf(ctx.named('arc'), 2);
+    });
+  });
+});
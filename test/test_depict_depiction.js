@@ -0,0 +1,130 @@
+'use strict';
+
+const assert = require('chai').assert;
+
+const testUtils = require('./utils');
+const CanvasDepict = require('../src/depict/canvas');
+const Depiction = require('../src/depict/depiction');
+const PdfDepict = require('../src/depict/pdf');
+const SvgDepict = require('../src/depict/svg');
+const SmilesParser = require('../src/io/smiles_parser');
+const CoordinateGenerator = require('../src/layout/coordinate_generator');
+const ModelBond = require('../src/model/bond');
+
+const lineLength = line => Math.hypot(line.x2 - line.x1, line.y2 - line.y1);
+const bondItems = (displayList, bond) =>
+    displayList.items.filter(item => item.role === 'bond' && item.bond === bond);
+const constructor = (Backend, mol, options) => () => new Backend(mol, options);
+
+describe('Test depict/depiction module:', () => {
+  describe('Test toDisplayList: ', () => {
+    it('should give plain data which survive a JSON round trip', () => {
+      const displayList = new Depiction(testUtils.moleculeFromSmiles('OC(=O)c1ccccc1N')).toDisplayList();
+      assert.deepEqual(JSON.parse(JSON.stringify(displayList)), displayList);
+      assert.equal(displayList.background, 'white');
+      assert.isAbove(displayList.width, 0);
+      assert.isAbove(displayList.height, 0);
+    });
+    it('should tag the items with the atoms and bonds they draw', () => {
+      const mol = testUtils.moleculeFromSmiles('CCO');
+      const displayList = new Depiction(mol).toDisplayList();
+      const label = displayList.items.find(item => item.type === 'text' && item.text === 'O');
+      assert.equal(label.role, 'atom');
+      assert.equal(label.molecule, 0);
+      assert.strictEqual(mol.atoms[label.atom].symbol, 'O');
+      assert.equal(label.fontFamily, 'sans-serif');
+      assert.equal(label.anchor, 'start');
+      assert.lengthOf(bondItems(displayList, 0), 1);
+      assert.lengthOf(bondItems(displayList, 1), 1);
+    });
+    it('should give the final coordinates of the bonds', () => {
+      const mol = testUtils.moleculeFromSmiles('CC');
+      const depiction = new Depiction(mol);
+      const line = depiction.toDisplayList().items[0];
+      const bondLength = Math.hypot(mol.atoms[1].coord.x - mol.atoms[0].coord.x,
+                                    mol.atoms[1].coord.y - mol.atoms[0].coord.y);
+      assert.equal(line.type, 'line');
+      assert.closeTo(lineLength(line), bondLength * depiction.scale, 1e-9);
+      [line.x1, line.x2].forEach(x => assert.isAtLeast(x, 0));
+      [line.y1, line.y2].forEach(y => assert.isAtLeast(y, 0));
+    });
+    it('should shorten the inner line of ring double bonds', () => {
+      const mol = testUtils.moleculeFromSmiles('C1=CCCCC1');
+      const lines = bondItems(new Depiction(mol).toDisplayList(), 0);
+      assert.lengthOf(lines, 2);
+      assert.isBelow(lineLength(lines[1]), lineLength(lines[0]));
+    });
+    it('should draw wedges as polygons from the stereocenter', () => {
+      const mol = testUtils.moleculeFromSmiles('CC(N)O');
+      mol.bonds[1].stereo = ModelBond.STEREO.UP;
+      const depiction = new Depiction(mol);
+      const wedges = bondItems(depiction.toDisplayList(), 1);
+      assert.lengthOf(wedges, 1);
+      assert.equal(wedges[0].type, 'polygon');
+      const narrow = wedges[0].points[0];
+      assert.closeTo(narrow[0], mol.atoms[1].coord.x * depiction.scale - depiction.dx, 1e-9);
+      assert.closeTo(narrow[1], mol.atoms[1].coord.y * depiction.scale - depiction.dy, 1e-9);
+    });
+    it('should depict the components of disconnected molecules apart', () => {
+      const mol = testUtils.moleculeFromSmiles('CC(=O)[O-].[Na+]');
+      const displayList = new Depiction(mol).toDisplayList();
+      const acetate = displayList.items.filter(item => item.role === 'bond').map(item => Math.max(item.x1, item.x2));
+      const sodium = displayList.items.find(item => item.text === 'Na');
+      assert.equal(new Set(displayList.items.filter(item => item.role === 'bond').map(item => item.bond)).size, 3);
+      assert.isAbove(Depiction.textBox(sodium).x, Math.max.apply(null, acetate));
+      assert.isBelow(Depiction.textBox(sodium).x + Depiction.textBox(sodium).width, displayList.width);
+    });
+    it('should tag the molecules and the symbols of reactions', () => {
+      const reaction = SmilesParser.parseReaction('CC>>CO');
+      reaction.getMolecules().forEach(CoordinateGenerator.generate);
+      const items = new Depiction(reaction).toDisplayList().items;
+      assert.deepEqual(Array.from(new Set(items.filter(item => item.role === 'bond').map(item => item.molecule))),
+                       [0, 1]);
+      assert.isTrue(items.some(item => item.role === 'arrow' && item.type === 'polygon'));
+    });
+  });
+  describe('Test hitTest: ', () => {
+    it('should find the label of an atom inside its box', () => {
+      const mol = testUtils.moleculeFromSmiles('CCO');
+      const displayList = new Depiction(mol).toDisplayList();
+      const label = displayList.items.find(item => item.text === 'O');
+      const box = Depiction.textBox(label);
+      const item = Depiction.hitTest(displayList, box.x + box.width / 2, box.y + box.height / 2);
+      assert.strictEqual(item, label);
+    });
+    it('should find bonds near their lines', () => {
+      const displayList = new Depiction(testUtils.moleculeFromSmiles('CCCC')).toDisplayList();
+      const line = bondItems(displayList, 1)[0];
+      const mx = (line.x1 + line.x2) / 2;
+      const my = (line.y1 + line.y2) / 2;
+      const nx = (line.y1 - line.y2) / lineLength(line);
+      const ny = (line.x2 - line.x1) / lineLength(line);
+      assert.strictEqual(Depiction.hitTest(displayList, mx, my), line);
+      assert.isNull(Depiction.hitTest(displayList, mx + 3 * nx, my + 3 * ny));
+      assert.strictEqual(Depiction.hitTest(displayList, mx + 3 * nx, my + 3 * ny, 3), line);
+    });
+    it('should find points inside polygons', () => {
+      const square = [[0, 0], [2, 0], [2, 2], [0, 2]];
+      assert.isTrue(Depiction.polygonContains(square, 1, 1));
+      assert.isFalse(Depiction.polygonContains(square, 3, 1));
+      assert.isFalse(Depiction.polygonContains(square, 1, -1));
+    });
+  });
+  describe('Test colors: ', () => {
+    it('should parse the colors of every backend', () => {
+      assert.deepEqual(Depiction.parseColor('RebeccaPurple'), [102, 51, 153]);
+      assert.deepEqual(Depiction.parseColor('#0f8'), [0, 255, 136]);
+      assert.deepEqual(Depiction.parseColor('rgb(255, 85, 0)'), [255, 85, 0]);
+      assert.isNull(Depiction.parseColor('transparent'));
+      assert.throws(() => Depiction.parseColor('none'), /invalid color none/);
+    });
+    it('should accept and reject the same colors in every backend', () => {
+      const mol = testUtils.moleculeFromSmiles('CCO');
+      const options = {bgColor: 'transparent', colorScheme: {O: 'cyan'}, highlightColors: ['olive']};
+      [CanvasDepict, PdfDepict, SvgDepict].forEach(Backend => {
+        assert.equal(new Backend(mol, options).toDisplayList().background, 'transparent');
+        assert.throws(constructor(Backend, mol, {colorScheme: {O: 'cyann'}}), /invalid color cyann/);
+      });
+    });
+  });
+});
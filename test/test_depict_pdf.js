@@ -0,0 +1,113 @@
+'use strict';
+
+const assert = require('chai').assert;
+
+const testUtils = require('./utils');
+const PdfDepict = require('../src/depict/pdf');
+const SvgDepict = require('../src/depict/svg');
+const ModelBond = require('../src/model/bond');
+
+const contentStream = pdf => pdf.match(/stream\n([\s\S]*)\nendstream/)[1];
+const mediaBox = pdf => pdf.match(/\/MediaBox \[0 0 ([\d.]+) ([\d.]+)\]/).slice(1).map(Number);
+
+describe('Test depict/pdf module:', () => {
+  describe('Test toPdf: ', () => {
+    it('should write a document with a valid cross-reference table', () => {
+      const pdf = new PdfDepict(testUtils.moleculeFromSmiles('OC(=O)c1ccccc1N')).toPdf();
+      assert.match(pdf, /^%PDF-1\.4\n/);
+      assert.match(pdf, /%%EOF\n$/);
+      assert.notMatch(pdf, /[^\n -~]/);
+      const xref = Number(pdf.match(/startxref\n(\d+)\n/)[1]);
+      assert.equal(pdf.substr(xref, 5), 'xref\n');
+      const offsets = pdf.substr(xref).match(/\d{10} 00000 n \n/g).map(entry => Number(entry.substr(0, 10)));
+      assert.lengthOf(offsets, 5);
+      offsets.forEach((offset, i) => assert.equal(pdf.substr(offset, `${i + 1} 0 obj`.length), `${i + 1} 0 obj`));
+      assert.equal(Number(pdf.match(/\/Length (\d+)/)[1]), contentStream(pdf).length);
+    });
+    it('should give the page the size of the depiction', () => {
+      const depiction = new PdfDepict(testUtils.moleculeFromSmiles('CCO'));
+      const pdf = depiction.toPdf();
+      assert.deepEqual(mediaBox(pdf), [depiction.w, depiction.h].map(PdfDepict.number).map(Number));
+      assert.include(contentStream(pdf), `1 0 0 -1 0 ${PdfDepict.number(depiction.h)} cm`);
+    });
+    it('should draw the lines and labels of the svg depiction', () => {
+      const mol = testUtils.moleculeFromSmiles('OC(=O)c1ccccc1N');
+      const content = contentStream(new PdfDepict(mol).toPdf());
+      const svg = new SvgDepict(mol).toSvg();
+      assert.lengthOf(content.match(/ l S$/gm), svg.match(/<line /g).length);
+      assert.lengthOf(content.match(/ Tj ET$/gm), svg.match(/<text /g).length);
+      assert.include(content, '/F1 10 Tf');
+      assert.include(content, '(O) Tj');
+    });
+    it('should set the labels in Helvetica with its minus sign', () => {
+      const pdf = new PdfDepict(testUtils.moleculeFromSmiles('CC(=O)[O-]')).toPdf();
+      assert.include(pdf, '/BaseFont /Helvetica');
+      assert.include(pdf, '/Differences [127 /minus]');
+      assert.include(contentStream(pdf), '(\\177) Tj');
+    });
+    it('should fill wedges and draw wavy bonds with curves', () => {
+      const mol = testUtils.moleculeFromSmiles('CC(N)O');
+      mol.bonds[1].stereo = ModelBond.STEREO.UP;
+      mol.bonds[2].stereo = ModelBond.STEREO.UP_OR_DOWN;
+      const content = contentStream(new PdfDepict(mol).toPdf());
+      assert.lengthOf(content.match(/ h 0 0 0 RG 0\.6 w 1 j B 0 j$/gm), 1);
+      assert.isAbove(content.match(/ c /g).length, 2);
+    });
+    it('should paint halos and their legend with a graphics state of the opacity', () => {
+      const mol = testUtils.moleculeFromSmiles('CCO');
+      const pdf = new PdfDepict(mol).addHighlight({atoms: mol.atoms.slice(1)}, {label: 'alcohol'}).toPdf();
+      assert.include(pdf, '/GS0 << /Type /ExtGState /ca 0.35 /CA 0.35 >>');
+      assert.include(contentStream(pdf), '/GS0 gs 1 0.333 0.333 RG 9.72 w');
+      assert.include(contentStream(pdf), '/GS0 gs 1 0.333 0.333 rg');
+      assert.include(contentStream(pdf), '(alcohol) Tj');
+    });
+  });
+  describe('Test gridPdf: ', () => {
+    it('should place the depictions in the cells of a grid', () => {
+      const mols = ['CCO', 'c1ccccc1', 'CC(=O)O'].map(testUtils.moleculeFromSmiles);
+      const depictions = mols.map(mol => new PdfDepict(mol));
+      const pdf = PdfDepict.gridPdf(depictions, 2);
+      const width = Math.max.apply(null, depictions.map(depiction => depiction.w));
+      const height = Math.max.apply(null, depictions.map(depiction => depiction.h));
+      assert.deepEqual(mediaBox(pdf), [PdfDepict.number(2 * width), PdfDepict.number(2 * height)].map(Number));
+      const cells = contentStream(pdf).match(/^q 1 0 0 1 [\d.]+ [\d.]+ cm$/gm);
+      assert.deepEqual(cells, ['q 1 0 0 1 0 0 cm', `q 1 0 0 1 ${PdfDepict.number(width)} 0 cm`,
+                               `q 1 0 0 1 0 ${PdfDepict.number(height)} cm`]);
+    });
+    it('should throw without depiction', () => {
+      assert.throws(() => PdfDepict.gridPdf([]), /no depiction to write/);
+    });
+  });
+  describe('Test color and text encoding: ', () => {
+    it('should convert css colors to rgb components', () => {
+      assert.equal(PdfDepict.color('rgb(255,85,0)'), '1 0.333 0');
+      assert.equal(PdfDepict.color('#FF0D0D'), '1 0.051 0.051');
+      assert.equal(PdfDepict.color('#fff'), '1 1 1');
+      assert.equal(PdfDepict.color('White'), '1 1 1');
+      assert.equal(PdfDepict.color('cyan'), '0 1 1');
+      assert.equal(PdfDepict.color('rebeccapurple'), '0.4 0.2 0.6');
+      assert.isNull(PdfDepict.color('transparent'));
+      assert.isNull(PdfDepict.color('none'));
+      assert.throws(() => PdfDepict.color('hsl(0,0%,0%)'), /invalid color hsl\(0,0%,0%\)/);
+    });
+    it('should paint nothing for transparent colors', () => {
+      const mol = testUtils.moleculeFromSmiles('CCO');
+      const content = contentStream(new PdfDepict(mol, {bgColor: 'transparent'}).toPdf());
+      assert.notMatch(content, / re f$/m);
+      assert.include(content, ' re S');
+      assert.equal(PdfDepict.paint('none', 'transparent', 1), 'n');
+      assert.equal(PdfDepict.paint('red', 'none', 1), '1 0 0 rg f');
+      const text = {type: 'text', text: 'O', x: 0, y: 0, fontSize: 10, anchor: 'start', fill: 'transparent',
+                    stroke: 'black', width: 1, background: null};
+      assert.include(PdfDepict.textOperators(text, []), '0 0 0 RG 1 w 1 Tr 1 0 0 -1');
+    });
+    it('should escape the strings of texts', () => {
+      assert.equal(PdfDepict.encodeText('a(b)\\'), 'a\\(b\\)\\\\');
+      assert.equal(PdfDepict.encodeText('réflux − α'), 'r\\351flux \\177 ?');
+    });
+    it('should measure texts with the Helvetica metrics', () => {
+      assert.closeTo(PdfDepict.textWidth('OH', 10), 7.78 + 7.22, 1e-9);
+      assert.closeTo(PdfDepict.textWidth('−', 10), 5.84, 1e-9);
+    });
+  });
+});
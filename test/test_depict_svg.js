@@ -7,6 +7,10 @@ const expect = require('chai').expect;
 const testUtils = require('./utils');
 const SvgDepict = require('../src/depict/svg');
 const ModelAtom = require('../src/model/atom');
+const ModelBond = require('../src/model/bond');
+const ModelMolecule = require('../src/model/molecule');
+const ModelReaction = require('../src/model/reaction');
+const SubstructureMatcher = require('../src/query/substructure');
 
 describe('Test depict/svg module:', () => {
   describe('Test constructor: ', () => {
@@ -21,6 +25,38 @@ describe('Test depict/svg module:', () => {
       assert.isNumber(depict.h);
       assert.isNumber(depict.w);
     });
+    it('should merge the options over the defaults of each instance', () => {
+      const large = new SvgDepict(mol, {fontSize: 20});
+      assert.equal(large.config.fontSize, 20);
+      assert.equal(large.config.lineWidth, depict.config.lineWidth);
+      assert.notEqual(depict.config.fontSize, 20);
+      large.config.highlightColors.push('rgb(0,0,0)');
+      assert.notEqual(large.config.highlightColors.length, depict.config.highlightColors.length);
+    });
+    it('should keep the output of each instance', () => {
+      const ethanol = new SvgDepict(testUtils.moleculeFromSmiles('CCO'));
+      const svg = ethanol.toSvg();
+      depict.toSvg();
+      assert.equal(ethanol.sb, svg.slice(0, -'</svg>'.length));
+      assert.equal(ethanol.toSvg(), svg);
+    });
+    it('should reject unknown options and values', () => {
+      assert.throws(() => new SvgDepict(mol, {fontSise: 12}), 'unknown depiction option fontSise');
+      assert.throws(() => new SvgDepict(mol, {displayCarbonLabels: 'some'}),
+                    'invalid displayCarbonLabels some, expected all, none, terminal');
+      assert.throws(() => new SvgDepict(mol, {aromaticStyle: 'dashed'}), 'invalid aromaticStyle');
+      assert.throws(() => new SvgDepict(mol, {colorScheme: 'rasmol'}), 'invalid colorScheme');
+      assert.throws(() => new SvgDepict(mol, {colorScheme: {O: 255}}), 'colorScheme map');
+      assert.throws(() => new SvgDepict(mol, {bondLength: -1}), 'invalid bondLength');
+      assert.throws(() => new SvgDepict(mol, {highlightOpacity: 2}), 'invalid highlightOpacity');
+      assert.throws(() => new SvgDepict(mol, {highlightColors: []}), 'invalid highlightColors');
+      assert.throws(() => new SvgDepict(mol, {bgColor: 0}), 'invalid bgColor');
+      assert.throws(() => new SvgDepict(mol, {bgColor: 'nocolor'}), 'invalid color nocolor');
+      assert.throws(() => new SvgDepict(mol, {highlightColors: ['#12']}), 'invalid color #12');
+      assert.throws(() => new SvgDepict(mol, {colorScheme: {O: 'hsl(0,0%,0%)'}}), 'invalid color hsl');
+      assert.throws(() => new SvgDepict(mol).addHighlight({atoms: mol.atoms}, {color: 'rgb(0,0,256)'}),
+                    'invalid color rgb(0,0,256)');
+    });
   });
   describe('Test _selectAtoms for propane: ', () => {
     const mol = testUtils.moleculeFromSmiles('CCC');
@@ -78,4 +114,343 @@ describe('Test depict/svg module:', () => {
       assert.instanceOf(depict._selectAtom(mol.atoms[2]), ModelAtom);
     });
   });
+  describe('Test _selectAtoms for explicit hydrogens: ', () => {
+    const mol = testUtils.moleculeFromSmiles('C[CH]C[CH2]C');
+    let depict = new SvgDepict(mol);
+    it('should display carbon radicals in terminal mode', () => {
+      depict.config.displayCarbonLabels = 'terminal';
+      assert.instanceOf(depict._selectAtom(mol.atoms[1]), ModelAtom);
+      expect(depict._selectAtom(mol.atoms[2])).to.be.false;
+      expect(depict._selectAtom(mol.atoms[3])).to.be.false;
+    });
+  });
+  describe('Test enhanced stereo labels: ', () => {
+    const mol = testUtils.moleculeFromSmiles('C[C@H](N)[C@@H](O)C[C@H](F)Cl');
+    mol.stereoGroups.push({type: ModelMolecule.STEREO_GROUP.ABSOLUTE, number: 0, atoms: [mol.atoms[1]]});
+    mol.stereoGroups.push({type: ModelMolecule.STEREO_GROUP.AND, number: 1, atoms: [mol.atoms[3]]});
+    mol.stereoGroups.push({type: ModelMolecule.STEREO_GROUP.OR, number: 2, atoms: [mol.atoms[6]]});
+    it('should name the groups', () => {
+      assert.deepEqual(mol.stereoGroups.map(SvgDepict.stereoGroupLabel), ['abs', 'and1', 'or2']);
+    });
+    it('should draw a label next to each stereocenter', () => {
+      const svg = new SvgDepict(mol).toSvg();
+      ['abs', 'and1', 'or2'].forEach(label => assert.include(svg, `>${label}</text>`));
+    });
+    it('should not draw labels without stereo groups', () => {
+      assert.notInclude(new SvgDepict(testUtils.moleculeFromSmiles('C[C@H](N)O')).toSvg(), 'abs');
+    });
+  });
+  describe('Test reaction depiction: ', () => {
+    const reaction = new ModelReaction();
+    ['CC(=O)O', 'OCC'].forEach(smi => reaction.addReactant(testUtils.moleculeFromSmiles(smi)));
+    reaction.addAgent(testUtils.moleculeFromSmiles('[H+]'));
+    reaction.addProduct(testUtils.moleculeFromSmiles('CC(=O)OCC'));
+    reaction.conditions.push('reflux & 2 h');
+    const depict = new SvgDepict(reaction);
+    it('should place molecules left to right with a common scale', () => {
+      const lefts = depict.placements.map(p => p.mol.getBoundingBox().left * depict.scale - p.dx);
+      assert.lengthOf(lefts, 4);
+      assert.isBelow(lefts[0], lefts[1]);
+      assert.isBelow(lefts[1], depict.arrow.x1);
+      assert.isAbove(lefts[3], depict.arrow.x2);
+      assert.isAbove(lefts[2], depict.arrow.x1);
+      assert.isBelow(lefts[2], depict.arrow.x2);
+    });
+    it('should put a plus sign between reactants and agents above the arrow', () => {
+      assert.lengthOf(depict.plusSigns, 1);
+      assert.equal(depict.plusSigns[0].y, depict.arrow.y);
+      const agent = depict.placements[2];
+      assert.isBelow(agent.mol.atoms[0].coord.y * depict.scale - agent.dy, depict.arrow.y);
+    });
+    it('should compute the combined bounding box', () => {
+      const single = new SvgDepict(reaction.products[0]);
+      assert.isAbove(depict.w, single.w + depict.config.arrowLength);
+      assert.isAtLeast(depict.h, single.h);
+      assert.isBelow(depict.arrow.x2, depict.w);
+    });
+    it('should draw the arrow and the conditions', () => {
+      const svg = depict.toSvg();
+      assert.include(svg, '<polygon');
+      assert.include(svg, '>reflux &amp; 2 h</text>');
+    });
+    it('should keep the single molecule translation', () => {
+      const mol = testUtils.moleculeFromSmiles('CCO');
+      const single = new SvgDepict(mol);
+      const box = mol.getBoundingBox();
+      const margin = single.scale * single.config.marginWidth;
+      assert.closeTo(single.dx, single.scale * box.left - margin, 1e-9);
+      assert.closeTo(single.dy, single.scale * box.top - margin, 1e-9);
+      assert.isNull(single.arrow);
+    });
+  });
+  describe('Test highlights: ', () => {
+    const mol = testUtils.moleculeFromSmiles('OCC(=O)O');
+    const acid = new SubstructureMatcher('C(=O)[OX2H1]').findAll(mol)[0];
+    it('should draw halos under the highlighted bonds and atoms', () => {
+      const depict = new SvgDepict(mol).addHighlight(acid);
+      const svg = depict.toSvg();
+      const halo = svg.indexOf(`<g opacity='${depict.config.highlightOpacity}'`);
+      // halos come before the bonds
+      assert.isAbove(halo, -1);
+      assert.isBelow(halo, svg.indexOf('<line'));
+      const group = svg.substring(halo, svg.indexOf('</g>', halo));
+      assert.lengthOf(group.match(/<line /g), 2);
+      assert.lengthOf(group.match(/<circle /g), 3);
+      assert.include(svg, "filter='url(#highlight-bg-0)'>O</text>");
+    });
+    it('should use a color per group and a legend for labelled groups', () => {
+      const plain = new SvgDepict(mol);
+      const alcohol = new SubstructureMatcher('[CX4][OX2H1]').findAll(mol)[0];
+      const depict = new SvgDepict(mol)
+          .addHighlight(acid, {label: 'acid'})
+          .addHighlight(alcohol, {label: 'alcohol & co', color: 'blue'});
+      assert.equal(depict.highlights[0].color, depict.config.highlightColors[0]);
+      assert.equal(depict.highlights[1].color, 'blue');
+      assert.lengthOf(depict.legend, 2);
+      assert.isAbove(depict.h, plain.h);
+      const svg = depict.toSvg();
+      assert.include(svg, `fill='${depict.config.highlightColors[0]}'`);
+      assert.include(svg, "fill='blue'");
+      assert.include(svg, '>alcohol &amp; co</text>');
+      assert.include(svg, "id='highlight-bg-1'");
+    });
+    it('should ignore atoms and bonds of other molecules', () => {
+      const other = testUtils.moleculeFromSmiles('CC');
+      const svg = new SvgDepict(other).addHighlight(acid).toSvg();
+      assert.notInclude(svg, '<circle');
+    });
+  });
+  describe('Test aromatic ring styles: ', () => {
+    const benzene = testUtils.moleculeFromSmiles('c1ccccc1');
+    const lines = svg => svg.match(/<line /g).length;
+    it('should draw Kekulé double bonds inside the ring', () => {
+      const depict = new SvgDepict(benzene, {aromaticStyle: 'kekule'});
+      const svg = depict.toSvg();
+      assert.equal(lines(svg), 9);
+      assert.notInclude(svg, '<circle');
+      // inner lines are closer to the ring center than the bond lines
+      const ring = benzene.getRings()[0];
+      const cx = ring.getCenter().x * depict.scale - depict.dx;
+      const cy = ring.getCenter().y * depict.scale - depict.dy;
+      const distances = svg.match(/<line [^>]*>/g).map(line => {
+        const v = line.match(/'[^']*'/g).map(value => Number(value.slice(1, -1)));
+        return Math.hypot((v[0] + v[2]) / 2 - cx, (v[1] + v[3]) / 2 - cy);
+      }).sort((a, b) => a - b);
+      assert.isBelow(distances[2], distances[3] - depict.config.bondSpacing / 2);
+    });
+    it('should draw a circle in each aromatic ring', () => {
+      const depict = new SvgDepict(testUtils.moleculeFromSmiles('c1ccc2ccccc2c1'), {aromaticStyle: 'circle'});
+      const svg = depict.toSvg();
+      assert.equal(lines(svg), 11);
+      assert.lengthOf(svg.match(/<circle [^>]*fill='none'/g), 2);
+    });
+    it('should keep double bonds of non aromatic rings', () => {
+      const depict = new SvgDepict(testUtils.moleculeFromSmiles('C1=CC=CC=C1'), {aromaticStyle: 'circle'});
+      const svg = depict.toSvg();
+      assert.equal(lines(svg), 9);
+      assert.notInclude(svg, '<circle');
+    });
+  });
+  describe('Test triple and quadruple bonds: ', () => {
+    const bondLines = svg => svg.match(/<line [^>]*>/g).map(line =>
+        line.match(/'[^']*'/g).map(value => Number(value.slice(1, -1))));
+    it('should draw three parallel lines trimmed at the label', () => {
+      const mol = testUtils.moleculeFromSmiles('CC#N');
+      const depict = new SvgDepict(mol, {displayCarbonLabels: 'terminal'});
+      const lines = bondLines(depict.toSvg());
+      assert.lengthOf(lines, 4);
+      const triple = lines.slice(1);
+      const direction = line => Math.atan2(line[3] - line[1], line[2] - line[0]);
+      triple.forEach(line => assert.closeTo(direction(line), direction(triple[0]), 1e-9));
+      // the middle line is one bond spacing away from the outer lines
+      const distance = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1]);
+      assert.closeTo(distance(triple[0], triple[1]), depict.config.bondSpacing, 1e-9);
+      assert.closeTo(distance(triple[2], triple[1]), depict.config.bondSpacing, 1e-9);
+      const nx = mol.atoms[2].coord.x * depict.scale - depict.dx;
+      const ny = mol.atoms[2].coord.y * depict.scale - depict.dy;
+      assert.closeTo(Math.hypot(triple[1][2] - nx, triple[1][3] - ny), depict.config.fontSize / 2, 1e-9);
+    });
+    it('should draw four lines for quadruple bonds', () => {
+      const depict = new SvgDepict(testUtils.moleculeFromSmiles('[Mo]$[Mo]'));
+      assert.lengthOf(bondLines(depict.toSvg()), 4);
+    });
+  });
+  describe('Test double bond placement: ', () => {
+    const bondLines = svg => svg.match(/<line [^>]*>/g).map(line =>
+        line.match(/'[^']*'/g).map(value => Number(value.slice(1, -1))));
+    const lineLength = line => Math.hypot(line[2] - line[0], line[3] - line[1]);
+    // signed distance of the middle of a line to the bond axis
+    const offset = (line, depict, bond) => {
+      const x1 = bond.source.coord.x * depict.scale - depict.dx;
+      const y1 = bond.source.coord.y * depict.scale - depict.dy;
+      const x2 = bond.target.coord.x * depict.scale - depict.dx;
+      const y2 = bond.target.coord.y * depict.scale - depict.dy;
+      const length = Math.hypot(x2 - x1, y2 - y1);
+      return ((x2 - x1) * ((line[1] + line[3]) / 2 - y1) - (y2 - y1) * ((line[0] + line[2]) / 2 - x1)) / length;
+    };
+    it('should offset the lines perpendicular to vertical bonds', () => {
+      const mol = testUtils.moleculeFromSmiles('C=C');
+      mol.atoms[0].coord.x = 0;
+      mol.atoms[0].coord.y = 0;
+      mol.atoms[1].coord.x = 0;
+      mol.atoms[1].coord.y = 1.5;
+      const depict = new SvgDepict(mol, {displayCarbonLabels: 'none'});
+      const lines = bondLines(depict.toSvg());
+      assert.lengthOf(lines, 2);
+      lines.forEach(line => assert.closeTo(line[0], line[2], 1e-9));
+      assert.closeTo(Math.abs(lines[0][0] - lines[1][0]), depict.config.bondSpacing, 1e-9);
+    });
+    it('should center terminal double bonds', () => {
+      const mol = testUtils.moleculeFromSmiles('CC(C)=O');
+      const depict = new SvgDepict(mol);
+      const lines = bondLines(depict.toSvg()).slice(2);
+      const bond = mol.bonds[2];
+      assert.closeTo(offset(lines[0], depict, bond), -offset(lines[1], depict, bond), 1e-9);
+      assert.closeTo(lineLength(lines[0]), lineLength(lines[1]), 1e-9);
+    });
+    it('should draw the shorter line inside rings', () => {
+      const mol = testUtils.moleculeFromSmiles('C1=CCCCC1');
+      const depict = new SvgDepict(mol);
+      const lines = bondLines(depict.toSvg());
+      const bond = mol.bonds[0];
+      const center = mol.getRings()[0].getCenter();
+      assert.lengthOf(lines, 7);
+      assert.closeTo(offset(lines[0], depict, bond), 0, 1e-9);
+      const inner = offset(lines[1], depict, bond);
+      assert.closeTo(Math.abs(inner), depict.config.bondSpacing, 1e-9);
+      // the center of the ring is on the side of the inner line
+      const side = offset([center.x, center.y, center.x, center.y].map((v, i) =>
+          v * depict.scale - (i % 2 ? depict.dy : depict.dx)), depict, bond);
+      assert.equal(Math.sign(inner), Math.sign(side));
+      // inner line ends on the bisectors of the ring angles
+      const bondSpacing = depict.config.bondSpacing;
+      assert.closeTo(lineLength(lines[1]), lineLength(lines[0]) - 2 * bondSpacing / Math.tan(Math.PI / 3), 0.5);
+    });
+    it('should offset chain double bonds towards the substituents', () => {
+      const cis = testUtils.moleculeFromSmiles('C/C=C\\C');
+      const depict = new SvgDepict(cis);
+      const lines = bondLines(depict.toSvg()).slice(1, 3);
+      assert.closeTo(offset(lines[0], depict, cis.bonds[1]), 0, 1e-9);
+      const inner = offset(lines[1], depict, cis.bonds[1]);
+      const methyl = offset(bondLines(depict.toSvg())[0], depict, cis.bonds[1]);
+      assert.equal(Math.sign(inner), Math.sign(methyl));
+      assert.isBelow(lineLength(lines[1]), lineLength(lines[0]));
+    });
+  });
+  describe('Test stereo bonds: ', () => {
+    const stereoSvg = stereo => {
+      const mol = testUtils.moleculeFromSmiles('CC(F)Cl');
+      mol.bonds[0].source = mol.atoms[1];
+      mol.bonds[0].target = mol.atoms[0];
+      mol.bonds[0].stereo = stereo;
+      const depict = new SvgDepict(mol);
+      return {svg: depict.toSvg(), depict: depict, center: mol.atoms[1], end: mol.atoms[0]};
+    };
+    const point = (depict, atom) => [atom.coord.x * depict.scale - depict.dx, atom.coord.y * depict.scale - depict.dy];
+    it('should draw a solid wedge with its narrow end on the stereocenter', () => {
+      const result = stereoSvg(ModelBond.STEREO.UP);
+      const points = result.svg.match(/<polygon points='([^']*)'/)[1].split(' ').map(p => p.split(',').map(Number));
+      assert.lengthOf(points, 3);
+      const center = point(result.depict, result.center);
+      assert.closeTo(points[0][0], center[0], 1e-9);
+      assert.closeTo(points[0][1], center[1], 1e-9);
+      assert.closeTo(Math.hypot(points[1][0] - points[2][0], points[1][1] - points[2][1]),
+                     result.depict.config.wedgeWidth, 1e-9);
+    });
+    it('should draw a hashed wedge getting wider from the stereocenter', () => {
+      const result = stereoSvg(ModelBond.STEREO.DOWN);
+      const lines = result.svg.match(/<line [^>]*>/g).map(line =>
+          line.match(/'[^']*'/g).map(value => Number(value.slice(1, -1))));
+      const hashes = lines.slice(0, lines.length - 2).map(line => Math.hypot(line[2] - line[0], line[3] - line[1]));
+      assert.isAbove(hashes.length, 3);
+      hashes.slice(1).forEach((length, i) => assert.isAbove(length, hashes[i]));
+      assert.closeTo(hashes[hashes.length - 1], result.depict.config.wedgeWidth, 1e-9);
+      assert.notInclude(result.svg, '<polygon');
+    });
+    it('should draw a wavy bond', () => {
+      const result = stereoSvg(ModelBond.STEREO.UP_OR_DOWN);
+      const path = result.svg.match(/<path d='([^']*)' fill='none'/)[1];
+      assert.isAbove(path.match(/A/g).length, 1);
+      assert.include(path, ' 0 0,1 ');
+      assert.include(path, ' 0 0,0 ');
+    });
+    it('should draw the stereo bonds of chiral SMILES', () => {
+      const mol = testUtils.moleculeFromSmiles('N[C@@H](C)C(=O)O');
+      const wedges = mol.bonds.filter(bond => bond.stereo === ModelBond.STEREO.UP);
+      const hashes = mol.bonds.filter(bond => bond.stereo === ModelBond.STEREO.DOWN);
+      assert.isAbove(wedges.length + hashes.length, 0);
+      const svg = new SvgDepict(mol).toSvg();
+      assert.lengthOf(svg.match(/<polygon /g) || [], wedges.length);
+      // a hashed wedge has more than two lines
+      assert.isAtLeast(svg.match(/<line /g).length, mol.bonds.length - wedges.length + 1 + 2 * hashes.length);
+    });
+  });
+  describe('Test charge, isotope and radical labels: ', () => {
+    const textX = (svg, text) => Number(svg.match(new RegExp(`<text x='([^']*)'[^>]*>${text}</text>`))[1]);
+    it('should write charges as superscripts after the hydrogens', () => {
+      const svg = new SvgDepict(testUtils.moleculeFromSmiles('[NH4+]')).toSvg();
+      assert.match(svg, /font-size='7'[^>]*>\+<\/text>/);
+      assert.isAbove(textX(svg, '\\+'), textX(svg, '4'));
+      assert.include(new SvgDepict(testUtils.moleculeFromSmiles('C[O-]')).toSvg(), `>${SvgDepict.MINUS}</text>`);
+      assert.equal(SvgDepict.chargeLabel(2), '2+');
+      assert.equal(SvgDepict.chargeLabel(-2), `2${SvgDepict.MINUS}`);
+      assert.equal(SvgDepict.chargeLabel(-1), SvgDepict.MINUS);
+    });
+    it('should write mass numbers on the left of the label', () => {
+      const depict = new SvgDepict(testUtils.moleculeFromSmiles('[13CH4]'), {displayCarbonLabels: 'none'});
+      const svg = depict.toSvg();
+      assert.match(svg, /text-anchor='end'[^>]*>13<\/text>/);
+      assert.isAtMost(textX(svg, '13'), textX(svg, 'C'));
+    });
+    it('should not write mass numbers over hydrogens on the left', () => {
+      const mol = testUtils.moleculeFromSmiles('[15NH2]C');
+      mol.atoms[0].coord.x = 0;
+      mol.atoms[0].coord.y = 0;
+      mol.atoms[1].coord.x = 1.5;
+      mol.atoms[1].coord.y = 0;
+      const svg = new SvgDepict(mol).toSvg();
+      assert.isAtMost(textX(svg, '15'), textX(svg, 'H'));
+    });
+    it('should draw radical dots above the symbol', () => {
+      const mol = testUtils.moleculeFromSmiles('CC');
+      mol.atoms[0].radical = ModelAtom.RADICAL.DOUBLET;
+      assert.lengthOf(new SvgDepict(mol).toSvg().match(/<circle /g), 1);
+      mol.atoms[0].radical = ModelAtom.RADICAL.TRIPLET;
+      assert.lengthOf(new SvgDepict(mol).toSvg().match(/<circle /g), 2);
+    });
+  });
+  describe('Test color schemes: ', () => {
+    const colored = (smiles, scheme) =>
+        new SvgDepict(testUtils.moleculeFromSmiles(smiles), {colorScheme: scheme}).toSvg();
+    const strokes = svg => (svg.match(/<line [^>]*>/g) || []).map(line => (line.match(/stroke='([^']*)'/) || [])[1]);
+    it('should not color monochrome depictions', () => {
+      const svg = colored('CCO', 'monochrome');
+      assert.deepEqual(strokes(svg), [undefined, undefined]);
+      assert.notMatch(svg, /<text [^>]*fill=/);
+    });
+    it('should color heteroatom labels and split their bonds', () => {
+      const svg = colored('CCO', 'jmol');
+      assert.match(svg, /fill='#FF0D0D' stroke='#FF0D0D'>O<\/text>/);
+      assert.deepEqual(strokes(svg), [undefined, undefined, '#FF0D0D']);
+      assert.match(colored('CCO', 'cpk'), /fill='#F00000'[^>]*>O<\/text>/);
+    });
+    it('should split both lines of double bonds at the middle of the bond', () => {
+      const svg = colored('C=O', 'jmol');
+      assert.deepEqual(strokes(svg), [undefined, '#FF0D0D', undefined, '#FF0D0D']);
+    });
+    it('should split wedges in two colored polygons', () => {
+      const mol = testUtils.moleculeFromSmiles('CN');
+      mol.bonds[0].stereo = ModelBond.STEREO.UP;
+      const svg = new SvgDepict(mol, {colorScheme: 'jmol'}).toSvg();
+      const polygons = svg.match(/<polygon [^>]*>/g);
+      assert.lengthOf(polygons, 2);
+      assert.include(polygons[0], 'fill=\'rgb(0,0,0)\'');
+      assert.include(polygons[1], 'fill=\'#3050F8\'');
+    });
+    it('should use custom colors by element symbol', () => {
+      const svg = colored('CCN', {N: 'rgb(0,0,255)', C: 'rgb(80,80,80)'});
+      assert.match(svg, /fill='rgb\(0,0,255\)'[^>]*>N<\/text>/);
+      assert.deepEqual(strokes(svg), ['rgb(80,80,80)', 'rgb(80,80,80)', 'rgb(0,0,255)']);
+    });
+  });
 });
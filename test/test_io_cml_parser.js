@@ -0,0 +1,114 @@
+'use strict';
+
+const assert = require('chai').assert;
+
+const ModelAtom = require('../src/model/atom');
+const ModelBond = require('../src/model/bond');
+const CmlParser = require('../src/io/cml_parser');
+
+describe('Test io/cml_parser module:', () => {
+  describe('Test parseMolecule: ', () => {
+    const cml = `<?xml version="1.0"?>
+<cml xmlns="http://www.xml-cml.org/schema">
+  <molecule id="m1" title="ethanolate">
+    <atomArray>
+      <atom id="a1" elementType="C" x2="0.0" y2="1.5" hydrogenCount="3" isotopeNumber="13"/>
+      <atom id="a2" elementType="C" x2="1.3" y2="0.75" spinMultiplicity="2"/>
+      <atom id="a3" elementType="O" x2="2.6" y2="1.5" formalCharge="-1"/>
+      <atom id="a4" elementType="H" x2="1.3" y2="-0.75"/>
+    </atomArray>
+    <bondArray>
+      <bond id="b1" atomRefs2="a1 a2" order="S"><bondStereo>W</bondStereo></bond>
+      <bond id="b2" atomRefs2="a2 a3" order="1"/>
+      <bond id="b3" atomRefs2="a2 a4" order="1"><bondStereo>H</bondStereo></bond>
+    </bondArray>
+  </molecule>
+</cml>`;
+    const mol = new CmlParser(cml).parseMolecule();
+    it('should read the molecule title and id', () => {
+      assert.equal(mol.name, 'ethanolate');
+      assert.equal(mol.id, 'm1');
+    });
+    it('should read atoms with flipped y coordinates', () => {
+      assert.deepEqual(mol.atoms.map(atom => atom.symbol), ['C', 'C', 'O', 'H']);
+      assert.equal(mol.atoms[0].coord.x, 0);
+      assert.equal(mol.atoms[0].coord.y, -1.5);
+      assert.equal(mol.atoms[0].isotope, 13);
+      assert.equal(mol.atoms[1].radical, ModelAtom.RADICAL.DOUBLET);
+      assert.equal(mol.atoms[2].charge, -1);
+    });
+    it('should read hydrogen counts', () => {
+      assert.equal(mol.atoms[0].hcount, 3);
+      assert.isTrue(mol.atoms[0].explicitHydrogens);
+      assert.isFalse(mol.atoms[2].explicitHydrogens);
+    });
+    it('should read bonds and wedges', () => {
+      assert.lengthOf(mol.bonds, 3);
+      assert.equal(mol.bonds[0].source, mol.atoms[0]);
+      assert.equal(mol.bonds[0].stereo, ModelBond.STEREO.UP);
+      assert.equal(mol.bonds[1].stereo, ModelBond.STEREO.NOT_STEREO);
+      assert.equal(mol.bonds[2].stereo, ModelBond.STEREO.DOWN);
+    });
+  });
+  describe('Test array attributes form: ', () => {
+    it('should read atomArray and bondArray attributes', () => {
+      const mol = new CmlParser(`<molecule>
+  <atomArray atomID="a1 a2 a3" elementType="C C N" hydrogenCount="3 2 2"/>
+  <bondArray atomRef1="a1 a2" atomRef2="a2 a3" order="1 1"/>
+</molecule>`).parseMolecule();
+      assert.deepEqual(mol.atoms.map(atom => atom.symbol), ['C', 'C', 'N']);
+      assert.deepEqual(mol.atoms.map(atom => atom.hcount), [3, 2, 2]);
+      assert.lengthOf(mol.bonds, 2);
+      assert.equal(mol.bonds[1].target, mol.atoms[2]);
+    });
+  });
+  describe('Test hydrogenCount with hydrogen atoms: ', () => {
+    it('should not count the hydrogen atoms twice', () => {
+      const mol = new CmlParser(`<molecule><atomArray>
+  <atom id="a1" elementType="C" hydrogenCount="4"/><atom id="a2" elementType="H"/>
+</atomArray><bondArray><bond atomRefs2="a1 a2" order="1"/></bondArray></molecule>`).parseMolecule();
+      assert.equal(mol.atoms[0].hcount, 3);
+    });
+  });
+  describe('Test bond orders and configurations: ', () => {
+    const mol = new CmlParser(`<molecule><atomArray>
+  <atom id="a1" elementType="C"/><atom id="a2" elementType="C"/>
+  <atom id="a3" elementType="C"/><atom id="a4" elementType="C"/>
+  <atom id="a5" elementType="N"/>
+</atomArray><bondArray>
+  <bond atomRefs2="a1 a2" order="1"/>
+  <bond atomRefs2="a2 a3" order="D"><bondStereo atomRefs4="a1 a2 a3 a4">T</bondStereo></bond>
+  <bond atomRefs2="a3 a4" order="1"/>
+  <bond atomRefs2="a4 a5" order="A"/>
+</bondArray></molecule>`).parseMolecule();
+    it('should read double bond configurations', () => {
+      const bond = mol.bonds[1];
+      assert.equal(bond.order, ModelBond.ORDER.DOUBLE);
+      assert.equal(bond.getConfiguration(mol.atoms[0], mol.atoms[3]), ModelBond.CONFIGURATION.TRANS);
+    });
+    it('should read aromatic bonds', () => {
+      assert.isTrue(mol.bonds[3].aromatic);
+      assert.isTrue(mol.atoms[4].aromatic);
+    });
+  });
+  describe('Test parseMolecules: ', () => {
+    it('should read all molecules of the document', () => {
+      const mols = new CmlParser(`<cml><molecule id="x"><atomArray><atom elementType="O"/></atomArray></molecule>
+<list><molecule id="y"><name>water</name></molecule></list></cml>`).parseMolecules();
+      assert.deepEqual(mols.map(mol => mol.id), ['x', 'y']);
+      assert.equal(mols[1].name, 'water');
+    });
+  });
+  describe('Test errors: ', () => {
+    it('should throw on invalid documents', () => {
+      assert.throws(() => new CmlParser('<cml/>').parseMolecule(), /no molecule element in CML/);
+      assert.throws(() => new CmlParser('<molecule><atomArray><atom id="a1"/></atomArray></molecule>')
+          .parseMolecule(), /atom a1 without elementType/);
+      assert.throws(() => new CmlParser(`<molecule><atomArray><atom id="a1" elementType="C"/></atomArray>
+<bondArray><bond atomRefs2="a1 a2"/></bondArray></molecule>`).parseMolecule(), /invalid atomRefs2 a1 a2/);
+      assert.throws(() => new CmlParser(`<molecule><atomArray><atom id="a1" elementType="C"/>
+<atom id="a2" elementType="C"/></atomArray><bondArray><bond atomRefs2="a1 a2" order="5"/></bondArray></molecule>`)
+          .parseMolecule(), /unknown bond order 5/);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+'use strict';
+
+const assert = require('chai').assert;
+
+const ModelAtom = require('../src/model/atom');
+const ModelBond = require('../src/model/bond');
+const CmlParser = require('../src/io/cml_parser');
+const CmlWriter = require('../src/io/cml_writer');
+const SmilesWriter = require('../src/io/smiles_writer');
+const utils = require('./utils');
+
+describe('Test io/cml_writer module:', () => {
+  describe('Test toCml: ', () => {
+    const mol = utils.moleculeFromSmiles('[13CH3]C(=O)[O-]');
+    mol.name = 'acetate & co';
+    mol.bonds[0].stereo = ModelBond.STEREO.DOWN;
+    const lines = new CmlWriter(mol).toCml().split('\n');
+    it('should write the root and molecule elements', () => {
+      assert.equal(lines[0], '<?xml version="1.0" encoding="UTF-8"?>');
+      assert.equal(lines[1], '<cml xmlns="http://www.xml-cml.org/schema">');
+      assert.equal(lines[2], '  <molecule id="m1" title="acetate &amp; co">');
+    });
+    it('should write atoms', () => {
+      assert.match(lines[4], /^ {6}<atom id="a1" elementType="C" x2="-?\d+\.\d{4}" y2="-?\d+\.\d{4}"/);
+      assert.match(lines[4], / hydrogenCount="3" isotopeNumber="13"\/>$/);
+      assert.match(lines[7], /formalCharge="-1"/);
+    });
+    it('should write bonds', () => {
+      assert.equal(lines[10], '      <bond id="b1" atomRefs2="a1 a2" order="1"><bondStereo>H</bondStereo></bond>');
+      assert.equal(lines[11], '      <bond id="b2" atomRefs2="a2 a3" order="2"/>');
+    });
+  });
+  describe('Test round trip: ', () => {
+    it('should keep coordinates, charges, isotopes, radicals, hydrogens and stereo', () => {
+      const mol = utils.moleculeFromSmiles('C/C=C/[CH2]c1ccccc1');
+      mol.atoms[0].isotope = 2;
+      mol.atoms[3].radical = ModelAtom.RADICAL.TRIPLET;
+      mol.atoms[3].charge = 1;
+      mol.bonds[0].stereo = ModelBond.STEREO.UP;
+      const copy = new CmlParser(new CmlWriter(mol).toCml()).parseMolecule();
+      assert.lengthOf(copy.atoms, mol.atoms.length);
+      mol.atoms.forEach((atom, i) => {
+        const other = copy.atoms[i];
+        assert.equal(other.symbol, atom.symbol);
+        assert.closeTo(other.coord.x, atom.coord.x, 1e-4);
+        assert.closeTo(other.coord.y, atom.coord.y, 1e-4);
+        assert.equal(other.charge, atom.charge);
+        assert.equal(other.isotope, atom.isotope);
+        assert.equal(other.radical, atom.radical);
+        assert.equal(other.hcount, atom.hcount);
+        assert.equal(other.aromatic, atom.aromatic);
+      });
+      mol.bonds.forEach((bond, i) => {
+        const other = copy.bonds[i];
+        assert.equal(other.order, bond.order);
+        assert.equal(other.aromatic, bond.aromatic);
+        assert.equal(other.stereo, bond.stereo);
+      });
+      assert.equal(copy.bonds[1].getConfiguration(copy.atoms[0], copy.atoms[3]), ModelBond.CONFIGURATION.TRANS);
+    });
+    it('should keep the chirality of SMILES through the wedges', () => {
+      ['C[C@@H](N)C(=O)O', 'C[C@H](N)C(=O)O', 'C[C@H]1CCCC[C@@H]1O'].forEach(smiles => {
+        const copy = new CmlParser(new CmlWriter(utils.moleculeFromSmiles(smiles)).toCml()).parseMolecule();
+        assert.equal(new SmilesWriter(copy).toSmiles(), smiles);
+      });
+    });
+    it('should write several molecules', () => {
+      const mols = new CmlParser(new CmlWriter([utils.moleculeFromSmiles('O'), utils.moleculeFromSmiles('N')])
+          .toCml()).parseMolecules();
+      assert.deepEqual(mols.map(mol => mol.atoms[0].symbol), ['O', 'N']);
+    });
+  });
+});
@@ -8,6 +8,9 @@ const ModelBond = require('../src/model/bond');
 const ModelMolecule = require('../src/model/molecule');
 
 const JSONParser = require('../src/io/json_parser');
+const SmilesWriter = require('../src/io/smiles_writer');
+const ChemJsonWriter = require('../src/io/write_chemdoodlejson');
+const testUtils = require('./utils');
 
 describe('Test renderer/hydrogen_position module:', () => {
   describe('Test constructor: ', () => {
@@ -66,4 +69,89 @@ describe('Test renderer/hydrogen_position module:', () => {
       assert.equal(b1.target, a2);
     });
   });
+  describe('Test parseAtom and parseBond fields:', () => {
+    const parser = new JSONParser();
+    it('should read charge, mass, radical electrons and hydrogen count', () => {
+      const atom = parser.parseAtom({l: 'N', x: 0, y: 0, c: 1, m: 15, r: 1, h: 2});
+      assert.equal(atom.charge, 1);
+      assert.equal(atom.isotope, 15);
+      assert.equal(atom.radical, ModelAtom.RADICAL.DOUBLET);
+      assert.isTrue(atom.explicitHydrogens);
+      assert.equal(atom.hydrogenCount(), 2);
+    });
+    it('should read bond orders and stereo', () => {
+      const mol = parser.parseMolecule({a: [{}, {x: 1}, {x: 2}], b: []});
+      const double = parser.parseBond({b: 0, e: 1, o: 2, s: 'recessed'}, mol);
+      assert.equal(double.order, ModelBond.ORDER.DOUBLE);
+      assert.equal(double.stereo, ModelBond.STEREO.DOWN);
+      const aromatic = parser.parseBond({b: 1, e: 2, o: 1.5}, mol);
+      assert.isTrue(aromatic.aromatic);
+      assert.equal(aromatic.order, ModelBond.ORDER.SINGLE);
+      assert.equal(parser.parseBond({b: 0, e: 1, s: 'protuding'}, mol).stereo, ModelBond.STEREO.UP);
+      assert.equal(parser.parseBond({b: 0, e: 1, s: 'ambiguous'}, mol).stereo, ModelBond.STEREO.UP_OR_DOWN);
+    });
+    it('should throw on unsupported values', () => {
+      const mol = parser.parseMolecule({a: [{}, {x: 1}]});
+      assert.throws(() => parser.parseBond({b: 0, e: 5}, mol), /invalid bond atoms/);
+      assert.throws(() => parser.parseBond({b: 0, e: 1, o: 0.5}, mol), /unsupported bond order/);
+      assert.throws(() => parser.parseBond({b: 0, e: 1, s: 'bold'}, mol), /unknown bond stereo/);
+      assert.throws(() => parser.parseAtom({r: 3}), /radical/);
+    });
+  });
+  describe('Test parseDocument:', () => {
+    it('should read all molecules and shapes', () => {
+      const doc = new JSONParser(JSON.stringify({
+        m: [{a: [{l: 'O'}]}, {a: [{}, {x: 1}], b: [{b: 0, e: 1, o: 3}]}],
+        s: [{t: 'Line', x1: 0, y1: 0, x2: 1, y2: 1}]
+      })).parseDocument();
+      assert.lengthOf(doc.molecules, 2);
+      assert.equal(doc.molecules[0].atoms[0].symbol, 'O');
+      assert.equal(doc.molecules[1].bonds[0].order, ModelBond.ORDER.TRIPLE);
+      assert.deepEqual(doc.shapes, [{t: 'Line', x1: 0, y1: 0, x2: 1, y2: 1}]);
+    });
+    it('should accept a single molecule object', () => {
+      const doc = new JSONParser('{"a": [{"l": "S"}], "b": []}').parseDocument();
+      assert.lengthOf(doc.molecules, 1);
+      assert.lengthOf(doc.shapes, 0);
+    });
+  });
+  describe('Test round trip with the writer:', () => {
+    it('should read back what the writer writes', () => {
+      const mols = ['[13CH3][N+](=O)[O-]', 'c1ccccc1[C@H](F)Cl', '[CH2]C#N'].map(testUtils.moleculeFromSmiles);
+      mols[2].atoms[0].radical = ModelAtom.RADICAL.TRIPLET;
+      const shapes = [{t: 'Arrow', x1: 0, y1: 0, x2: 10, y2: 0, a: 'synthetic'}];
+      const json = new ChemJsonWriter(mols, shapes).toJson();
+      const doc = new JSONParser(json).parseDocument();
+      assert.deepEqual(doc.shapes, shapes);
+      assert.lengthOf(doc.molecules, mols.length);
+      doc.molecules.forEach((read, m) => {
+        const mol = mols[m];
+        assert.deepEqual(read.atoms.map(a => [a.symbol, a.coord.x, a.coord.y, a.charge, a.isotope, a.radical,
+          a.aromatic, a.hydrogenCount()]), mol.atoms.map(a => [a.symbol, a.coord.x, a.coord.y, a.charge, a.isotope,
+          a.radical, a.aromatic, a.hydrogenCount()]));
+        assert.deepEqual(read.bonds.map(b => [read.indexOfAtom(b.source), read.indexOfAtom(b.target), b.order,
+          b.stereo, b.aromatic]), mol.bonds.map(b => [mol.indexOfAtom(b.source), mol.indexOfAtom(b.target), b.order,
+          b.stereo, b.aromatic]));
+      });
+      assert.equal(new ChemJsonWriter(doc.molecules, doc.shapes).toJson(), json);
+    });
+    it('should keep the chirality of SMILES through the wedges', () => {
+      ['C[C@@H](N)C(=O)O', 'C[C@H](N)C(=O)O', 'C[C@H]1CCCC[C@@H]1O'].forEach(smiles => {
+        const json = new ChemJsonWriter(testUtils.moleculeFromSmiles(smiles)).toJson();
+        assert.equal(new SmilesWriter(new JSONParser(json).parseDocument().molecules[0]).toSmiles(), smiles);
+      });
+    });
+    it('should read back the three radical states', () => {
+      const radicals = [ModelAtom.RADICAL.DOUBLET, ModelAtom.RADICAL.SINGLET, ModelAtom.RADICAL.TRIPLET];
+      const mols = radicals.map(radical => {
+        const mol = testUtils.moleculeFromSmiles('[CH2]C');
+        mol.atoms[0].radical = radical;
+        return mol;
+      });
+      const doc = new JSONParser(new ChemJsonWriter(mols).toJson()).parseDocument();
+      assert.deepEqual(doc.molecules.map(mol => mol.atoms[0].radical), radicals);
+      assert.deepEqual(doc.molecules.map(mol => mol.atoms[0].hydrogenCount()), [2, 2, 2]);
+      assert.equal(new JSONParser().parseAtom({r: 2}).radical, ModelAtom.RADICAL.TRIPLET);
+    });
+  });
 });
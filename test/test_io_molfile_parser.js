@@ -0,0 +1,207 @@
+'use strict';
+
+const assert = require('chai').assert;
+const expect = require('chai').expect;
+
+const ModelAtom = require('../src/model/atom');
+const ModelBond = require('../src/model/bond');
+const ModelMolecule = require('../src/model/molecule');
+const MolfileParser = require('../src/io/molfile_parser');
+const SmilesParser = require('../src/io/smiles_parser');
+const SvgDepict = require('../src/depict/svg');
+
+// L-alanine zwitterion with a wedge, a 13C and a radical
+const molfile = `alanine
+  ChemPict10192612002D
+
+  6  5  0  0  1  0  0  0  0  0999 V2000
+    0.0000    0.0000    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0
+    0.8660    0.5000    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0
+    1.7321    0.0000    0.0000 O   0  5  0  0  0  0  0  0  0  0  0  0
+    0.8660    1.5000    0.0000 O   0  0  0  0  0  0  0  0  0  0  0  0
+    0.0000   -1.0000    0.0000 N   0  3  0  0  0  0  0  0  0  0  0  0
+   -0.8660    0.5000    0.0000 C   0  0  0  0  0  0  0  0  0  2  0  0
+  1  2  1  0  0  0  0
+  2  3  1  0  0  0  0
+  2  4  2  0  0  0  0
+  1  5  1  1  0  0  0
+  1  6  1  0  0  0  0
+M  CHG  2   3  -1   5   1
+M  ISO  1   6  13
+M  END
+`;
+
+// two stereocenters in an AND group and a highlighted bond, with non sequential indices
+const v3000 = `
+  ChemPict10192612002D
+
+  0  0  0     0  0            999 V3000
+M  V30 BEGIN CTAB
+M  V30 COUNTS 5 4 0 0 1
+M  V30 BEGIN ATOM
+M  V30 10 C 0 0 0 0
+M  V30 20 C 0.866 0.5 0 0 CHG=1 MASS=13 -
+M  V30 RAD=2
+M  V30 30 N 0 -1 0 3 CHG=-1
+M  V30 40 O 1.732 0 0 0
+M  V30 50 C -0.866 0.5 0 0 VAL=3
+M  V30 END ATOM
+M  V30 BEGIN BOND
+M  V30 1 1 10 20
+M  V30 2 1 10 30 CFG=1
+M  V30 3 2 20 40
+M  V30 4 1 10 50 CFG=3
+M  V30 END BOND
+M  V30 BEGIN COLLECTION
+M  V30 MDLV30/STEABS ATOMS=(1 20)
+M  V30 MDLV30/STERAC1 ATOMS=(1 10)
+M  V30 MDLV30/HILITE ATOMS=(2 10 20) BONDS=(1 1)
+M  V30 END COLLECTION
+M  V30 END CTAB
+M  END
+`;
+
+describe('Test io/molfile_parser module:', () => {
+  describe('Test parseMolecule: ', () => {
+    const mol = new MolfileParser(molfile).parseMolecule();
+    it('should read the header and the atom block', () => {
+      expect(mol).to.be.an.instanceOf(ModelMolecule);
+      assert.equal(mol.name, 'alanine');
+      assert.equal(mol.countAtoms(), 6);
+      assert.deepEqual(mol.atoms.map(a => a.symbol), ['C', 'C', 'O', 'O', 'N', 'C']);
+      assert.equal(mol.atoms[5].atomClass, 2);
+    });
+    it('should flip y coordinates to the screen orientation', () => {
+      assert.closeTo(mol.atoms[1].coord.x, 0.866, 1e-4);
+      assert.closeTo(mol.atoms[1].coord.y, -0.5, 1e-4);
+      assert.closeTo(mol.atoms[4].coord.y, 1, 1e-4);
+    });
+    it('should read bond orders and stereo', () => {
+      assert.equal(mol.bonds.length, 5);
+      assert.equal(mol.bonds[2].order, ModelBond.ORDER.DOUBLE);
+      assert.equal(mol.bonds[3].stereo, ModelBond.STEREO.UP);
+      assert.equal(mol.bonds[3].source, mol.atoms[0]);
+      assert.equal(mol.bonds[0].stereo, ModelBond.STEREO.NOT_STEREO);
+    });
+    it('should read M  CHG and M  ISO properties', () => {
+      assert.equal(mol.atoms[2].charge, -1);
+      assert.equal(mol.atoms[4].charge, 1);
+      assert.equal(mol.atoms[5].isotope, 13);
+      assert.equal(mol.atoms[0].charge, 0);
+    });
+    it('should be depicted without coordinate generation', () => {
+      const svg = new SvgDepict(mol).toSvg();
+      assert.include(svg, '<svg');
+      assert.include(svg, '>N<');
+    });
+  });
+  describe('Test parseAtom: ', () => {
+    const parser = new MolfileParser();
+    it('should read charges of the atom block', () => {
+      const line = '    0.0000    0.0000    0.0000 N   0  2  0  0  0  0  0  0  0  0  0  0';
+      assert.equal(parser.parseAtom(line).charge, 2);
+    });
+    it('should read a doublet radical from the atom block', () => {
+      const line = '    0.0000    0.0000    0.0000 C   0  4  0  0  0  0  0  0  0  0  0  0';
+      const atom = parser.parseAtom(line);
+      assert.equal(atom.charge, 0);
+      assert.equal(atom.radical, ModelAtom.RADICAL.DOUBLET);
+    });
+    it('should throw on invalid lines', () => {
+      assert.throws(() => parser.parseAtom('garbage'), /invalid atom line/);
+    });
+  });
+  describe('Test properties: ', () => {
+    const block = (atoms, properties) => ['', '', '', `${atoms.length}  0  0  0  0  0  0  0  0  0999 V2000`]
+        .map((line, i) => (i === 3 ? `  ${line}` : line))
+        .concat(atoms.map(s => `    0.0000    0.0000    0.0000 ${s}   0  3  0  0  0  0  0  0  0  0  0  0`))
+        .concat(properties, ['M  END'])
+        .join('\n');
+    it('should let M  CHG and M  RAD supersede the atom block', () => {
+      const mol = new MolfileParser(block(['C', 'O'], ['M  RAD  1   1   2'])).parseMolecule();
+      assert.equal(mol.atoms[0].charge, 0);
+      assert.equal(mol.atoms[1].charge, 0);
+      assert.equal(mol.atoms[0].radical, ModelAtom.RADICAL.DOUBLET);
+      assert.equal(mol.atoms[0].hydrogenCount(), 3);
+    });
+    it('should read more than one property line', () => {
+      const mol = new MolfileParser(block(['C', 'C'], ['M  CHG  1   1   1', 'M  CHG  1   2  -1'])).parseMolecule();
+      assert.equal(mol.atoms[0].charge, 1);
+      assert.equal(mol.atoms[1].charge, -1);
+    });
+    it('should throw on unknown atom numbers', () => {
+      assert.throws(() => new MolfileParser(block(['C'], ['M  ISO  1   2  13'])).parseMolecule(), /invalid atom/);
+    });
+  });
+  describe('Test valences: ', () => {
+    it('should set explicit hydrogen counts from valences', () => {
+      const mol = new MolfileParser(['', '', '', '  1  0  0  0  0  0  0  0  0  0999 V2000',
+        '    0.0000    0.0000    0.0000 C   0  0  0  0  0  2  0  0  0  0  0  0', 'M  END'].join('\n'))
+          .parseMolecule();
+      assert.isTrue(mol.atoms[0].explicitHydrogens);
+      assert.equal(mol.atoms[0].hydrogenCount(), 2);
+    });
+  });
+  describe('Test V3000: ', () => {
+    const mol = new MolfileParser(v3000).parseMolecule();
+    it('should read atoms with their indices and properties', () => {
+      assert.equal(mol.countAtoms(), 5);
+      assert.isTrue(mol.chiral);
+      assert.deepEqual(mol.atoms.map(a => a.index), [10, 20, 30, 40, 50]);
+      const atom = mol.atoms[1];
+      assert.closeTo(atom.coord.y, -0.5, 1e-4);
+      assert.equal(atom.charge, 1);
+      assert.equal(atom.isotope, 13);
+      assert.equal(atom.radical, ModelAtom.RADICAL.DOUBLET);
+      assert.equal(mol.atoms[2].charge, -1);
+      assert.equal(mol.atoms[2].atomClass, 3);
+      assert.equal(mol.atoms[4].hydrogenCount(), 2);
+    });
+    it('should read atoms without isotope as the V2000 reader and the SMILES parser', () => {
+      const unlabelled = new ModelAtom().isotope;
+      [mol, new MolfileParser(molfile).parseMolecule(), SmilesParser.parse('CC(=O)[O-]')].forEach(parsed => {
+        parsed.atoms.filter(atom => atom.isotope !== 13).forEach(atom => assert.strictEqual(atom.isotope, unlabelled));
+      });
+      assert.strictEqual(new MolfileParser(v3000).parseMolecule().atoms[0].isotope,
+                         SmilesParser.parse('C').atoms[0].isotope);
+    });
+    it('should read bonds with their indices and stereo', () => {
+      assert.equal(mol.bonds.length, 4);
+      assert.deepEqual(mol.bonds.map(b => b.index), [1, 2, 3, 4]);
+      assert.equal(mol.bonds[1].target, mol.atoms[2]);
+      assert.equal(mol.bonds[1].stereo, ModelBond.STEREO.UP);
+      assert.equal(mol.bonds[2].order, ModelBond.ORDER.DOUBLE);
+      assert.equal(mol.bonds[3].stereo, ModelBond.STEREO.DOWN);
+    });
+    it('should read enhanced stereo groups and other collections', () => {
+      assert.lengthOf(mol.stereoGroups, 2);
+      assert.equal(mol.stereoGroups[0].type, ModelMolecule.STEREO_GROUP.ABSOLUTE);
+      assert.deepEqual(mol.stereoGroups[0].atoms, [mol.atoms[1]]);
+      assert.equal(mol.stereoGroups[1].type, ModelMolecule.STEREO_GROUP.AND);
+      assert.equal(mol.stereoGroups[1].number, 1);
+      assert.equal(mol.getStereoGroup(mol.atoms[0]), mol.stereoGroups[1]);
+      assert.isNull(mol.getStereoGroup(mol.atoms[3]));
+      assert.lengthOf(mol.collections, 1);
+      assert.equal(mol.collections[0].name, 'MDLV30/HILITE');
+      assert.deepEqual(mol.collections[0].atoms, [mol.atoms[0], mol.atoms[1]]);
+      assert.deepEqual(mol.collections[0].bonds, [mol.bonds[0]]);
+    });
+    it('should throw on unknown indices and truncated tables', () => {
+      assert.throws(
+          () => new MolfileParser(v3000.replace('BONDS=(1 1)', 'BONDS=(1 9)')).parseMolecule(), /invalid index 9/);
+      assert.throws(
+          () => new MolfileParser(v3000.replace('M  V30 1 1 10 20', 'M  V30 1 1 10 60')).parseMolecule(),
+          /invalid bond line/);
+      assert.throws(() => new MolfileParser(v3000.split('M  V30 END CTAB')[0]).parseMolecule(), /truncated/);
+    });
+  });
+  describe('Test errors: ', () => {
+    it('should reject truncated molfiles and unknown versions', () => {
+      assert.throws(() => new MolfileParser('').parseMolecule(), /header/);
+      assert.throws(
+          () => new MolfileParser('\n\n\n  2  1  0  0  0  0  0  0  0  0999 V2000\n').parseMolecule(), /truncated/);
+      assert.throws(
+          () => new MolfileParser('\n\n\n  0  0  0     0  0            999 V4000\n').parseMolecule(), /V4000/);
+    });
+  });
+});
@@ -0,0 +1,141 @@
+'use strict';
+
+const assert = require('chai').assert;
+
+const ModelAtom = require('../src/model/atom');
+const ModelBond = require('../src/model/bond');
+const ModelMolecule = require('../src/model/molecule');
+const MolfileParser = require('../src/io/molfile_parser');
+const MolfileWriter = require('../src/io/molfile_writer');
+const SmilesWriter = require('../src/io/smiles_writer');
+const utils = require('./utils');
+
+const chiralSmiles = ['C[C@@H](N)C(=O)O', 'N[C@@H](C)C(=O)O', 'C[C@H](N)C(=O)O', 'C[C@H]1CCCC[C@@H]1O',
+                      'F[C@](Cl)(Br)I'];
+const roundTripSmiles = (mol, version) =>
+    new SmilesWriter(new MolfileParser(new MolfileWriter(mol, {version: version}).toMolfile()).parseMolecule())
+        .toSmiles();
+
+describe('Test io/molfile_writer module:', () => {
+  describe('Test toMolfile: ', () => {
+    const mol = utils.moleculeFromSmiles('[13CH3]C(=O)[O-]');
+    mol.name = 'acetate';
+    mol.bonds[0].stereo = ModelBond.STEREO.DOWN;
+    const lines = new MolfileWriter(mol).toMolfile().split('\n');
+    it('should write the header and the counts line', () => {
+      assert.equal(lines[0], 'acetate');
+      assert.match(lines[1], /^ {2}ChemPict\d{10}2D$/);
+      assert.equal(lines[3], '  4  3  0  0  0  0  0  0  0  0999 V2000');
+    });
+    it('should write fixed width atom and bond lines', () => {
+      lines.slice(4, 8).forEach(line => assert.lengthOf(line, 69));
+      assert.equal(lines[4].substr(31, 3), 'C  ');
+      assert.equal(lines[7].substr(36, 3), '  5');
+      assert.equal(lines[8], '  1  2  1  6  0  0  0');
+      assert.equal(lines[9], '  2  3  2  0  0  0  0');
+    });
+    it('should write property lines', () => {
+      assert.equal(lines[11], 'M  CHG  1   4  -1');
+      assert.equal(lines[12], 'M  ISO  1   1  13');
+      assert.equal(lines[13], 'M  END');
+    });
+  });
+  describe('Test round trip: ', () => {
+    it('should keep coordinates, charges, isotopes, radicals and stereo', () => {
+      const mol = utils.moleculeFromSmiles('C[C@H](N)C(=O)[O-]');
+      mol.atoms[0].isotope = 2;
+      mol.atoms[2].radical = ModelAtom.RADICAL.TRIPLET;
+      mol.atoms[3].setHydrogenCount(0);
+      const read = new MolfileParser(new MolfileWriter(mol).toMolfile()).parseMolecule();
+      assert.equal(read.countAtoms(), mol.countAtoms());
+      mol.atoms.forEach((atom, i) => {
+        const other = read.atoms[i];
+        assert.equal(other.symbol, atom.symbol);
+        assert.closeTo(other.coord.x, atom.coord.x, 1e-4);
+        assert.closeTo(other.coord.y, atom.coord.y, 1e-4);
+        assert.equal(other.charge, atom.charge);
+        assert.equal(other.isotope, atom.isotope);
+        assert.equal(other.radical, atom.radical);
+        assert.equal(other.hydrogenCount(), atom.hydrogenCount());
+      });
+      mol.bonds.forEach((bond, i) => {
+        assert.equal(read.bonds[i].order, bond.order);
+        assert.equal(read.bonds[i].stereo, bond.stereo);
+      });
+    });
+    it('should split long property lists in lines of eight', () => {
+      const mol = utils.moleculeFromSmiles('[O-]'.repeat(10));
+      const chg = new MolfileWriter(mol).toMolfile().split('\n').filter(l => l.startsWith('M  CHG'));
+      assert.lengthOf(chg, 2);
+      assert.equal(chg[1], 'M  CHG  2   9  -1  10  -1');
+      const read = new MolfileParser(new MolfileWriter(mol).toMolfile()).parseMolecule();
+      assert.isTrue(read.atoms.every(a => a.charge === -1));
+    });
+  });
+  describe('Test round trip of chiral SMILES: ', () => {
+    chiralSmiles.forEach(smiles => {
+      it(`should keep the chirality of ${smiles}`, () => {
+        const mol = utils.moleculeFromSmiles(smiles);
+        assert.equal(roundTripSmiles(mol, 'V2000'), smiles);
+        assert.equal(roundTripSmiles(mol, 'V3000'), smiles);
+      });
+    });
+  });
+  describe('Test V3000: ', () => {
+    const mol = utils.moleculeFromSmiles('C[C@H](N)[C@@H](O)C(=O)[O-]');
+    mol.atoms[3].isotope = 13;
+    mol.atoms[4].radical = ModelAtom.RADICAL.DOUBLET;
+    mol.atoms[4].setHydrogenCount(0);
+    mol.chiral = true;
+    mol.stereoGroups.push({type: ModelMolecule.STEREO_GROUP.AND, number: 1, atoms: [mol.atoms[1]]});
+    mol.stereoGroups.push({type: ModelMolecule.STEREO_GROUP.OR, number: 2, atoms: [mol.atoms[3]]});
+    mol.collections.push({name: 'MDLV30/HILITE', atoms: [mol.atoms[0]], bonds: [mol.bonds[0]]});
+    const molfile = new MolfileWriter(mol).toMolfile();
+    const lines = molfile.split('\n');
+    it('should be chosen for enhanced stereo groups', () => {
+      assert.equal(lines[3], '  0  0  0     0  0            999 V3000');
+      assert.include(lines, 'M  V30 COUNTS 8 7 0 0 1');
+      assert.include(lines, 'M  V30 MDLV30/STERAC1 ATOMS=(1 2)');
+      assert.include(lines, 'M  V30 MDLV30/STEREL2 ATOMS=(1 4)');
+      assert.include(lines, 'M  V30 MDLV30/HILITE ATOMS=(1 1) BONDS=(1 1)');
+      assert.equal(lines[lines.length - 2], 'M  END');
+    });
+    it('should round trip', () => {
+      const read = new MolfileParser(molfile).parseMolecule();
+      assert.isTrue(read.chiral);
+      mol.atoms.forEach((atom, i) => {
+        const other = read.atoms[i];
+        assert.equal(other.symbol, atom.symbol);
+        assert.closeTo(other.coord.x, atom.coord.x, 1e-4);
+        assert.closeTo(other.coord.y, atom.coord.y, 1e-4);
+        assert.equal(other.charge, atom.charge);
+        assert.equal(other.isotope, atom.isotope);
+        assert.equal(other.radical, atom.radical);
+        assert.equal(other.hydrogenCount(), atom.hydrogenCount());
+      });
+      mol.bonds.forEach((bond, i) => assert.equal(read.bonds[i].stereo, bond.stereo));
+      assert.deepEqual(read.stereoGroups.map(g => [g.type, g.number, g.atoms.map(a => read.atoms.indexOf(a))]),
+          [[ModelMolecule.STEREO_GROUP.AND, 1, [1]], [ModelMolecule.STEREO_GROUP.OR, 2, [3]]]);
+    });
+    it('should keep unique indices of the model', () => {
+      const indexed = utils.moleculeFromSmiles('CO');
+      indexed.atoms[0].index = 7;
+      indexed.atoms[1].index = 3;
+      const written = new MolfileWriter(indexed, {version: 'V3000'}).toMolfile();
+      assert.include(written, 'M  V30 1 1 7 3');
+      indexed.atoms[1].index = 7;
+      assert.include(new MolfileWriter(indexed, {version: 'V3000'}).toMolfile(), 'M  V30 1 1 1 2');
+    });
+    it('should continue lines longer than 80 characters', () => {
+      const chain = utils.moleculeFromSmiles('C'.repeat(40));
+      chain.collections.push({name: 'MDLV30/HILITE', atoms: chain.atoms, bonds: []});
+      const written = new MolfileWriter(chain, {version: 'V3000'}).toMolfile().split('\n');
+      written.forEach(line => assert.isAtMost(line.length, 80));
+      assert.isTrue(written.some(line => line.endsWith('-')));
+      assert.lengthOf(new MolfileParser(written.join('\n')).parseMolecule().collections[0].atoms, 40);
+    });
+    it('should reject unknown versions', () => {
+      assert.throws(() => new MolfileWriter(mol, {version: 'V4000'}), /unknown molfile version V4000/);
+    });
+  });
+});
@@ -0,0 +1,124 @@
+'use strict';
+
+const assert = require('chai').assert;
+
+const RxnParser = require('../src/io/rxn_parser');
+const SmilesWriter = require('../src/io/smiles_writer');
+
+// methanol oxidation with mapped atoms and water as agent
+const rxn = `$RXN
+oxidation
+      ChemPict 101920261200
+
+  1  1  1
+$MOL
+
+  ChemPict10192612002D
+
+  2  1  0  0  0  0  0  0  0  0999 V2000
+    0.0000    0.0000    0.0000 C   0  0  0  0  0  0  0  0  0  1  0  0
+    1.2990    0.7500    0.0000 O   0  0  0  0  0  0  0  0  0  2  0  0
+  1  2  1  0  0  0  0
+M  END
+$MOL
+
+  ChemPict10192612002D
+
+  2  1  0  0  0  0  0  0  0  0999 V2000
+    0.0000    0.0000    0.0000 C   0  0  0  0  0  0  0  0  0  1  0  0
+    1.2990    0.7500    0.0000 O   0  0  0  0  0  0  0  0  0  2  0  0
+  1  2  2  0  0  0  0
+M  END
+$MOL
+
+  ChemPict10192612002D
+
+  1  0  0  0  0  0  0  0  0  0999 V2000
+    0.0000    0.0000    0.0000 Cu  0  0  0  0  0  0  0  0  0  0  0  0
+M  END
+`;
+
+const v3000 = `$RXN V3000
+esterification
+      ChemPict 101920261200
+
+M  V30 COUNTS 2 1
+M  V30 BEGIN REACTANT
+M  V30 BEGIN CTAB
+M  V30 COUNTS 2 1 0 0 0
+M  V30 BEGIN ATOM
+M  V30 1 C 0.0000 0.0000 0 1
+M  V30 2 O 1.2990 0.7500 0 2
+M  V30 END ATOM
+M  V30 BEGIN BOND
+M  V30 1 1 1 2
+M  V30 END BOND
+M  V30 END CTAB
+M  V30 BEGIN CTAB
+M  V30 COUNTS 1 0 0 0 0
+M  V30 BEGIN ATOM
+M  V30 1 C 0.0000 0.0000 0 3
+M  V30 END ATOM
+M  V30 END CTAB
+M  V30 END REACTANT
+M  V30 BEGIN PRODUCT
+M  V30 BEGIN CTAB
+M  V30 COUNTS 3 2 0 0 0
+M  V30 BEGIN ATOM
+M  V30 1 C 0.0000 0.0000 0 1
+M  V30 2 O 1.2990 0.7500 0 2
+M  V30 3 C 2.5981 0.0000 0 3
+M  V30 END ATOM
+M  V30 BEGIN BOND
+M  V30 1 1 1 2
+M  V30 2 1 2 3
+M  V30 END BOND
+M  V30 END CTAB
+M  V30 END PRODUCT
+M  END
+`;
+
+describe('Test io/rxn_parser module:', () => {
+  describe('Test V2000 parseReaction: ', () => {
+    const reaction = new RxnParser(rxn).parseReaction();
+    it('should read the name and the components', () => {
+      assert.equal(reaction.name, 'oxidation');
+      assert.lengthOf(reaction.reactants, 1);
+      assert.lengthOf(reaction.products, 1);
+      assert.lengthOf(reaction.agents, 1);
+      assert.equal(reaction.agents[0].atoms[0].symbol, 'Cu');
+      assert.equal(reaction.products[0].bonds[0].order, 2);
+    });
+    it('should keep atom-atom mapping', () => {
+      assert.deepEqual(reaction.reactants[0].atoms.map(atom => atom.atomClass), [1, 2]);
+      assert.deepEqual(reaction.getMappedAtoms(reaction.reactants[0].atoms[1]), [reaction.products[0].atoms[1]]);
+    });
+    it('should convert to reaction SMILES', () => {
+      assert.equal(SmilesWriter.writeReaction(reaction), '[CH3:1][OH:2]>[Cu]>[CH2:1]=[O:2] oxidation');
+    });
+  });
+  describe('Test V3000 parseReaction: ', () => {
+    const reaction = new RxnParser(v3000).parseReaction();
+    it('should read the connection tables of each block', () => {
+      assert.equal(reaction.name, 'esterification');
+      assert.deepEqual(reaction.reactants.map(mol => mol.atoms.length), [2, 1]);
+      assert.lengthOf(reaction.products, 1);
+      assert.lengthOf(reaction.agents, 0);
+      assert.equal(reaction.products[0].atoms[1].coord.y, -0.75);
+    });
+    it('should keep atom-atom mapping', () => {
+      assert.deepEqual(reaction.products[0].atoms.map(atom => atom.atomClass), [1, 2, 3]);
+    });
+  });
+  describe('Test errors: ', () => {
+    it('should throw on invalid RXN files', () => {
+      assert.throws(() => new RxnParser('').parseReaction(), /\$RXN header line expected/);
+      assert.throws(() => new RxnParser('$RXN V4000').parseReaction(), /unsupported RXN version V4000/);
+      assert.throws(() => new RxnParser(rxn.replace('  1  1  1', '  1  1  2')).parseReaction(),
+          /4 components expected by the counts line, found 3/);
+      assert.throws(() => new RxnParser(v3000.replace('COUNTS 2 1\n', 'COUNTS 1 1\n')).parseReaction(),
+          /2 components expected by the counts line, found 3/);
+      assert.throws(() => new RxnParser(v3000.split('M  V30 END PRODUCT')[0]).parseReaction(), /truncated/);
+    });
+  });
+});
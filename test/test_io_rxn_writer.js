@@ -0,0 +1,61 @@
+'use strict';
+
+const assert = require('chai').assert;
+
+const ModelMolecule = require('../src/model/molecule');
+const RxnParser = require('../src/io/rxn_parser');
+const RxnWriter = require('../src/io/rxn_writer');
+const SmilesParser = require('../src/io/smiles_parser');
+const SmilesWriter = require('../src/io/smiles_writer');
+const CoordinateGenerator = require('../src/layout/coordinate_generator');
+
+const reactionFromSmiles = smi => {
+  const reaction = SmilesParser.parseReaction(smi);
+  reaction.getMolecules().forEach(mol => CoordinateGenerator.generate(mol));
+  return reaction;
+};
+
+describe('Test io/rxn_writer module:', () => {
+  describe('Test V2000 toRxn: ', () => {
+    const lines = new RxnWriter(reactionFromSmiles('[CH3:1][OH:2]>[Cu]>[CH2:1]=[O:2] oxidation')).toRxn()
+        .split('\n');
+    it('should write the header and the counts line', () => {
+      assert.equal(lines[0], '$RXN');
+      assert.equal(lines[1], 'oxidation');
+      assert.match(lines[2], /^ {6}ChemPict \d{12}$/);
+      assert.equal(lines[4], '  1  1  1');
+      assert.equal(lines[5], '$MOL');
+    });
+    it('should write the components as reactants, products then agents', () => {
+      const molfiles = lines.join('\n').split('$MOL\n').slice(1);
+      assert.lengthOf(molfiles, 3);
+      assert.include(molfiles[2], ' Cu ');
+      assert.equal(molfiles[1].split('\n')[4].substr(60, 3), '  1');
+    });
+  });
+  describe('Test round trip: ', () => {
+    ['V2000', 'V3000'].forEach(version => {
+      it(`should keep components and atom-atom mapping in ${version}`, () => {
+        const smi = '[CH3:1][C:2](=[O:3])[OH:4].[CH3:5][OH:6]>[H+]>[CH3:1][C:2](=[O:3])[O:6][CH3:5] esterification';
+        const rxn = new RxnWriter(reactionFromSmiles(smi), {version: version}).toRxn();
+        assert.equal(rxn.startsWith('$RXN V3000'), version === 'V3000');
+        assert.equal(SmilesWriter.writeReaction(new RxnParser(rxn).parseReaction()), smi);
+      });
+    });
+    it('should write reactions without agents', () => {
+      const lines = new RxnWriter(reactionFromSmiles('CCO>>CC=O')).toRxn().split('\n');
+      assert.equal(lines[4], '  1  1');
+    });
+  });
+  describe('Test versions: ', () => {
+    it('should choose V3000 for enhanced stereo', () => {
+      const reaction = reactionFromSmiles('C[C@H](N)O>>C[C@H](N)OC');
+      const mol = reaction.products[0];
+      mol.stereoGroups.push({type: ModelMolecule.STEREO_GROUP.AND, number: 1, atoms: [mol.atoms[1]]});
+      assert.include(new RxnWriter(reaction).toRxn(), 'MDLV30/STERAC1');
+    });
+    it('should reject unknown versions', () => {
+      assert.throws(() => new RxnWriter(reactionFromSmiles('C>>C'), {version: 'V4000'}), /unknown RXN version/);
+    });
+  });
+});
@@ -0,0 +1,93 @@
+'use strict';
+
+const assert = require('chai').assert;
+const expect = require('chai').expect;
+const Readable = require('stream').Readable;
+
+const ModelMolecule = require('../src/model/molecule');
+const SdfParser = require('../src/io/sdf_parser');
+
+const record = (name, symbol, data) => [
+  name, '  ChemPict10192612002D', '', '  2  1  0  0  0  0  0  0  0  0999 V2000',
+  '    0.0000    0.0000    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0',
+  `    1.0000    0.0000    0.0000 ${symbol}   0  0  0  0  0  0  0  0  0  0  0  0`,
+  '  1  2  1  0  0  0  0', 'M  END'
+].concat(data, ['$$$$']).join('\n');
+
+const broken = ['broken', '', '', '  2  1  0  0  0  0  0  0  0  0999 V2000',
+  '    0.0000    0.0000    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0', 'M  END', '$$$$'].join('\n');
+
+const sdf = [
+  record('methanol', 'O', ['>  <ID>', 'CPD-1', '', '> 2 <NOTES> (multi line)', 'first', 'second', '']),
+  broken,
+  record('methylamine', 'N', ['>  <ID>', 'CPD-3', ''])
+].join('\n') + '\n';
+
+describe('Test io/sdf_parser module:', () => {
+  describe('Test iterator: ', () => {
+    it('should yield one molecule per record with its data items', () => {
+      const mols = Array.from(new SdfParser(sdf));
+      assert.lengthOf(mols, 2);
+      expect(mols[0]).to.be.an.instanceOf(ModelMolecule);
+      assert.equal(mols[0].name, 'methanol');
+      assert.equal(mols[0].properties.get('ID'), 'CPD-1');
+      assert.equal(mols[0].properties.get('NOTES'), 'first\nsecond');
+      assert.equal(mols[1].atoms[1].symbol, 'N');
+      assert.equal(mols[1].properties.get('ID'), 'CPD-3');
+    });
+    it('should report broken records with their index and continue', () => {
+      const reported = [];
+      const parser = new SdfParser(sdf, {onError: e => reported.push(e)});
+      const names = Array.from(parser).map(mol => mol.name);
+      assert.deepEqual(names, ['methanol', 'methylamine']);
+      assert.lengthOf(reported, 1);
+      assert.equal(reported[0].recordIndex, 1);
+      assert.match(reported[0].message, /^record 1: /);
+      assert.deepEqual(parser.errors, reported);
+    });
+    it('should parse records written by chunks', () => {
+      const parser = new SdfParser();
+      const names = [];
+      const collect = () => {
+        for (let result = parser.next(); !result.done; result = parser.next()) {
+          names.push(result.value.name);
+        }
+      };
+      for (let i = 0; i < sdf.length; i += 7) {
+        parser.write(sdf.substr(i, 7));
+        collect();
+      }
+      parser.end();
+      collect();
+      assert.deepEqual(names, ['methanol', 'methylamine']);
+      assert.throws(() => parser.write('more'), /after end/);
+    });
+    it('should accept a last record without delimiter and CRLF lines', () => {
+      const text = record('', 'O', ['>  <ID>', 'X']).replace(/\$\$\$\$$/, '').replace(/\n/g, '\r\n');
+      const mols = Array.from(new SdfParser(text));
+      assert.lengthOf(mols, 1);
+      assert.equal(mols[0].name, '');
+      assert.equal(mols[0].properties.get('ID'), 'X');
+    });
+  });
+  describe('Test createStream: ', () => {
+    it('should stream molecules from text chunks', done => {
+      const chunks = [];
+      for (let i = 0; i < sdf.length; i += 50) {
+        chunks.push(Buffer.from(sdf.substr(i, 50)));
+      }
+      const source = new Readable({
+        read: function() { this.push(chunks.length ? chunks.shift() : null); }
+      });
+      const errors = [];
+      const names = [];
+      source.pipe(SdfParser.createStream({onError: e => errors.push(e.recordIndex)}))
+          .on('data', mol => names.push(mol.name))
+          .on('end', () => {
+            assert.deepEqual(names, ['methanol', 'methylamine']);
+            assert.deepEqual(errors, [1]);
+            done();
+          });
+    });
+  });
+});
@@ -0,0 +1,103 @@
+'use strict';
+
+const assert = require('chai').assert;
+
+const SmartsParser = require('../src/io/smarts_parser');
+
+const ATOM = SmartsParser.ATOM;
+const BOND = SmartsParser.BOND;
+
+describe('Test io/smarts_parser module:', () => {
+  describe('Test parse: ', () => {
+    it('should build the query graph', () => {
+      const query = SmartsParser.parse('C(=O)[OH1]');
+      assert.lengthOf(query.atoms, 3);
+      assert.lengthOf(query.bonds, 2);
+      assert.equal(query.bonds[1].source, query.atoms[0]);
+      assert.equal(query.bonds[1].target, query.atoms[2]);
+      assert.deepEqual(query.bonds[0].expression, {type: BOND.DOUBLE, value: null});
+      assert.equal(query.bonds[1].expression, SmartsParser.DEFAULT_BOND);
+      assert.deepEqual(query.atoms[0].bonds, [query.bonds[0], query.bonds[1]]);
+    });
+    it('should close rings with bond expressions at either end', () => {
+      const query = SmartsParser.parse('C1CC=1.C@2CC2');
+      assert.lengthOf(query.bonds, 6);
+      assert.deepEqual(query.bonds[2].expression, {type: BOND.DOUBLE, value: null});
+      assert.deepEqual(query.bonds[5].expression, {type: BOND.RING, value: null});
+    });
+    it('should read atom map numbers', () => {
+      assert.equal(SmartsParser.parse('[C:12]').atoms[0].mapNumber, 12);
+    });
+  });
+  describe('Test parseAtomExpression: ', () => {
+    it('should read element symbols with their aromaticity', () => {
+      assert.deepEqual(SmartsParser.parseAtomExpression('c'), {
+        op: 'and', args: [{type: ATOM.ELEMENT, value: 'C'}, {type: ATOM.AROMATIC, value: true}]
+      });
+      assert.equal(SmartsParser.parseAtomExpression('Cl').args[0].value, 'Cl');
+      assert.equal(SmartsParser.parseAtomExpression('se').args[0].value, 'Se');
+    });
+    it('should read counts with their default values', () => {
+      const primitive = str => SmartsParser.parseAtomExpression(str);
+      assert.deepEqual(primitive('#6'), {type: ATOM.ATOMIC_NUMBER, value: 6});
+      assert.deepEqual(primitive('X3'), {type: ATOM.CONNECTIVITY, value: 3});
+      assert.deepEqual(primitive('D'), {type: ATOM.DEGREE, value: 1});
+      assert.deepEqual(primitive('R'), {type: ATOM.RING_COUNT, value: null});
+      assert.deepEqual(primitive('r5'), {type: ATOM.RING_SIZE, value: 5});
+      assert.deepEqual(primitive('x2'), {type: ATOM.RING_CONNECTIVITY, value: 2});
+      assert.deepEqual(primitive('v4'), {type: ATOM.VALENCE, value: 4});
+      assert.deepEqual(primitive('h'), {type: ATOM.IMPLICIT_H, value: null});
+      assert.deepEqual(primitive('13'), {type: ATOM.ISOTOPE, value: 13});
+      assert.deepEqual(primitive('a'), {type: ATOM.AROMATIC, value: true});
+      assert.deepEqual(primitive('A'), {type: ATOM.AROMATIC, value: false});
+      assert.deepEqual(primitive('*'), {type: ATOM.ANY, value: null});
+    });
+    it('should read charges', () => {
+      const charge = str => SmartsParser.parseAtomExpression(str).value;
+      assert.equal(charge('+'), 1);
+      assert.equal(charge('++'), 2);
+      assert.equal(charge('-2'), -2);
+      assert.equal(charge('---'), -3);
+    });
+    it('should read H as an element only in first position', () => {
+      assert.equal(SmartsParser.parseAtomExpression('H').args[0].value, 'H');
+      assert.equal(SmartsParser.parseAtomExpression('2H').args[1].args[0].value, 'H');
+      assert.deepEqual(SmartsParser.parseAtomExpression('NH2').args[1], {type: ATOM.TOTAL_H, value: 2});
+    });
+    it('should respect the operator precedence', () => {
+      const expression = SmartsParser.parseAtomExpression('#7,#8;!H0&X2');
+      assert.equal(expression.op, 'and');
+      assert.equal(expression.args[0].op, 'or');
+      assert.deepEqual(expression.args[1].args[0], {op: 'not', args: [{type: ATOM.TOTAL_H, value: 0}]});
+      assert.deepEqual(expression.args[1].args[1], {type: ATOM.CONNECTIVITY, value: 2});
+    });
+    it('should read recursive SMARTS', () => {
+      const expression = SmartsParser.parseAtomExpression('$(C(=O)[OH]),$([N+](=O)[O-])');
+      assert.equal(expression.args[0].type, ATOM.RECURSIVE);
+      assert.lengthOf(expression.args[0].value.atoms, 3);
+      assert.lengthOf(expression.args[1].value.atoms, 3);
+    });
+  });
+  describe('Test parseBondExpression: ', () => {
+    it('should read bond primitives and operators', () => {
+      assert.deepEqual(SmartsParser.parseBondExpression('~'), {type: BOND.ANY, value: null});
+      assert.deepEqual(SmartsParser.parseBondExpression(':'), {type: BOND.AROMATIC, value: null});
+      assert.deepEqual(SmartsParser.parseBondExpression('-!@'), {
+        op: 'and', args: [{type: BOND.SINGLE, value: null}, {op: 'not', args: [{type: BOND.RING, value: null}]}]
+      });
+      assert.equal(SmartsParser.parseBondExpression('=,#').op, 'or');
+    });
+  });
+  describe('Test errors: ', () => {
+    it('should throw on invalid SMARTS', () => {
+      assert.throws(() => SmartsParser.parse('C(C'), /unbalanced parens/);
+      assert.throws(() => SmartsParser.parse('C1CC'), /unclosed rings/);
+      assert.throws(() => SmartsParser.parse('[C'), /unbalanced \[/);
+      assert.throws(() => SmartsParser.parse('CC='), /unpaired bond =/);
+      assert.throws(() => SmartsParser.parse('[Q]'), /unknown atom primitive Q/);
+      assert.throws(() => SmartsParser.parse('C?'), /unknown atom \?/);
+      assert.throws(() => SmartsParser.parse('[C,]'), /primitive expected/);
+      assert.throws(() => SmartsParser.parse('C1C1'), /duplicated bond/);
+    });
+  });
+});
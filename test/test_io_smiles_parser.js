@@ -0,0 +1,216 @@
+'use strict';
+
+const assert = require('chai').assert;
+const expect = require('chai').expect;
+
+const ModelAtom = require('../src/model/atom');
+const ModelBond = require('../src/model/bond');
+const ModelMolecule = require('../src/model/molecule');
+const SmilesParser = require('../src/io/smiles_parser');
+
+describe('Test io/smiles_parser module:', () => {
+  describe('Test parseAtom for organic subset atoms: ', () => {
+    it('should leave hydrogen count unspecified', () => {
+      const atom = SmilesParser.parseAtom('C');
+      assert.equal(atom.symbol, 'C');
+      assert.isNull(atom.hcount);
+      assert.equal(atom.atomClass, 0);
+    });
+    it('should parse aromatic boron and phosphorus', () => {
+      const b = SmilesParser.parseAtom('b');
+      assert.equal(b.symbol, 'B');
+      assert.isTrue(b.aromatic);
+      const p = SmilesParser.parseAtom('p');
+      assert.equal(p.symbol, 'P');
+      assert.isTrue(p.aromatic);
+    });
+    it('should parse the wildcard atom', () => {
+      assert.equal(SmilesParser.parseAtom('*').symbol, '*');
+      assert.equal(SmilesParser.parseAtom('[*]').symbol, '*');
+    });
+  });
+  describe('Test parseAtom for bracket atoms: ', () => {
+    it('should set hydrogen count to 0 when no H is written', () => {
+      assert.strictEqual(SmilesParser.parseAtom('[C]').hcount, 0);
+    });
+    it('should parse single and multiple digit hydrogen counts', () => {
+      assert.strictEqual(SmilesParser.parseAtom('[CH]').hcount, 1);
+      assert.strictEqual(SmilesParser.parseAtom('[NH3+]').hcount, 3);
+      assert.strictEqual(SmilesParser.parseAtom('[NH4+]').hcount, 4);
+    });
+    it('should parse isotopes', () => {
+      assert.strictEqual(SmilesParser.parseAtom('[13C]').isotope, 13);
+      assert.strictEqual(SmilesParser.parseAtom('[235U]').isotope, 235);
+      assert.isNull(SmilesParser.parseAtom('[C]').isotope);
+    });
+    it('should parse all charge notations', () => {
+      assert.strictEqual(SmilesParser.parseAtom('[O-]').charge, -1);
+      assert.strictEqual(SmilesParser.parseAtom('[NH4+]').charge, 1);
+      assert.strictEqual(SmilesParser.parseAtom('[Cu++]').charge, 2);
+      assert.strictEqual(SmilesParser.parseAtom('[O--]').charge, -2);
+      assert.strictEqual(SmilesParser.parseAtom('[Fe+3]').charge, 3);
+      assert.strictEqual(SmilesParser.parseAtom('[Ti-12]').charge, -12);
+      assert.strictEqual(SmilesParser.parseAtom('[C]').charge, 0);
+    });
+    it('should parse atom classes', () => {
+      assert.strictEqual(SmilesParser.parseAtom('[CH3:1]').atomClass, 1);
+      assert.strictEqual(SmilesParser.parseAtom('[NH2+:123]').atomClass, 123);
+    });
+    it('should parse two letters aromatic symbols', () => {
+      const se = SmilesParser.parseAtom('[se]');
+      assert.equal(se.symbol, 'Se');
+      assert.isTrue(se.aromatic);
+      const as = SmilesParser.parseAtom('[asH]');
+      assert.equal(as.symbol, 'As');
+      assert.strictEqual(as.hcount, 1);
+    });
+    it('should map tetrahedral chirality classes on @ and @@', () => {
+      assert.equal(SmilesParser.parseAtom('[C@TH1H]').stereo, SmilesParser.BondStereo.CLOCKWISE);
+      assert.equal(
+          SmilesParser.parseAtom('[C@TH2]').stereo, SmilesParser.BondStereo.COUNTER_CLOCKWISE);
+      assert.isTrue(SmilesParser.parseAtom('[C@@H]').chiralHydrogenNeighbour);
+    });
+    it('should accept other chirality classes', () => {
+      ['@AL1', '@SP3', '@TB1', '@TB20', '@OH1', '@OH30'].forEach(chirality => {
+        const atom = SmilesParser.parseAtom(`[Co${chirality}]`);
+        assert.equal(atom.symbol, 'Co');
+        assert.equal(atom.chirality, chirality);
+        assert.equal(atom.stereo, SmilesParser.BondStereo.NONE);
+      });
+    });
+    it('should reject unknown elements and chirality classes', () => {
+      assert.isNull(SmilesParser.parseAtom('[Xx]').symbol);
+      assert.isNull(SmilesParser.parseAtom('[C@TB21]').symbol);
+    });
+  });
+  describe('Test parse: ', () => {
+    it('should carry hydrogen count and atom class to the model', () => {
+      const mol = SmilesParser.parse('[CH3:1][C:2](=O)[OH]');
+      expect(mol).to.be.an.instanceOf(ModelMolecule);
+      assert.strictEqual(mol.atoms[0].hcount, 3);
+      assert.strictEqual(mol.atoms[0].atomClass, 1);
+      assert.strictEqual(mol.atoms[1].hcount, 0);
+      assert.strictEqual(mol.atoms[1].atomClass, 2);
+      assert.isNull(mol.atoms[2].hcount);
+      assert.strictEqual(mol.atoms[3].hcount, 1);
+    });
+    it('should honour explicit hydrogen counts of bracket atoms', () => {
+      const mol = SmilesParser.parse('C[CH]C[C]([NH3+])C');
+      assert.isFalse(mol.atoms[0].explicitHydrogens);
+      assert.equal(mol.atoms[0].hydrogenCount(), 3);
+      assert.isTrue(mol.atoms[1].explicitHydrogens);
+      assert.equal(mol.atoms[1].hydrogenCount(), 1);
+      assert.equal(mol.atoms[1].implicitHydrogenCount(), 2);
+      assert.equal(mol.atoms[3].hydrogenCount(), 0);
+      assert.equal(mol.atoms[4].hydrogenCount(), 3);
+    });
+    it('should parse charges and isotopes', () => {
+      const mol = SmilesParser.parse('[13CH3][N++]([O-])[O--]');
+      assert.strictEqual(mol.atoms[0].isotope, 13);
+      assert.strictEqual(mol.atoms[1].charge, 2);
+      assert.strictEqual(mol.atoms[2].charge, -1);
+      assert.strictEqual(mol.atoms[3].charge, -2);
+    });
+    it('should parse wildcard atoms', () => {
+      const mol = SmilesParser.parse('*C(*)[*]');
+      assert.equal(mol.countAtoms(), 4);
+      assert.equal(mol.atoms[0].symbol, '*');
+      assert.equal(mol.atoms[3].symbol, '*');
+    });
+    it('should start a new fragment after a dot', () => {
+      const mol = SmilesParser.parse('[Na+].[Cl-]');
+      assert.equal(mol.countAtoms(), 2);
+      assert.equal(mol.bonds.length, 0);
+    });
+    it('should accept ring bond orders at the opening or the closing digit', () => {
+      ['C=1CCCCC1', 'C1CCCCC=1', 'C=1CCCCC=1'].forEach(smi => {
+        const mol = SmilesParser.parse(smi);
+        const bond = mol.findBond(mol.atoms[0], mol.atoms[5]);
+        assert.equal(bond.order, ModelBond.ORDER.DOUBLE, smi);
+      });
+      assert.throws(() => SmilesParser.parse('C=1CCCCC#1'), /conflicting ring bonds/);
+    });
+    it('should record the neighbors order of tetrahedral centers', () => {
+      const mol = SmilesParser.parse('N[C@@H](C)C(=O)O');
+      const center = mol.atoms[1];
+      assert.equal(center.chirality, ModelAtom.CHIRALITY.CLOCKWISE);
+      assert.deepEqual(center.chiralityAtoms, [mol.atoms[0], null, mol.atoms[2], mol.atoms[3]]);
+      assert.equal(
+          center.getChirality([null, mol.atoms[0], mol.atoms[2], mol.atoms[3]]),
+          ModelAtom.CHIRALITY.ANTICLOCKWISE);
+    });
+    it('should throw on unknown atoms', () => {
+      assert.throws(() => SmilesParser.parse('C[Xx]C'), /unknown atom/);
+    });
+  });
+  describe('Test double bond configurations: ', () => {
+    it('should record bond directions', () => {
+      const mol = SmilesParser.parse('F/C=C\\F');
+      assert.equal(mol.bonds[0].direction, ModelBond.DIRECTION.UP);
+      assert.equal(mol.bonds[1].direction, ModelBond.DIRECTION.NONE);
+      assert.equal(mol.bonds[2].direction, ModelBond.DIRECTION.DOWN);
+      assert.equal(mol.bonds[0].order, ModelBond.ORDER.SINGLE);
+    });
+    it('should derive trans and cis configurations', () => {
+      const trans = SmilesParser.parse('F/C=C/F');
+      assert.equal(trans.bonds[1].configuration, ModelBond.CONFIGURATION.TRANS);
+      assert.deepEqual(trans.bonds[1].configurationAtoms, [trans.atoms[0], trans.atoms[3]]);
+      const cis = SmilesParser.parse('F/C=C\\F');
+      assert.equal(cis.bonds[1].configuration, ModelBond.CONFIGURATION.CIS);
+    });
+    it('should handle directions written inside branches', () => {
+      assert.equal(
+          SmilesParser.parse('C(\\F)=C/F').bonds[1].configuration, ModelBond.CONFIGURATION.TRANS);
+      assert.equal(
+          SmilesParser.parse('C(/F)=C/F').bonds[1].configuration, ModelBond.CONFIGURATION.CIS);
+    });
+    it('should handle directions on ring closures', () => {
+      const doubleBond = mol => mol.bonds.find(b => b.order === ModelBond.ORDER.DOUBLE);
+      const opening = SmilesParser.parse('F/C=C/1CCCC1');
+      assert.equal(doubleBond(opening).configuration, ModelBond.CONFIGURATION.TRANS);
+      const closing = SmilesParser.parse('F/C=C1CCCC\\1');
+      assert.equal(doubleBond(closing).configuration, ModelBond.CONFIGURATION.TRANS);
+      const cis = SmilesParser.parse('F/C=C1CCCC/1');
+      assert.equal(doubleBond(cis).configuration, ModelBond.CONFIGURATION.CIS);
+    });
+    it('should ignore double bonds without directional neighbors', () => {
+      const mol = SmilesParser.parse('F/C=C(F)F');
+      assert.equal(mol.bonds[1].configuration, ModelBond.CONFIGURATION.NONE);
+    });
+    it('should give the configuration relative to other neighbors', () => {
+      const mol = SmilesParser.parse('F/C(Cl)=C/F');
+      const bond = mol.bonds[2];
+      assert.equal(bond.getConfiguration(mol.atoms[0], mol.atoms[4]), ModelBond.CONFIGURATION.TRANS);
+      assert.equal(bond.getConfiguration(mol.atoms[2], mol.atoms[4]), ModelBond.CONFIGURATION.CIS);
+    });
+  });
+  describe('Test parseReaction: ', () => {
+    it('should read reactants, agents and products', () => {
+      const reaction = SmilesParser.parseReaction('CC(=O)O.OCC>[H+]>CC(=O)OCC esterification');
+      assert.equal(reaction.name, 'esterification');
+      assert.deepEqual(reaction.reactants.map(mol => mol.atoms.length), [4, 3]);
+      assert.lengthOf(reaction.agents, 1);
+      assert.equal(reaction.agents[0].atoms[0].charge, 1);
+      assert.lengthOf(reaction.products, 1);
+      assert.lengthOf(reaction.products[0].atoms, 6);
+    });
+    it('should read atom map numbers', () => {
+      const reaction = SmilesParser.parseReaction('[CH3:1][OH:2]>>[CH2:1]=[O:2]');
+      const map = reaction.getAtomMap();
+      assert.deepEqual(Array.from(map.keys()), [1, 2]);
+      assert.equal(map.get(1).reactants[0], reaction.reactants[0].atoms[0]);
+      assert.equal(map.get(1).products[0], reaction.products[0].atoms[0]);
+      assert.deepEqual(reaction.getMappedAtoms(reaction.products[0].atoms[1]), [reaction.reactants[0].atoms[1]]);
+    });
+    it('should accept empty parts', () => {
+      const reaction = SmilesParser.parseReaction('>>C');
+      assert.lengthOf(reaction.reactants, 0);
+      assert.lengthOf(reaction.agents, 0);
+      assert.lengthOf(reaction.products, 1);
+    });
+    it('should throw on invalid reactions', () => {
+      assert.throws(() => SmilesParser.parseReaction('CC>O'), /reactants>agents>products/);
+      assert.throws(() => SmilesParser.parse('CC>>O'), /use SmilesParser.parseReaction/);
+    });
+  });
+});
@@ -0,0 +1,144 @@
+'use strict';
+
+const assert = require('chai').assert;
+
+const ModelAtom = require('../src/model/atom');
+const ModelBond = require('../src/model/bond');
+const ModelMolecule = require('../src/model/molecule');
+const SmilesParser = require('../src/io/smiles_parser');
+const SmilesWriter = require('../src/io/smiles_writer');
+const ringAromaticity = require('../src/ring/aromaticity');
+const utils = require('./utils');
+
+const write = (smi, optOptions) => new SmilesWriter(SmilesParser.parse(smi), optOptions).toSmiles();
+const canonical = smi => write(smi, {canonical: true});
+const hydrogens = mol => mol.atoms.map(atom => atom.hydrogenCount());
+const assertSameCanonical = group => {
+  const expected = canonical(group[0]);
+  group.forEach(smi => assert.equal(canonical(smi), expected, smi));
+  assert.equal(canonical(expected), expected);
+};
+
+describe('Test io/smiles_writer module:', () => {
+  describe('Test toSmiles: ', () => {
+    it('should round trip simple molecules', () => {
+      ['CCO', 'CC(C)(C)O', 'C#N', 'C=CC=O', 'CC(=O)O', 'ClC(Br)I', '*CC*'].forEach(
+          smi => assert.equal(write(smi), smi));
+    });
+    it('should write charges, isotopes, explicit hydrogens and atom classes', () => {
+      assert.equal(write('[13CH3][N+](=O)[O-]'), '[13CH3][N+](=O)[O-]');
+      assert.equal(write('[Fe+3].[O-2]'), '[Fe+3].[O-2]');
+      assert.equal(write('[CH3:1][C:2](=O)O'), '[CH3:1][C:2](=O)O');
+      assert.equal(write('[CH2]C'), '[CH2]C');
+      assert.equal(write('[NH4+]'), '[NH4+]');
+    });
+    it('should write rings and aromatic atoms', () => {
+      assert.equal(write('C1CCCCC1'), 'C1CCCCC1');
+      assert.equal(write('c1ccccc1'), 'c1ccccc1');
+      assert.equal(write('c1ccc2ccccc2c1'), 'c1ccc2ccccc2c1');
+      assert.equal(write('C1CC2CCC1CC2'), 'C1CC2CCC1CC2');
+      assert.equal(write('c1ccccc1-c1ccccc1'), 'c1ccccc1-c1ccccc1');
+    });
+    it('should keep the hydrogens of aromatic nitrogens', () => {
+      assert.equal(write('c1cc[nH]c1'), 'c1cc[nH]c1');
+      assert.equal(write('c1ccc2[nH]ccc2c1'), 'c1ccc2[nH]ccc2c1');
+      assert.equal(write('c1ncc[nH]1'), 'c1ncc[nH]1');
+      assert.equal(write('c1ccncc1'), 'c1ccncc1');
+      assert.equal(write('Cn1cccc1'), 'Cn1cccc1');
+      ['c1cc[nH]c1', 'c1ccc2[nH]ccc2c1'].forEach(smi => {
+        const mol = SmilesParser.parse(write(smi));
+        assert.isTrue(ringAromaticity.kekulize(mol));
+        assert.deepEqual(hydrogens(mol), hydrogens(SmilesParser.parse(smi)));
+      });
+    });
+    it('should write ring bond orders at the closing digit', () => {
+      assert.equal(write('C=1CCCCC1'), 'C1CCCCC=1');
+    });
+    it('should reuse ring closure digits', () => {
+      assert.equal(write('C1CC1C1CC1'), 'C1CC1C1CC1');
+    });
+    it('should write double bond configurations', () => {
+      ['F/C=C/F', 'F/C=C\\F', 'F/C=C/C=C/C', 'C/C=C(/F)Cl'].forEach(smi => {
+        const mol = SmilesParser.parse(write(smi));
+        const expected = SmilesParser.parse(smi);
+        expected.bonds.forEach((bond, i) => {
+          assert.equal(mol.bonds[i].configuration, bond.configuration, smi);
+        });
+      });
+      assert.equal(write('F/C=C/F'), 'F/C=C/F');
+      assert.equal(write('F/C=C\\F'), 'F/C=C\\F');
+    });
+    it('should write tetrahedral stereo for the written neighbor order', () => {
+      assert.equal(write('N[C@@H](C)C(=O)O'), 'N[C@@H](C)C(=O)O');
+      assert.equal(write('N[C@H](C)C(=O)O'), 'N[C@H](C)C(=O)O');
+      assert.equal(write('C[C@](F)(Cl)Br'), 'C[C@](F)(Cl)Br');
+      assert.equal(write('C[C@H]1CCCC[C@@H]1O'), 'C[C@H]1CCCC[C@@H]1O');
+      // L-alanine starting from the methyl
+      assert.equal(canonical('N[C@@H](C)C(=O)O'), 'C[C@H](N)C(=O)O');
+    });
+    it('should perceive tetrahedral stereo from wedge bonds', () => {
+      const mol = new ModelMolecule();
+      const center = new ModelAtom('C', 0, 0);
+      const fluorine = new ModelAtom('F', 0, -1);
+      [center, fluorine, new ModelAtom('Cl', -0.87, 0.5), new ModelAtom('Br', 0.87, 0.5)].forEach(
+          atom => mol.addAtom(atom));
+      const wedge = new ModelBond(center, fluorine, ModelBond.ORDER.SINGLE, ModelBond.STEREO.UP);
+      mol.addBond(wedge);
+      mol.addBond(new ModelBond(center, mol.atoms[2]));
+      mol.addBond(new ModelBond(center, mol.atoms[3]));
+      assert.equal(new SmilesWriter(mol).toSmiles(), '[C@@H](F)(Cl)Br');
+      wedge.stereo = ModelBond.STEREO.DOWN;
+      assert.equal(new SmilesWriter(mol).toSmiles(), '[C@H](F)(Cl)Br');
+      wedge.stereo = ModelBond.STEREO.NOT_STEREO;
+      assert.equal(new SmilesWriter(mol).toSmiles(), 'C(F)(Cl)Br');
+    });
+    it('should write a molecule without stereo from chemdoodle json', () => {
+      const mol = utils.moleculeFromObject(
+          {a: [{x: 0, y: 0}, {x: 1, y: 0}, {x: 2, y: 0, l: 'O'}], b: [{b: 0, e: 1}, {b: 1, e: 2}]});
+      assert.equal(new SmilesWriter(mol).toSmiles(), 'CCO');
+    });
+  });
+  describe('Test canonical ordering: ', () => {
+    it('should give identical strings for identical structures', () => {
+      [['CCO', 'OCC', 'C(O)C'], ['Oc1ccccc1C(O)=O', 'OC(=O)c1ccccc1O', 'c1cc(O)c(C(=O)O)cc1'],
+       ['C1CCCCC1Oc1ccccc1', 'c1ccccc1OC1CCCCC1'], ['[NH4+].[Cl-]', '[Cl-].[NH4+]'],
+       ['F/C=C/Cl', 'Cl/C=C/F', 'F\\C=C\\Cl'], ['N[C@@H](C)C(=O)O', 'OC(=O)[C@@H](N)C', 'C[C@H](N)C(=O)O']]
+          .forEach(group => {
+            const expected = canonical(group[0]);
+            group.forEach(smi => assert.equal(canonical(smi), expected, smi));
+          });
+    });
+    it('should distinguish stereoisomers', () => {
+      assert.notEqual(canonical('F/C=C/F'), canonical('F/C=C\\F'));
+      assert.notEqual(canonical('N[C@@H](C)C(=O)O'), canonical('N[C@H](C)C(=O)O'));
+      assert.notEqual(canonical('F[C@H]1CC[C@@H](Cl)CC1'), canonical('F[C@H]1CC[C@H](Cl)CC1'));
+      assert.notEqual(canonical('C/C=C/C=C\\C'), canonical('C/C=C/C=C/C'));
+    });
+    it('should give identical strings for equivalent stereo SMILES', () => {
+      [['C/C=C/C=C\\C', 'C/C=C\\C=C\\C', 'C\\C=C\\C=C/C'],
+       ['F[C@H]1CC[C@@H](Cl)CC1', 'F[C@@H]1CC[C@H](Cl)CC1', 'Cl[C@H]1CC[C@@H](F)CC1'],
+       ['F[C@H]1CC[C@H](Cl)CC1', 'F[C@@H]1CC[C@@H](Cl)CC1'], ['C[C@H](C)O', 'C[C@@H](C)O']]
+          .forEach(assertSameCanonical);
+    });
+    it('should be stable when written twice', () => {
+      ['CC(C)c1ccc(cc1)C(C)C(=O)O', 'C1CC2CCC1CC2', 'c1ccc2ccccc2c1'].forEach(smi => {
+        const once = canonical(smi);
+        assert.equal(canonical(once), once);
+      });
+    });
+    it('should rank symmetric atoms distinctly', () => {
+      const ranks = SmilesWriter.canonicalRanks(SmilesParser.parse('c1ccccc1'));
+      assert.sameMembers(ranks, [1, 2, 3, 4, 5, 6]);
+    });
+  });
+  describe('Test writeReaction: ', () => {
+    it('should write the parts and atom map numbers', () => {
+      const smi = '[CH3:1][OH:2].O>[Cu]>[CH2:1]=[O:2] oxidation';
+      assert.equal(SmilesWriter.writeReaction(SmilesParser.parseReaction(smi)), smi);
+    });
+    it('should sort the molecules of each part with canonical output', () => {
+      const write = smi => SmilesWriter.writeReaction(SmilesParser.parseReaction(smi), {canonical: true});
+      assert.equal(write('OCC.CC(=O)O>>O.CC(=O)OCC'), write('CC(O)=O.CCO>>CCOC(C)=O.O'));
+    });
+  });
+});
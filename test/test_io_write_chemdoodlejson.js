@@ -2,6 +2,8 @@
 
 const assert = require('chai').assert;
 const testUtils = require('./utils');
+const ModelAtom = require('../src/model/atom');
+const ModelBond = require('../src/model/bond');
 const ChemJsonWriter = require('../src/io/write_chemdoodlejson.js');
 
 const atom = testUtils.atom();
@@ -13,6 +15,15 @@ describe('Test io/write_chemdoodlejson module', () => {
     it('convert ModelAtom to a js object',
        () => { assert.deepEqual(ChemJson.processAtom(atom), {l: 'C', x: 0, y: 0, c: 0}); });
   });
+  describe('process_atom with explicit hydrogens', () => {
+    it('should write the hydrogen count only when explicit', () => {
+      const carbene = testUtils.atom();
+      carbene.setHydrogenCount(2);
+      assert.deepEqual(ChemJson.processAtom(carbene), {l: 'C', x: 0, y: 0, c: 0, h: 2});
+      carbene.setHydrogenCount(null);
+      assert.deepEqual(ChemJson.processAtom(carbene), {l: 'C', x: 0, y: 0, c: 0});
+    });
+  });
   describe('processBond', () => {
     it('convert ModelBond from a molecule to a js object', () => {
       assert.deepEqual(
@@ -27,4 +38,33 @@ describe('Test io/write_chemdoodlejson module', () => {
       assert.strictEqual(res.s.length, 0);
     });
   });
+  describe('processAtom with isotope and radical', () => {
+    it('should write the mass and the radical electrons when set', () => {
+      const radical = testUtils.atom('C');
+      radical.isotope = 13;
+      radical.radical = ModelAtom.RADICAL.DOUBLET;
+      assert.deepEqual(ChemJson.processAtom(radical), {l: 'C', x: 0, y: 0, c: 0, m: 13, r: 1});
+      radical.radical = ModelAtom.RADICAL.SINGLET;
+      assert.deepEqual(ChemJson.processAtom(radical), {l: 'C', x: 0, y: 0, c: 0, m: 13, r: 2, sm: 1});
+    });
+  });
+  describe('processBond with aromatic and stereo bonds', () => {
+    it('should write aromatic bonds with order 1.5 and wedges as protruding', () => {
+      const mol = testUtils.moleculeFromSmiles('c1ccccc1');
+      assert.strictEqual(ChemJson.processBond(mol.bonds[0], mol).o, 1.5);
+      const wedge = testUtils.molecule();
+      wedge.bonds[0].stereo = ModelBond.STEREO.UP;
+      assert.equal(ChemJson.processBond(wedge.bonds[0], wedge).s, 'protruding');
+    });
+  });
+  describe('processMolecule with several molecules and shapes', () => {
+    it('should write a document with all molecules and shapes', () => {
+      const arrow = {t: 'Arrow', x1: 0, y1: 0, x2: 10, y2: 0, a: 'synthetic'};
+      const json = new ChemJsonWriter([molecule, testUtils.moleculeFromSmiles('N')], [arrow]).toJson();
+      const obj = JSON.parse(json);
+      assert.lengthOf(obj.m, 2);
+      assert.equal(obj.m[1].a[0].l, 'N');
+      assert.deepEqual(obj.s, [arrow]);
+    });
+  });
 });
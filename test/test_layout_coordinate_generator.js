@@ -0,0 +1,101 @@
+'use strict';
+
+const assert = require('chai').assert;
+
+const ModelAtom = require('../src/model/atom');
+const ModelBond = require('../src/model/bond');
+const CoordinateGenerator = require('../src/layout/coordinate_generator');
+const stereoTetrahedral = require('../src/stereo/tetrahedral');
+const testUtils = require('./utils');
+
+/**
+ * Chirality of a stereocenter perceived from its wedge and coordinates, for the order of the
+ * chirality atoms of the model
+ */
+const depictedChirality = function(atom) {
+  const perceived = stereoTetrahedral.perceive(atom);
+  return perceived ?
+      ModelAtom.permuteChirality(perceived.chirality, perceived.atoms, atom.chiralityAtoms) :
+      ModelAtom.CHIRALITY.NONE;
+};
+
+/**
+ * Depicted configuration of a double bond relative to its configuration atoms
+ */
+const depictedConfiguration = function(bond) {
+  const sourceSide = CoordinateGenerator.sideOfBond(bond, bond.configurationAtoms[0].coord);
+  const targetSide = CoordinateGenerator.sideOfBond(bond, bond.configurationAtoms[1].coord);
+  return sourceSide === targetSide ? ModelBond.CONFIGURATION.CIS : ModelBond.CONFIGURATION.TRANS;
+};
+
+describe('Test layout/coordinate_generator module:', () => {
+  describe('Test placeDoubleBondConfigurations: ', () => {
+    [['F/C=C/F', ModelBond.CONFIGURATION.TRANS], ['F/C=C\\F', ModelBond.CONFIGURATION.CIS],
+     ['CC/C=C\\CC', ModelBond.CONFIGURATION.CIS], ['CCC/C=C/CCC', ModelBond.CONFIGURATION.TRANS],
+     ['C/C(Cl)=C(\\F)CCC', ModelBond.CONFIGURATION.CIS],
+     ['F/C=C/1CCCC1', ModelBond.CONFIGURATION.TRANS]]
+        .forEach(test => {
+          it(`should depict ${test[0]} with the encoded geometry`, () => {
+            const mol = testUtils.moleculeFromSmiles(test[0]);
+            const bond = mol.bonds.find(b => b.order === ModelBond.ORDER.DOUBLE);
+            assert.equal(bond.configuration, test[1]);
+            assert.equal(depictedConfiguration(bond), test[1]);
+          });
+        });
+    it('should keep the configuration of conjugated double bonds', () => {
+      const mol = testUtils.moleculeFromSmiles('C/C=C/C=C\\C');
+      const bonds = mol.bonds.filter(b => b.order === ModelBond.ORDER.DOUBLE);
+      assert.equal(depictedConfiguration(bonds[0]), ModelBond.CONFIGURATION.TRANS);
+      assert.equal(depictedConfiguration(bonds[1]), ModelBond.CONFIGURATION.CIS);
+    });
+  });
+  describe('Test placeWedge: ', () => {
+    ['C[C@@H](N)C(=O)O', 'N[C@@H](C)C(=O)O', 'C[C@H](N)C(=O)O', 'F[C@](Cl)(Br)I', '[H][C@](F)(Cl)Br',
+     'C[C@H]1CCCC[C@@H]1O', 'F[C@H]1CC[C@@H](Cl)CC1', 'OC[C@@H](O)[C@@H](O)[C@H](O)[C@H](O)C=O']
+        .forEach(smiles => {
+          it(`should wedge ${smiles} with the parsed chirality`, () => {
+            const centers = testUtils.moleculeFromSmiles(smiles).atoms
+                .filter(atom => atom.chirality !== ModelAtom.CHIRALITY.NONE);
+            assert.isAbove(centers.length, 0);
+            centers.forEach(atom => assert.equal(depictedChirality(atom), atom.chirality));
+          });
+        });
+    it('should keep the chirality of former wedges in new coordinates', () => {
+      const mol = testUtils.moleculeFromSmiles('C[C@@H](N)C(=O)O');
+      const center = mol.atoms[1];
+      const chirality = center.chirality;
+      const atoms = center.chiralityAtoms;
+      center.setChirality(ModelAtom.CHIRALITY.NONE, null);
+      // the mirror image of the coordinates with the opposite wedge is the same molecule
+      mol.atoms.forEach(atom => {
+        atom.coord.x = -atom.coord.x;
+      });
+      const wedge = mol.bonds.find(bond => bond.stereo !== ModelBond.STEREO.NOT_STEREO);
+      wedge.stereo = wedge.stereo === ModelBond.STEREO.UP ? ModelBond.STEREO.DOWN : ModelBond.STEREO.UP;
+      CoordinateGenerator.generate(mol);
+      assert.equal(ModelAtom.permuteChirality(center.chirality, center.chiralityAtoms, atoms), chirality);
+      assert.equal(depictedChirality(center), center.chirality);
+    });
+  });
+  describe('Test generateFragments: ', () => {
+    it('should place the components of a salt side by side', () => {
+      const mol = testUtils.moleculeFromSmiles('C[N+](C)(C)C.[Cl-]');
+      const cation = mol.atoms.slice(0, 5);
+      const chloride = mol.atoms[5];
+      const right = Math.max.apply(null, cation.map(atom => atom.coord.x));
+      assert.isAtLeast(chloride.coord.x - right, 2 * CoordinateGenerator.bondLength - 1e-9);
+      assert.closeTo(chloride.coord.y, 0, 1e-9);
+      const bond = Math.hypot(mol.atoms[1].coord.x - mol.atoms[0].coord.x, mol.atoms[1].coord.y - mol.atoms[0].coord.y);
+      assert.closeTo(bond, CoordinateGenerator.bondLength, 1e-9);
+      assert.isTrue(mol.atoms.every(atom => atom.molecule === mol));
+    });
+  });
+  describe('Test reflect: ', () => {
+    it('should reflect atoms through a line', () => {
+      const mol = testUtils.molecule('C', 0, 0, 'O', 1, 1);
+      CoordinateGenerator.reflect([mol.atoms[1]], {x: 0, y: 0}, {x: 1, y: 0});
+      assert.closeTo(mol.atoms[1].coord.x, 1, 1e-9);
+      assert.closeTo(mol.atoms[1].coord.y, -1, 1e-9);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+'use strict';
+
+const assert = require('chai').assert;
+
+const SmilesParser = require('../src/io/smiles_parser');
+const SubstructureMatcher = require('../src/query/substructure');
+
+const count = (smarts, smiles, options) =>
+    new SubstructureMatcher(smarts).findAll(SmilesParser.parse(smiles), options).length;
+
+describe('Test query/substructure module:', () => {
+  describe('Test findAll: ', () => {
+    it('should return atoms and bonds in query order', () => {
+      const mol = SmilesParser.parse('CC(=O)O');
+      const mappings = new SubstructureMatcher('O=CO').findAll(mol);
+      assert.lengthOf(mappings, 1);
+      assert.deepEqual(mappings[0].atoms, [mol.atoms[2], mol.atoms[1], mol.atoms[3]]);
+      assert.deepEqual(mappings[0].bonds, [mol.bonds[1], mol.bonds[2]]);
+    });
+    it('should return all mappings or unique atom sets', () => {
+      assert.equal(count('c1ccccc1', 'c1ccccc1'), 12);
+      assert.equal(count('c1ccccc1', 'c1ccccc1', {unique: true}), 1);
+      assert.equal(count('C~*', 'CC#N'), 3);
+      assert.equal(count('*', 'CCO', {limit: 2}), 2);
+    });
+    it('should match disconnected queries', () => {
+      assert.equal(count('C.O', 'CCO'), 2);
+      assert.equal(count('N.N', 'CCN'), 0);
+    });
+  });
+  describe('Test atom primitives: ', () => {
+    it('should match elements, atomic numbers and aromaticity', () => {
+      assert.equal(count('[#6]', 'Cc1ccccc1'), 7);
+      assert.equal(count('C', 'Cc1ccccc1'), 1);
+      assert.equal(count('[c,n;a]', 'c1ccncc1'), 6);
+      assert.equal(count('[!#6]', 'CCO'), 1);
+    });
+    it('should match counts of connections and hydrogens', () => {
+      assert.equal(count('[CX3](=O)[OX2H1]', 'CC(=O)O'), 1);
+      assert.equal(count('[D1]', 'CC(C)C'), 3);
+      assert.equal(count('[#7,#8;!H0]', 'NCCOC'), 1);
+      assert.equal(count('[NH2+]', 'C[NH2+]C'), 1);
+      assert.equal(count('[v4]', 'CC(=O)O'), 2);
+      assert.equal(count('[OH1]', 'O([H])C'), 1);
+      assert.equal(count('[Oh1]', 'O([H])C'), 0);
+      assert.equal(count('[Oh1]', 'OC'), 1);
+    });
+    it('should count the valence of aromatic atoms from the Kekulé structure', () => {
+      assert.equal(count('[ov2]', 'c1ccoc1'), 1);
+      assert.equal(count('[sv2]', 'c1ccsc1'), 1);
+      assert.equal(count('[nv3]', 'c1cc[nH]c1'), 1);
+      assert.equal(count('[cv4]', 'c1cc[nH]c1'), 4);
+      assert.equal(count('[nv3]', 'c1ccncc1'), 1);
+    });
+    it('should match ring properties', () => {
+      assert.equal(count('[R]', 'C1CC1C'), 3);
+      assert.equal(count('[R0]', 'C1CC1C'), 1);
+      assert.equal(count('[R2]', 'C1CCC2CCCCC2C1'), 2);
+      assert.equal(count('[C;r3]', 'C1CC1CC2CCCC2'), 3);
+      assert.equal(count('[x3]', 'C1CCC2CCCCC2C1'), 2);
+    });
+    it('should match charges and isotopes', () => {
+      assert.equal(count('[13C]', 'C[13CH3]'), 1);
+      assert.equal(count('[O-]', 'CC(=O)[O-]'), 1);
+      assert.equal(count('[N+](=O)[O-]', 'C[N+](=O)[O-]'), 1);
+    });
+    it('should match recursive SMARTS', () => {
+      assert.equal(count('[$(C=O)]', 'CC(=O)O'), 1);
+      assert.equal(count('[O;$(OC=O)]', 'CC(=O)OCC'), 1);
+      assert.equal(count('[C;!$(C=O)]', 'CC(=O)O'), 1);
+    });
+  });
+  describe('Test bond primitives: ', () => {
+    it('should match bond orders, aromatic and ring bonds', () => {
+      assert.equal(count('C=C', 'C=CC', {unique: true}), 1);
+      assert.equal(count('C-C', 'C=CC', {unique: true}), 1);
+      assert.equal(count('c:c', 'c1ccccc1', {unique: true}), 6);
+      assert.equal(count('*@*', 'C1CC1C', {unique: true}), 3);
+      assert.equal(count('*!@*', 'C1CC1C', {unique: true}), 1);
+      assert.equal(count('C#N', 'CC#N'), 1);
+    });
+  });
+  describe('Test aromaticity: ', () => {
+    it('should match aromatic queries on Kekulé structures', () => {
+      assert.equal(count('c1ccccc1', 'C1=CC=CC=C1', {unique: true}), 1);
+      assert.equal(count('a', 'CC1=CC=CC=C1'), 6);
+      assert.equal(count('c:c', 'C1=CC=CC=C1', {unique: true}), 6);
+      assert.equal(count('C=C', 'C1=CC=CC=C1'), 0);
+      assert.equal(count('[nH]1cccc1', 'N1C=CC=C1', {unique: true}), 1);
+      assert.equal(count('a', 'C1=CC=CCC1'), 0);
+    });
+    it('should leave the flags of the molecule', () => {
+      const mol = SmilesParser.parse('C1=CC=CC=C1');
+      new SubstructureMatcher('c1ccccc1').findAll(mol);
+      assert.isTrue(mol.atoms.every(atom => !atom.aromatic));
+      assert.isTrue(mol.bonds.every(bond => !bond.aromatic));
+    });
+  });
+  describe('Test matches: ', () => {
+    it('should tell if the query is found', () => {
+      const matcher = new SubstructureMatcher('[N+](=O)[O-]');
+      assert.isTrue(matcher.matches(SmilesParser.parse('c1ccccc1[N+](=O)[O-]')));
+      assert.isFalse(matcher.matches(SmilesParser.parse('c1ccccc1N')));
+    });
+  });
+  describe('Test ringBonds: ', () => {
+    it('should find bonds which are not bridges', () => {
+      const mol = SmilesParser.parse('C12CC(C1)C2C');
+      assert.equal(SubstructureMatcher.ringBonds(mol).size, 6);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+'use strict';
+
+const assert = require('chai').assert;
+
+const ModelBond = require('../src/model/bond');
+const SmilesParser = require('../src/io/smiles_parser');
+const SmilesWriter = require('../src/io/smiles_writer');
+const MolfileParser = require('../src/io/molfile_parser');
+const MolfileWriter = require('../src/io/molfile_writer');
+const CmlParser = require('../src/io/cml_parser');
+const CmlWriter = require('../src/io/cml_writer');
+const JSONParser = require('../src/io/json_parser');
+const WriteChemdoodleJson = require('../src/io/write_chemdoodlejson');
+const ringAromaticity = require('../src/ring/aromaticity');
+
+const doubleBonds = mol => mol.bonds.filter(b => b.order === ModelBond.ORDER.DOUBLE);
+const doubleBondCount = atom => atom.getBonds().filter(b => b.order === ModelBond.ORDER.DOUBLE).length;
+const hydrogens = mol => mol.atoms.map(atom => atom.hydrogenCount());
+const aromaticCyclopentane = () => {
+  const mol = SmilesParser.parse('C1CCCC1');
+  mol.atoms.forEach(atom => {
+    atom.aromatic = true;
+  });
+  mol.bonds.forEach(bond => {
+    bond.aromatic = true;
+  });
+  return mol;
+};
+const aromaticCount = smiles => ringAromaticity.perceive(SmilesParser.parse(smiles));
+
+describe('Test ring/aromaticity module:', () => {
+  describe('Test kekulize: ', () => {
+    it('should give one double bond to each aromatic carbon', () => {
+      const mol = SmilesParser.parse('c1ccccc1');
+      assert.lengthOf(doubleBonds(mol), 3);
+      assert.deepEqual(mol.atoms.map(doubleBondCount), [1, 1, 1, 1, 1, 1]);
+      assert.isTrue(mol.bonds.every(b => b.aromatic));
+      assert.deepEqual(hydrogens(mol), [1, 1, 1, 1, 1, 1]);
+    });
+    it('should fix the hydrogen counts of heteroaromatic rings', () => {
+      assert.deepEqual(hydrogens(SmilesParser.parse('c1ccncc1')), [1, 1, 1, 0, 1, 1]);
+      assert.deepEqual(hydrogens(SmilesParser.parse('c1cc[nH]c1')), [1, 1, 1, 1, 1]);
+      assert.deepEqual(hydrogens(SmilesParser.parse('Cn1cccc1')), [3, 0, 1, 1, 1, 1]);
+      assert.deepEqual(hydrogens(SmilesParser.parse('c1ccsc1')), [1, 1, 1, 0, 1]);
+      assert.deepEqual(hydrogens(SmilesParser.parse('O=c1cc[nH]cc1')), [0, 0, 1, 1, 1, 1, 1]);
+      assert.deepEqual(hydrogens(SmilesParser.parse('c1cc[n+](C)cc1')), [1, 1, 1, 0, 3, 1, 1]);
+    });
+    it('should kekulize fused and substituted systems', () => {
+      assert.lengthOf(doubleBonds(SmilesParser.parse('c1ccc2ccccc2c1')), 5);
+      assert.lengthOf(doubleBonds(SmilesParser.parse('c1ccc2[nH]ccc2c1')), 4);
+      assert.lengthOf(doubleBonds(SmilesParser.parse('c1ccc2cccc2cc1')), 5);
+      const mol = SmilesParser.parse('Cc1ccccc1C(=O)O');
+      assert.lengthOf(doubleBonds(mol), 4);
+      assert.equal(mol.atoms[0].hydrogenCount(), 3);
+    });
+    it('should keep single bonds for systems without Kekulé structure', () => {
+      const mol = aromaticCyclopentane();
+      assert.isFalse(ringAromaticity.kekulize(mol));
+      assert.lengthOf(doubleBonds(mol), 0);
+      assert.isTrue(ringAromaticity.kekulize(SmilesParser.parse('c1ccccc1')));
+    });
+    it('should make the readers throw on systems without Kekulé structure', () => {
+      const error = /aromatic system without Kekulé structure/;
+      const mol = aromaticCyclopentane();
+      assert.throws(() => SmilesParser.parse('c1cccc1'), error);
+      assert.throws(() => SmilesParser.parse('Cc1cccc1C'), error);
+      assert.throws(() => new MolfileParser(new MolfileWriter(mol).toMolfile()).parseMolecule(), error);
+      assert.throws(() => new MolfileParser(new MolfileWriter(mol, {version: 'V3000'}).toMolfile()).parseMolecule(),
+                    error);
+      assert.throws(() => new CmlParser(new CmlWriter(mol).toCml()).parseMolecule(), error);
+      assert.throws(() => new JSONParser(new WriteChemdoodleJson(mol).toJson()).parseDocument(), error);
+    });
+    it('should kekulize aromatic bonds of molfiles', () => {
+      const molfile = new MolfileWriter(SmilesParser.parse('c1ccncc1')).toMolfile();
+      const mol = new MolfileParser(molfile).parseMolecule();
+      assert.lengthOf(doubleBonds(mol), 3);
+      assert.deepEqual(hydrogens(mol), [1, 1, 1, 0, 1, 1]);
+    });
+  });
+  describe('Test perceive: ', () => {
+    it('should find 4n+2 rings of Kekulé structures', () => {
+      assert.equal(aromaticCount('C1=CC=CC=C1'), 6);
+      assert.equal(aromaticCount('C1=CNC=C1'), 5);
+      assert.equal(aromaticCount('C1=COC=C1'), 5);
+      assert.equal(aromaticCount('O=C1C=CNC=C1'), 6);
+      assert.equal(aromaticCount('CC1=CC=CC=C1'), 6);
+    });
+    it('should reject rings which are not aromatic', () => {
+      assert.equal(aromaticCount('C1=CC=CCC1'), 0);
+      assert.equal(aromaticCount('C1=CCC=C1'), 0);
+      assert.equal(aromaticCount('C1=CC=CC=CC=C1'), 0);
+      assert.equal(aromaticCount('O=C1C=CC(=O)C=C1'), 0);
+      assert.equal(aromaticCount('C1CCCCC1'), 0);
+    });
+    it('should find fused aromatic rings', () => {
+      assert.equal(aromaticCount('C1=CC=C2C=CC=CC2=C1'), 10);
+      assert.equal(aromaticCount('C1=CC2=CC=CC=CC2=C1'), 10);
+      assert.equal(aromaticCount('C1=CC=C2C(=C1)C=CN2'), 9);
+    });
+    it('should write aromatic SMILES of perceived molecules', () => {
+      const mol = SmilesParser.parse('OC(=O)C1=CC=CC=C1');
+      ringAromaticity.perceive(mol);
+      assert.equal(new SmilesWriter(mol).toSmiles(), 'OC(=O)c1ccccc1');
+      assert.isTrue(mol.bonds.filter(b => b.aromatic).every(b => mol.isBondInRing(b)));
+    });
+  });
+});
@@ -0,0 +1,41 @@
+'use strict';
+
+const assert = require('chai').assert;
+const xml = require('../src/utils/xml');
+
+describe('Test utils/xml module', () => {
+  describe('parse a xml document', () => {
+    it('should return the tree of elements with attributes and text', () => {
+      const root = xml.parse('<?xml version="1.0"?>\n<!DOCTYPE a>\n<a x="1" y=\'2\'><b/><!-- c --><c>text</c></a>');
+      assert.equal(root.name, 'a');
+      assert.deepEqual(root.attributes, {x: '1', y: '2'});
+      assert.deepEqual(root.children.map(child => child.name), ['b', 'c']);
+      assert.equal(root.children[1].text, 'text');
+    });
+    it('should remove namespace prefixes and xmlns attributes', () => {
+      const root = xml.parse('<cml:a xmlns:cml="urn:x" xmlns="urn:y" cml:b="1"><cml:c/></cml:a>');
+      assert.equal(root.name, 'a');
+      assert.deepEqual(root.attributes, {b: '1'});
+      assert.equal(root.children[0].name, 'c');
+    });
+    it('should replace entities and keep CDATA text', () => {
+      const root = xml.parse('<a b="&lt;&amp;&#65;&#x42;">&quot;x&apos;<![CDATA[<&>]]></a>');
+      assert.equal(root.attributes.b, '<&AB');
+      assert.equal(root.text, '"x\'<&>');
+    });
+    it('should throw on malformed documents', () => {
+      assert.throws(() => xml.parse('<a><b></a>'), /unexpected closing tag a/);
+      assert.throws(() => xml.parse('<a>'), /unclosed element a/);
+      assert.throws(() => xml.parse('<a/><b/>'), /more than one root element/);
+      assert.throws(() => xml.parse('text'), /text outside of the root element/);
+      assert.throws(() => xml.parse(''), /no root element/);
+      assert.throws(() => xml.parse('<a>&nbsp;</a>'), /unknown entity &nbsp;/);
+    });
+  });
+  describe('escape text', () => {
+    it('should escape markup characters', () => {
+      assert.equal(xml.escape('<a b="c">&\''), '&lt;a b=&quot;c&quot;&gt;&amp;&apos;');
+      assert.equal(xml.unescape(xml.escape('<&>"\'')), '<&>"\'');
+    });
+  });
+});